@@ -0,0 +1,19 @@
+// Error a provider throws for problems the client should see, with the
+// HTTP status /api/generate responds with
+
+export class ProviderError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+// Map provider-specific stop reasons onto 'stop', 'length' or a lowercase name
+export function normalizeFinishReason(reason) {
+  if (!reason) return null;
+  const value = String(reason).toLowerCase();
+  if (value === 'stop' || value === 'end_turn') return 'stop';
+  if (value === 'max_tokens' || value === 'length') return 'length';
+  return value;
+}
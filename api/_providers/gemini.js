@@ -0,0 +1,87 @@
+// Google Gemini provider
+// Env: GEMINI_API_KEY (required), AI_MODEL (default gemini-3-flash-preview)
+
+import { ProviderError, normalizeFinishReason } from './errors.js';
+import { readEventData } from './sse.js';
+
+// method is generateContent, or streamGenerateContent for server-sent events
+async function request(method, prompt, { apiKey, model }, { schema, signal }) {
+  const query = method === 'streamGenerateContent' ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+  const response = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}?${query}`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        contents: [{
+          parts: [{ text: prompt }]
+        }],
+        ...(schema && {
+          generationConfig: { responseMimeType: 'application/json', responseJsonSchema: schema }
+        })
+      }),
+      signal
+    }
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new ProviderError(errorData.error?.message || 'API request failed', response.status);
+  }
+  return response;
+}
+
+const candidateText = candidate => (candidate?.content?.parts || []).map(part => part.text || '').join('');
+
+const usageOf = data => ({
+  inputTokens: data?.usageMetadata?.promptTokenCount ?? null,
+  outputTokens: data?.usageMetadata?.candidatesTokenCount ?? null
+});
+
+export const geminiProvider = {
+  name: 'gemini',
+  defaultModel: 'gemini-3-flash-preview',
+
+  configure(env) {
+    if (!env.GEMINI_API_KEY) {
+      throw new ProviderError('API key not configured. Please set GEMINI_API_KEY in Vercel environment variables.');
+    }
+    return { apiKey: env.GEMINI_API_KEY, model: env.AI_MODEL || this.defaultModel };
+  },
+
+  async generate(prompt, config, options = {}) {
+    const response = await request('generateContent', prompt, config, options);
+    const data = await response.json();
+    const candidate = data.candidates?.[0];
+
+    return {
+      text: candidateText(candidate),
+      provider: 'gemini',
+      model: config.model,
+      finishReason: normalizeFinishReason(candidate?.finishReason),
+      usage: usageOf(data)
+    };
+  },
+
+  async *stream(prompt, config, options = {}) {
+    const response = await request('streamGenerateContent', prompt, config, options);
+    let finishReason = null;
+    let last = null;
+
+    for await (const data of readEventData(response)) {
+      const event = JSON.parse(data);
+      if (event.error) {
+        throw new ProviderError(event.error.message || 'Stream interrupted', 502);
+      }
+      const candidate = event.candidates?.[0];
+      const text = candidateText(candidate);
+      if (text) yield { type: 'text', text };
+      if (candidate?.finishReason) finishReason = normalizeFinishReason(candidate.finishReason);
+      last = event;
+    }
+
+    yield { type: 'done', provider: 'gemini', model: config.model, finishReason, usage: usageOf(last) };
+  }
+};
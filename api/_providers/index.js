@@ -0,0 +1,40 @@
+// AI provider registry for /api/generate
+// AI_PROVIDER picks the provider (gemini by default) and AI_MODEL overrides
+// its default model. Every provider resolves to the same response shape:
+//   { text, provider, model, finishReason, usage: { inputTokens, outputTokens } }
+// with finishReason 'stop', 'length' (output cut off) or the provider's own reason.
+// generate(prompt, { schema, signal }) passes an optional JSON Schema on to
+// providers that support structured output; aborting signal cancels the
+// provider request. stream(prompt, { schema, signal }) yields the same
+// response as { type: 'text', text } events followed by one
+// { type: 'done', provider, model, finishReason, usage } event.
+
+import { geminiProvider } from './gemini.js';
+import { openaiProvider } from './openai.js';
+import { mockProvider } from './mock.js';
+import { ProviderError } from './errors.js';
+
+export { ProviderError };
+
+export const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  mock: mockProvider
+};
+
+// Resolve the configured provider; throws ProviderError for a bad configuration
+export function createProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || 'gemini').trim().toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new ProviderError(`Unknown AI_PROVIDER "${env.AI_PROVIDER}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+
+  const config = provider.configure(env);
+  return {
+    name: provider.name,
+    model: config.model,
+    generate: (prompt, options = {}) => provider.generate(prompt, config, options),
+    stream: (prompt, options = {}) => provider.stream(prompt, config, options)
+  };
+}
@@ -0,0 +1,23 @@
+// Deterministic mock provider for tests and demos without an API key
+// The responses come from src/utils/mockCompletion.js, which the browser
+// client's mock uses too. Env: AI_MODEL (default mock)
+
+import { mockResponse, mockStream } from '../../src/utils/mockCompletion.js';
+
+export const mockProvider = {
+  name: 'mock',
+  defaultModel: 'mock',
+
+  configure(env) {
+    return { model: env.AI_MODEL || this.defaultModel };
+  },
+
+  async generate(prompt, { model }, { signal } = {}) {
+    signal?.throwIfAborted();
+    return mockResponse(prompt, model);
+  },
+
+  stream(prompt, { model }, { signal } = {}) {
+    return mockStream(prompt, model, { signal });
+  }
+};
@@ -0,0 +1,95 @@
+// OpenAI-compatible chat completions provider: OpenAI itself, or any server
+// exposing /chat/completions (Ollama, LM Studio, vLLM, llama.cpp, ...)
+// Env: OPENAI_BASE_URL (default https://api.openai.com/v1), OPENAI_API_KEY
+// (required for api.openai.com, optional for local servers), AI_MODEL
+// (default gpt-4o-mini)
+
+import { ProviderError, normalizeFinishReason } from './errors.js';
+import { readEventData } from './sse.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+async function request(prompt, { baseUrl, apiKey, model }, { schema, signal }, stream) {
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+    },
+    body: JSON.stringify({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      // include_usage adds a final chunk (with empty choices) carrying usage
+      ...(stream && { stream: true, stream_options: { include_usage: true } }),
+      ...(schema && {
+        response_format: { type: 'json_schema', json_schema: { name: 'field_payload', schema } }
+      })
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    // OpenAI sends { error: { message } }; compatible servers may send a
+    // string, or an object without a message
+    const { error } = errorData;
+    const message = typeof error === 'string' ? error : error?.message;
+    throw new ProviderError(typeof message === 'string' && message ? message : response.statusText || 'API request failed', response.status);
+  }
+  return response;
+}
+
+const usageOf = data => ({
+  inputTokens: data?.usage?.prompt_tokens ?? null,
+  outputTokens: data?.usage?.completion_tokens ?? null
+});
+
+export const openaiProvider = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+
+  configure(env) {
+    const baseUrl = (env.OPENAI_BASE_URL || OPENAI_BASE_URL).replace(/\/+$/, '');
+    if (baseUrl === OPENAI_BASE_URL && !env.OPENAI_API_KEY) {
+      throw new ProviderError('API key not configured. Please set OPENAI_API_KEY, or OPENAI_BASE_URL for a local server.');
+    }
+    return { baseUrl, apiKey: env.OPENAI_API_KEY || '', model: env.AI_MODEL || this.defaultModel };
+  },
+
+  async generate(prompt, config, options = {}) {
+    const response = await request(prompt, config, options, false);
+    const data = await response.json();
+    const choice = data.choices?.[0];
+
+    return {
+      text: choice?.message?.content || '',
+      provider: 'openai',
+      model: data.model || config.model,
+      finishReason: normalizeFinishReason(choice?.finish_reason),
+      usage: usageOf(data)
+    };
+  },
+
+  async *stream(prompt, config, options = {}) {
+    const response = await request(prompt, config, options, true);
+    let finishReason = null;
+    let model = config.model;
+    let usage = usageOf(null);
+
+    for await (const data of readEventData(response)) {
+      if (data === '[DONE]') break;
+      const event = JSON.parse(data);
+      if (event.error) {
+        throw new ProviderError(event.error.message || 'Stream interrupted', 502);
+      }
+      const choice = event.choices?.[0];
+      if (choice?.delta?.content) yield { type: 'text', text: choice.delta.content };
+      if (choice?.finish_reason) finishReason = normalizeFinishReason(choice.finish_reason);
+      if (event.model) model = event.model;
+      if (event.usage) usage = usageOf(event);
+    }
+
+    yield { type: 'done', provider: 'openai', model, finishReason, usage };
+  }
+};
@@ -0,0 +1,41 @@
+// Server-sent events reader for the providers' streaming endpoints
+// Yields the data of each event (multi-line data joined with \n); events
+// without data, such as comments and keep-alives, are skipped.
+
+const EVENT_BOUNDARY = /\r?\n\r?\n/;
+
+function eventData(block) {
+  return block
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''))
+    .join('\n');
+}
+
+export async function* readEventData(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      let match;
+      while ((match = EVENT_BOUNDARY.exec(buffer))) {
+        const data = eventData(buffer.slice(0, match.index));
+        buffer = buffer.slice(match.index + match[0].length);
+        if (data) yield data;
+      }
+
+      if (done) {
+        const data = eventData(buffer);
+        if (data) yield data;
+        return;
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -1,6 +1,10 @@
-// Vercel Serverless Function - Proxy for Gemini API
-// This keeps your API key SECRET on the server
+// Vercel Serverless Function - Proxy for the configured AI provider
+// This keeps your API keys SECRET on the server
 // No password required - for you and your team
+// AI_PROVIDER (gemini, openai or mock) and AI_MODEL choose the backend; see
+// api/_providers for the variables each provider reads
+
+import { createProvider, ProviderError } from './_providers/index.js';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -8,55 +12,68 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { prompt } = req.body;
+  // schema: optional JSON Schema the response must follow (structured output)
+  // stream: respond with newline-delimited JSON events as the model writes
+  const { prompt, schema, stream } = req.body;
 
   if (!prompt) {
     return res.status(400).json({ error: 'Prompt is required' });
   }
 
+  // When the client cancels or goes away, stop the provider request too
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const { signal } = controller;
+
   try {
-    // Your Gemini API key is stored in Vercel Environment Variables
-    // NOT in the code! This keeps it completely secret.
-    const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-    
-    if (!GEMINI_API_KEY) {
-      return res.status(500).json({ 
-        error: 'API key not configured. Please set GEMINI_API_KEY in Vercel environment variables.' 
-      });
-    }
-    
-    // Call Gemini API from server - Using Gemini 3 Flash (same as before)
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${GEMINI_API_KEY}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{ text: prompt }]
-          }]
-        })
-      }
-    );
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      return res.status(response.status).json({ 
-        error: errorData.error?.message || 'API request failed' 
-      });
+    // API keys are stored in Vercel Environment Variables
+    // NOT in the code! This keeps them completely secret.
+    const provider = createProvider(process.env);
+
+    if (stream) {
+      return await streamResponse(res, provider.stream(prompt, { schema, signal }));
     }
 
-    const data = await response.json();
-    
-    // Return the result
-    return res.status(200).json(data);
-    
+    // Every provider returns { text, provider, model, finishReason, usage }
+    const result = await provider.generate(prompt, { schema, signal });
+    return res.status(200).json(result);
+
   } catch (error) {
+    // Nobody is listening any more
+    if (signal.aborted) {
+      console.log('Request cancelled by the client');
+      return;
+    }
+    // Once streaming has started the status is sent; report the error as an event
+    if (res.headersSent) {
+      console.error('Stream Error:', error);
+      res.end(JSON.stringify({ type: 'error', error: error.message }) + '\n');
+      return;
+    }
+    if (error instanceof ProviderError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('API Error:', error);
-    return res.status(500).json({ 
-      error: 'Internal server error: ' + error.message 
+    return res.status(500).json({
+      error: 'Internal server error: ' + error.message
     });
   }
-}
\ No newline at end of file
+}
+
+// Write each { type: 'text' | 'done' } event as one line of JSON. The status
+// is only sent with the first event, so errors before it (bad key, rejected
+// request) still get a normal JSON error response.
+async function streamResponse(res, events) {
+  for await (const event of events) {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform'
+      });
+    }
+    res.write(JSON.stringify(event) + '\n');
+  }
+  res.end();
+}
@@ -1,8 +1,15 @@
-import { useState } from 'react'
-import { Settings, Download, Moon, Sun, FileText, Trash2, Copy, Check, AlertCircle, Plus, X, Upload, Menu } from 'lucide-react'
-import JSZip from 'jszip'
-import { generateXml } from './utils/xmlGenerator'
+import { useState, useMemo } from 'react'
+import { Settings, Download, Moon, Sun, FileText, Trash2, Copy, Check, AlertCircle, Plus, X, Upload, Menu, Database, Layers, GripVertical, AlertTriangle, CheckCircle } from 'lucide-react'
+import { generateXml, LOOKUP_FILTER_OPERATIONS, SUMMARY_OPERATIONS } from './utils/xmlGenerator'
+import { buildExportZip, getReferencedValueSets, EXPORT_FORMATS, API_VERSIONS, DEFAULT_API_VERSION } from './utils/exportBuilder'
+import { getDisplayFormatErrors, previewAutoNumber, AUTO_NUMBER_MAX_LENGTH, ENCRYPTED_TEXT_MAX_LENGTH, ENCRYPTED_MASK_TYPES, LOCATION_MAX_SCALE, getPicklistValues, getControllingValues, getDependencyErrors, validateField, validateWorkspace } from './utils/validation'
+import { lintFormula, getLineColumn } from './utils/formulaParser'
+import { normalizeImportPayload, formatNormalizationChanges } from './utils/fieldNormalizer'
 import ImportModal from './components/ImportModal'
+import ObjectSettings from './components/ObjectSettings'
+import GlobalValueSetManager from './components/GlobalValueSetManager'
+import IssuesPanel from './components/IssuesPanel'
+import FormulaTestBench from './components/FormulaTestBench'
 
 const INITIAL_FIELDS = [
   {
@@ -19,14 +26,78 @@ const INITIAL_FIELDS = [
   }
 ]
 
+const DEFAULT_OBJECT_NAME = 'Custom_Object__c'
+
+const INITIAL_OBJECTS = [
+  {
+    id: 'obj-1',
+    name: DEFAULT_OBJECT_NAME,
+    fields: INITIAL_FIELDS
+  }
+]
+
 const FIELD_TYPES = [
-  'Text', 'TextArea', 'LongTextArea', 'RichTextArea', 'Number', 'Currency', 
-  'Percent', 'Checkbox', 'Date', 'DateTime', 'Email', 
-  'Phone', 'Url', 'Picklist', 'MultiselectPicklist', 'Lookup', 'MasterDetail', 'Formula'
+  'Text', 'TextArea', 'LongTextArea', 'RichTextArea', 'EncryptedText', 'Number', 'Currency', 
+  'Percent', 'Checkbox', 'Date', 'DateTime', 'Time', 'Location', 'Email', 
+  'Phone', 'Url', 'Picklist', 'MultiselectPicklist', 'Lookup', 'MasterDetail', 'Formula', 'Summary', 'AutoNumber'
 ]
 
+// Field types a roll-up summary can aggregate, per operation
+const SUMMARIZABLE_TYPES = {
+  sum: ['Number', 'Currency', 'Percent'],
+  min: ['Number', 'Currency', 'Percent', 'Date', 'DateTime'],
+  max: ['Number', 'Currency', 'Percent', 'Date', 'DateTime']
+}
+
 const DELETE_CONSTRAINTS = ['SetNull', 'Restrict', 'Cascade']
 
+const MASK_TYPE_LABELS = {
+  all: 'Mask All Characters',
+  creditCard: 'Credit Card Number (last 4 visible)',
+  ssn: 'Social Security Number (last 4 visible)',
+  lastFour: 'Last Four Characters Clear',
+  sin: 'Social Insurance Number (last 3 visible)',
+  nino: 'National Insurance Number'
+}
+
+async function saveZip(zip, filename) {
+  const content = await zip.generateAsync({ type: 'blob' })
+  const url = URL.createObjectURL(content)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+// Copies of the formula test cases on the fields (field.formulaTests), keyed
+// by Object__c.Field__c, so they survive a reload and come back when the
+// field is imported again
+const FORMULA_TESTS_KEY = 'formulaTests'
+
+function loadFormulaTests() {
+  try {
+    return JSON.parse(localStorage.getItem(FORMULA_TESTS_KEY)) || {}
+  } catch (error) {
+    return {}
+  }
+}
+
+// Drop the keys of the fields as they were and write them as they are now, so
+// renamed, moved and deleted fields and objects leave no stale keys behind
+function syncFormulaTests(previousObjects, nextObjects) {
+  const withTests = objects => objects.flatMap(o => o.fields
+    .filter(f => f.formulaTests && f.formulaTests.length > 0)
+    .map(f => [`${o.name}.${f.apiName}`, f.formulaTests]))
+  const previous = withTests(previousObjects)
+  const next = withTests(nextObjects)
+  if (previous.length === 0 && next.length === 0) return
+
+  const saved = loadFormulaTests()
+  previous.forEach(([key]) => delete saved[key])
+  next.forEach(([key, tests]) => { saved[key] = tests })
+  localStorage.setItem(FORMULA_TESTS_KEY, JSON.stringify(saved))
+}
 
 function EmptyState({ darkMode }) {
   return (
@@ -129,8 +200,309 @@ function XmlPreview({ field, darkMode, onDownloadSingle }) {
   )
 }
 
-function FieldEditor({ field, onChange, darkMode }) {
-  const [errors, setErrors] = useState([])
+const EMPTY_LOOKUP_FILTER = {
+  active: true,
+  isOptional: false,
+  booleanFilter: '',
+  errorMessage: '',
+  infoMessage: '',
+  filterItems: []
+}
+
+function LookupFilterEditor({ filter, onChange, darkMode, inputStyle, labelStyle, checkboxLabelStyle }) {
+  const current = filter && typeof filter === 'object' ? { ...EMPTY_LOOKUP_FILTER, ...filter } : null
+  const smallInput = { ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }
+  const smallLabel = { ...labelStyle, fontSize: '0.75rem' }
+
+  if (!current) {
+    return (
+      <div>
+        <label style={labelStyle}>Lookup Filter</label>
+        <button
+          onClick={() => onChange({ ...EMPTY_LOOKUP_FILTER, filterItems: [{ field: '', operation: 'equals', value: '' }] })}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: '#2563eb',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            fontSize: '0.875rem',
+            fontWeight: 600,
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px'
+          }}
+        >
+          <Plus size={16} />
+          Add Lookup Filter
+        </button>
+        {typeof filter === 'string' && filter.trim() && (
+          <div style={{ fontSize: '0.75rem', color: darkMode ? '#94a3b8' : '#64748b', marginTop: '8px' }}>
+            Previous note: <span style={{ fontFamily: 'monospace' }}>{filter}</span>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  const updateItem = (index, changes) => {
+    const filterItems = current.filterItems.map((item, i) => i === index ? { ...item, ...changes } : item)
+    onChange({ ...current, filterItems })
+  }
+
+  const removeItem = (index) => {
+    onChange({ ...current, filterItems: current.filterItems.filter((_, i) => i !== index) })
+  }
+
+  const addItem = () => {
+    onChange({ ...current, filterItems: [...current.filterItems, { field: '', operation: 'equals', value: '' }] })
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <label style={{ ...labelStyle, marginBottom: 0 }}>Lookup Filter</label>
+        <button
+          onClick={() => onChange(undefined)}
+          style={{
+            padding: '4px 10px',
+            backgroundColor: 'rgba(239, 68, 68, 0.1)',
+            color: '#ef4444',
+            border: 'none',
+            borderRadius: '6px',
+            fontSize: '0.75rem',
+            fontWeight: 600,
+            cursor: 'pointer'
+          }}
+        >
+          Remove Filter
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', marginBottom: '16px' }}>
+        <label style={checkboxLabelStyle}>
+          <input
+            type="checkbox"
+            checked={current.active !== false}
+            onChange={(e) => onChange({ ...current, active: e.target.checked })}
+            style={{ width: '18px', height: '18px' }}
+          />
+          <span>Active</span>
+        </label>
+        <label style={checkboxLabelStyle}>
+          <input
+            type="checkbox"
+            checked={current.isOptional === true}
+            onChange={(e) => onChange({ ...current, isOptional: e.target.checked })}
+            style={{ width: '18px', height: '18px' }}
+          />
+          <span>Optional (users can pick values outside the filter)</span>
+        </label>
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '12px' }}>
+        {current.filterItems.map((item, index) => {
+          const usesField = item.valueField !== undefined
+          return (
+            <div
+              key={index}
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'auto 2fr 1.4fr auto 2fr auto',
+                gap: '8px',
+                alignItems: 'end',
+                padding: '12px',
+                backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                borderRadius: '8px',
+                border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+              }}
+            >
+              <span style={{ fontWeight: 700, fontSize: '0.8125rem', paddingBottom: '8px' }}>{index + 1}.</span>
+              <div>
+                <label style={smallLabel}>Field</label>
+                <input
+                  type="text"
+                  value={item.field || ''}
+                  onChange={(e) => updateItem(index, { field: e.target.value })}
+                  placeholder="Account.Type"
+                  style={{ ...smallInput, fontFamily: 'monospace' }}
+                />
+              </div>
+              <div>
+                <label style={smallLabel}>Operator</label>
+                <select
+                  value={item.operation || 'equals'}
+                  onChange={(e) => updateItem(index, { operation: e.target.value })}
+                  style={smallInput}
+                >
+                  {LOOKUP_FILTER_OPERATIONS.map(op => (
+                    <option key={op} value={op}>{op}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={smallLabel}>Compare To</label>
+                <select
+                  value={usesField ? 'field' : 'value'}
+                  onChange={(e) => {
+                    // value and valueField are mutually exclusive in the XML
+                    const { value, valueField, ...rest } = item
+                    const replaced = e.target.value === 'field' ? { ...rest, valueField: '' } : { ...rest, value: '' }
+                    onChange({ ...current, filterItems: current.filterItems.map((it, i) => i === index ? replaced : it) })
+                  }}
+                  style={smallInput}
+                >
+                  <option value="value">Value</option>
+                  <option value="field">Field</option>
+                </select>
+              </div>
+              <div>
+                <label style={smallLabel}>{usesField ? 'Value Field' : 'Value'}</label>
+                <input
+                  type="text"
+                  value={(usesField ? item.valueField : item.value) || ''}
+                  onChange={(e) => updateItem(index, usesField ? { valueField: e.target.value } : { value: e.target.value })}
+                  placeholder={usesField ? '$Source.AccountId' : 'Customer'}
+                  style={{ ...smallInput, fontFamily: usesField ? 'monospace' : 'inherit' }}
+                />
+              </div>
+              <button
+                onClick={() => removeItem(index)}
+                style={{
+                  padding: '8px',
+                  backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                  color: '#ef4444',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center'
+                }}
+              >
+                <X size={16} />
+              </button>
+            </div>
+          )
+        })}
+      </div>
+
+      <button
+        onClick={addItem}
+        style={{
+          padding: '6px 12px',
+          backgroundColor: darkMode ? '#334155' : '#e2e8f0',
+          color: darkMode ? '#cbd5e1' : '#334155',
+          border: 'none',
+          borderRadius: '6px',
+          fontSize: '0.75rem',
+          fontWeight: 600,
+          cursor: 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          marginBottom: '16px'
+        }}
+      >
+        <Plus size={14} />
+        Add Filter Criteria
+      </button>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '16px' }}>
+        <div style={{ gridColumn: '1 / -1' }}>
+          <label style={labelStyle}>Filter Logic</label>
+          <input
+            type="text"
+            value={current.booleanFilter || ''}
+            onChange={(e) => onChange({ ...current, booleanFilter: e.target.value })}
+            placeholder="1 AND (2 OR 3) - leave blank to AND all criteria"
+            style={{ ...inputStyle, fontFamily: 'monospace' }}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Error Message</label>
+          <input
+            type="text"
+            value={current.errorMessage || ''}
+            onChange={(e) => onChange({ ...current, errorMessage: e.target.value })}
+            placeholder="Value does not exist or does not match filter criteria."
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Info Message</label>
+          <input
+            type="text"
+            value={current.infoMessage || ''}
+            onChange={(e) => onChange({ ...current, infoMessage: e.target.value })}
+            placeholder="Shown in the lookup search dialog"
+            style={inputStyle}
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function FieldEditor({ field, onChange, darkMode, objects = [], objectName, globalValueSets = [] }) {
+  const [dragIndex, setDragIndex] = useState(null)
+
+  // Roll-up summaries can only aggregate children that have a Master-Detail back to this object
+  const childRelationships = objects.flatMap(o => o.fields
+    .filter(f => f.type === 'MasterDetail' && f.referenceTo === objectName)
+    .map(f => ({ objectName: o.name, fieldLabel: f.label, key: `${o.name}.${f.apiName}` })))
+  const summaryChildName = field.summaryForeignKey ? field.summaryForeignKey.split('.')[0] : ''
+  const summaryChild = objects.find(o => o.name === summaryChildName)
+  const summaryChildFields = summaryChild ? summaryChild.fields : []
+
+  // Dependent picklists are controlled by a Picklist or Checkbox on the same object
+  const objectFields = (objects.find(o => o.name === objectName) || { fields: [] }).fields
+  const controllingCandidates = objectFields.filter(f => f.id !== field.id && ['Picklist', 'Checkbox'].includes(f.type))
+  const controllingField = objectFields.find(f => f.apiName === field.controllingField)
+  const controllingValues = getControllingValues(controllingField, globalValueSets)
+  const dependencyErrors = getDependencyErrors(field, objectFields, globalValueSets)
+  const issues = validateField(field, { objectFields, objectName, objects, globalValueSets })
+  // Formula lint results are shown under the expression instead
+  const errors = issues.filter(issue => issue.severity === 'error' && issue.source !== 'formula')
+  const warnings = issues.filter(issue => issue.severity === 'warning' && issue.source !== 'formula')
+  const formulaLint = field.type === 'Formula' && field.formula
+    ? lintFormula(field.formula, { objectName, objects, returnType: field.returnType || 'Text', fieldApiName: field.apiName })
+    : null
+
+  // valueSetName is '' while "Global value set" is chosen but no set is picked yet
+  const usesGlobalValueSet = field.valueSetName !== undefined
+  const globalValueSet = globalValueSets.find(vs => vs.fullName === field.valueSetName)
+  const picklistValues = getPicklistValues(field, globalValueSets)
+
+  const isMapped = (valueName, controllingValue) => {
+    const setting = (field.valueSettings || []).find(s => s.valueName === valueName)
+    return !!setting && setting.controllingFieldValue.includes(controllingValue)
+  }
+
+  const handleToggleMapping = (valueName, controllingValue) => {
+    const settings = field.valueSettings || []
+    const existing = settings.find(s => s.valueName === valueName)
+    let next
+    if (!existing) {
+      next = [...settings, { valueName, controllingFieldValue: [controllingValue] }]
+    } else {
+      const values = existing.controllingFieldValue.includes(controllingValue)
+        ? existing.controllingFieldValue.filter(v => v !== controllingValue)
+        : [...existing.controllingFieldValue, controllingValue]
+      next = settings.map(s => s === existing ? { ...s, controllingFieldValue: values } : s)
+    }
+    handleChange('valueSettings', next)
+  }
+
+  // Drop mappings whose dependent or controlling values were renamed or removed
+  const handleCleanupMappings = () => {
+    const dependentValues = picklistValues.map(pv => pv.fullName)
+    const next = (field.valueSettings || [])
+      .filter(s => dependentValues.includes(s.valueName))
+      .map(s => ({ ...s, controllingFieldValue: s.controllingFieldValue.filter(v => controllingValues.includes(v)) }))
+    handleChange('valueSettings', next)
+  }
 
   const handleChange = (key, value) => {
     const updated = { ...field, [key]: value }
@@ -146,20 +518,15 @@ function FieldEditor({ field, onChange, darkMode }) {
     }
     
     onChange(updated)
-    
-    const newErrors = []
-    if (!updated.apiName) newErrors.push('API Name is required')
-    if (!updated.label) newErrors.push('Label is required')
-    if (updated.type === 'Text' && (!updated.length || updated.length > 255)) {
-      newErrors.push('Text length must be between 1 and 255')
-    }
-    if (['Lookup', 'MasterDetail'].includes(updated.type) && !updated.referenceTo) {
-      newErrors.push('Reference To object is required for Lookup/MasterDetail fields')
-    }
-    if (updated.type === 'Formula' && !updated.formula) {
-      newErrors.push('Formula expression is required')
+  }
+
+  // Inline values are kept when switching to a global value set so switching back restores them
+  const handleValueSourceChange = (source) => {
+    if (source === 'global') {
+      handleChange('valueSetName', globalValueSets.length > 0 ? globalValueSets[0].fullName : '')
+    } else {
+      handleChange('valueSetName', undefined)
     }
-    setErrors(newErrors)
   }
 
   const handleAddPicklistValue = () => {
@@ -186,6 +553,24 @@ function FieldEditor({ field, onChange, darkMode }) {
     onChange(updated)
   }
 
+  // An inactive value can't be the default
+  const handleTogglePicklistValueActive = (index, active) => {
+    const values = field.picklistValues.map((pv, i) => {
+      if (i !== index) return pv
+      const { isActive, ...rest } = pv
+      return active ? rest : { ...rest, isActive: false, default: false }
+    })
+    onChange({ ...field, picklistValues: values })
+  }
+
+  const handleMovePicklistValue = (from, to) => {
+    if (from === null || from === to) return
+    const values = [...field.picklistValues]
+    const [moved] = values.splice(from, 1)
+    values.splice(to, 0, moved)
+    onChange({ ...field, picklistValues: values })
+  }
+
   const inputStyle = {
     width: '100%',
     padding: '10px 12px',
@@ -234,7 +619,25 @@ function FieldEditor({ field, onChange, darkMode }) {
             Validation Errors
           </div>
           <ul style={{ marginLeft: '20px', color: '#dc2626', fontSize: '0.875rem' }}>
-            {errors.map((err, idx) => <li key={idx}>{err}</li>)}
+            {errors.map((err, idx) => <li key={idx}>{err.message}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <div style={{ 
+          marginBottom: '24px', 
+          padding: '16px', 
+          backgroundColor: 'rgba(245, 158, 11, 0.1)',
+          borderLeft: '4px solid #f59e0b',
+          borderRadius: '8px'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px', fontWeight: 700, color: '#d97706' }}>
+            <AlertTriangle size={20} />
+            Warnings
+          </div>
+          <ul style={{ marginLeft: '20px', color: '#d97706', fontSize: '0.875rem' }}>
+            {warnings.map((warning, idx) => <li key={idx}>{warning.message}</li>)}
           </ul>
         </div>
       )}
@@ -529,6 +932,104 @@ function FieldEditor({ field, onChange, darkMode }) {
         </div>
       )}
 
+      {field.type === 'Location' && (
+        <div style={{ 
+          padding: '24px', 
+          backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+          borderRadius: '12px',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          marginBottom: '24px'
+        }}>
+          <h3 style={{ 
+            fontSize: '1.125rem', 
+            fontWeight: 700, 
+            marginBottom: '20px',
+            paddingBottom: '12px',
+            borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+          }}>
+            Geolocation Settings
+          </h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '20px', alignItems: 'end' }}>
+            <div>
+              <label style={labelStyle}>Decimal Places (0-{LOCATION_MAX_SCALE})</label>
+              <input
+                type="number"
+                value={field.scale !== undefined ? field.scale : 5}
+                onChange={(e) => handleChange('scale', parseInt(e.target.value))}
+                style={inputStyle}
+                min="0"
+                max={LOCATION_MAX_SCALE}
+              />
+            </div>
+            <label style={{ ...checkboxLabelStyle, paddingBottom: '10px' }}>
+              <input
+                type="checkbox"
+                checked={field.displayLocationInDecimal === true}
+                onChange={(e) => handleChange('displayLocationInDecimal', e.target.checked)}
+                style={{ width: '18px', height: '18px' }}
+              />
+              <span>Display in decimal notation (otherwise degrees, minutes, seconds)</span>
+            </label>
+          </div>
+        </div>
+      )}
+
+      {field.type === 'EncryptedText' && (
+        <div style={{ 
+          padding: '24px', 
+          backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+          borderRadius: '12px',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          marginBottom: '24px'
+        }}>
+          <h3 style={{ 
+            fontSize: '1.125rem', 
+            fontWeight: 700, 
+            marginBottom: '20px',
+            paddingBottom: '12px',
+            borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+          }}>
+            Encrypted Text Settings
+          </h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '20px' }}>
+            <div>
+              <label style={labelStyle}>Length (1-{ENCRYPTED_TEXT_MAX_LENGTH})</label>
+              <input
+                type="number"
+                value={field.length || ENCRYPTED_TEXT_MAX_LENGTH}
+                onChange={(e) => handleChange('length', parseInt(e.target.value))}
+                style={inputStyle}
+                min="1"
+                max={ENCRYPTED_TEXT_MAX_LENGTH}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Mask Type</label>
+              <select
+                value={field.maskType || 'all'}
+                onChange={(e) => handleChange('maskType', e.target.value)}
+                style={inputStyle}
+              >
+                {ENCRYPTED_MASK_TYPES.map(maskType => (
+                  <option key={maskType} value={maskType}>{MASK_TYPE_LABELS[maskType]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>Mask Character</label>
+              <select
+                value={field.maskChar || 'asterisk'}
+                onChange={(e) => handleChange('maskChar', e.target.value)}
+                style={inputStyle}
+              >
+                <option value="asterisk">* (asterisk)</option>
+                <option value="X">X</option>
+              </select>
+            </div>
+          </div>
+        </div>
+      )}
+
       {field.type === 'Checkbox' && (
         <div style={{ 
           padding: '24px', 
@@ -677,16 +1178,14 @@ function FieldEditor({ field, onChange, darkMode }) {
             )}
 
             <div style={{ gridColumn: '1 / -1' }}>
-              <label style={labelStyle}>Lookup Filter (Optional - UI Only)</label>
-              <textarea
-                value={field.lookupFilter || ''}
-                onChange={(e) => handleChange('lookupFilter', e.target.value)}
-                placeholder="Enter lookup filter criteria (not included in XML)"
-                style={{ ...inputStyle, minHeight: '60px', fontFamily: 'monospace', resize: 'vertical' }}
+              <LookupFilterEditor
+                filter={field.lookupFilter}
+                onChange={(filter) => handleChange('lookupFilter', filter)}
+                darkMode={darkMode}
+                inputStyle={inputStyle}
+                labelStyle={labelStyle}
+                checkboxLabelStyle={checkboxLabelStyle}
               />
-              <div style={{ fontSize: '0.75rem', color: darkMode ? '#94a3b8' : '#64748b', marginTop: '4px' }}>
-                Note: Lookup filters are for your reference only and won't be included in the generated XML
-              </div>
             </div>
           </div>
         </div>
@@ -720,6 +1219,43 @@ function FieldEditor({ field, onChange, darkMode }) {
                 placeholder="Amount__c * 0.1"
                 style={{ ...inputStyle, minHeight: '120px', fontFamily: 'monospace', resize: 'vertical' }}
               />
+              {formulaLint && formulaLint.issues.length === 0 && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px', fontSize: '0.8125rem', color: '#16a34a' }}>
+                  <CheckCircle size={14} />
+                  Formula is valid{formulaLint.type !== 'Unknown' && formulaLint.type !== 'Null' ? ` · returns ${formulaLint.type}` : ''}
+                </div>
+              )}
+              {formulaLint && formulaLint.issues.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '8px' }}>
+                  {formulaLint.issues.map((issue, idx) => {
+                    const { line, column } = getLineColumn(field.formula, issue.start)
+                    const sourceLine = field.formula.split('\n')[line - 1]
+                    const width = Math.max(1, Math.min(issue.end - issue.start, sourceLine.length - column + 1))
+                    const color = issue.severity === 'error' ? '#dc2626' : '#d97706'
+                    return (
+                      <div key={idx} style={{ fontSize: '0.8125rem', color }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                          <AlertCircle size={14} style={{ flexShrink: 0 }} />
+                          <span style={{ fontFamily: 'monospace' }}>{line}:{column}</span>
+                          {issue.message}
+                        </div>
+                        <pre style={{
+                          margin: '4px 0 0 20px',
+                          padding: '6px 8px',
+                          backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                          borderRadius: '4px',
+                          fontSize: '0.75rem',
+                          overflowX: 'auto',
+                          color: darkMode ? '#cbd5e1' : '#334155'
+                        }}>
+                          {sourceLine}{'\n'}
+                          <span style={{ color }}>{' '.repeat(column - 1) + '^'.repeat(width)}</span>
+                        </pre>
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
             </div>
 
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '20px' }}>
@@ -736,6 +1272,7 @@ function FieldEditor({ field, onChange, darkMode }) {
                   <option value="Percent">Percent</option>
                   <option value="Date">Date</option>
                   <option value="DateTime">DateTime</option>
+                  <option value="Time">Time</option>
                   <option value="Checkbox">Checkbox</option>
                 </select>
               </div>
@@ -779,11 +1316,24 @@ function FieldEditor({ field, onChange, darkMode }) {
                 </>
               )}
             </div>
+
+            <div>
+              <label style={labelStyle}>Test Bench</label>
+              <FormulaTestBench
+                key={field.id}
+                field={field}
+                objects={objects}
+                objectName={objectName}
+                globalValueSets={globalValueSets}
+                onTestsChange={(tests) => handleChange('formulaTests', tests)}
+                darkMode={darkMode}
+              />
+            </div>
           </div>
         </div>
       )}
 
-      {(['Picklist', 'MultiselectPicklist'].includes(field.type)) && (
+      {field.type === 'AutoNumber' && (
         <div style={{ 
           padding: '24px', 
           backgroundColor: darkMode ? '#1e293b' : '#ffffff',
@@ -791,137 +1341,607 @@ function FieldEditor({ field, onChange, darkMode }) {
           boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
           marginBottom: '24px'
         }}>
-          <div style={{
-            display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'center',
+          <h3 style={{ 
+            fontSize: '1.125rem', 
+            fontWeight: 700, 
             marginBottom: '20px',
             paddingBottom: '12px',
             borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
           }}>
-            <h3 style={{ fontSize: '1.125rem', fontWeight: 700 }}>
-              Picklist Values
-            </h3>
-            <button
-              onClick={handleAddPicklistValue}
-              style={{
-                padding: '6px 12px',
-                backgroundColor: '#2563eb',
-                color: 'white',
-                border: 'none',
-                borderRadius: '6px',
-                fontSize: '0.875rem',
-                fontWeight: 600,
-                cursor: 'pointer',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '6px'
-              }}
-            >
-              <Plus size={16} />
-              Add Value
-            </button>
-          </div>
-
-          <div style={{ marginBottom: '20px' }}>
-            <label style={checkboxLabelStyle}>
+            Auto Number Settings
+          </h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '20px' }}>
+            <div>
+              <label style={labelStyle}>
+                Display Format <span style={{ color: '#ef4444' }}>*</span>
+              </label>
               <input
-                type="checkbox"
-                checked={field.restricted !== false}
-                onChange={(e) => handleChange('restricted', e.target.checked)}
-                style={{ width: '18px', height: '18px' }}
+                type="text"
+                value={field.displayFormat || ''}
+                onChange={(e) => handleChange('displayFormat', e.target.value)}
+                placeholder="INV-{0000}"
+                maxLength={AUTO_NUMBER_MAX_LENGTH}
+                style={{ ...inputStyle, fontFamily: 'monospace' }}
               />
-              <span>Restricted Picklist (limit to defined values only)</span>
-            </label>
-          </div>
-
-          {field.type === 'MultiselectPicklist' && (
-            <div style={{ marginBottom: '20px' }}>
-              <label style={labelStyle}>Visible Lines</label>
+              <div style={{ fontSize: '0.75rem', color: darkMode ? '#94a3b8' : '#64748b', marginTop: '4px' }}>
+                One number placeholder like {'{0000}'}; {'{YYYY}'}, {'{MM}'} and {'{DD}'} are also allowed
+              </div>
+            </div>
+            <div>
+              <label style={labelStyle}>Starting Number</label>
               <input
                 type="number"
-                value={field.visibleLines || 6}
-                onChange={(e) => handleChange('visibleLines', parseInt(e.target.value))}
+                value={field.startingNumber !== undefined ? field.startingNumber : 1}
+                onChange={(e) => handleChange('startingNumber', e.target.value === '' ? undefined : parseInt(e.target.value))}
                 style={inputStyle}
-                min="3"
-                max="10"
+                min="0"
               />
             </div>
-          )}
+            {field.displayFormat && getDisplayFormatErrors(field.displayFormat).length === 0 && (
+              <div style={{ gridColumn: '1 / -1', fontSize: '0.875rem' }}>
+                First record: <span style={{ fontFamily: 'monospace', fontWeight: 600 }}>
+                  {previewAutoNumber(field.displayFormat, field.startingNumber !== undefined ? field.startingNumber : 1)}
+                </span>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
 
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-            {(field.picklistValues || []).map((pv, index) => (
-              <div
-                key={index}
-                style={{
-                  padding: '16px',
-                  backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
-                  borderRadius: '8px',
-                  border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
-                }}
-              >
-                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto auto', gap: '12px', alignItems: 'end' }}>
-                  <div>
-                    <label style={{ ...labelStyle, fontSize: '0.75rem' }}>API Name</label>
-                    <input
-                      type="text"
-                      value={pv.fullName || ''}
-                      onChange={(e) => handleUpdatePicklistValue(index, 'fullName', e.target.value)}
-                      placeholder="Value_1"
-                      style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
-                    />
-                  </div>
-                  <div>
-                    <label style={{ ...labelStyle, fontSize: '0.75rem' }}>Label</label>
-                    <input
-                      type="text"
-                      value={pv.label || ''}
-                      onChange={(e) => handleUpdatePicklistValue(index, 'label', e.target.value)}
-                      placeholder="Value 1"
-                      style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
-                    />
-                  </div>
-                  <label style={{ ...checkboxLabelStyle, fontSize: '0.75rem', paddingBottom: '8px' }}>
-                    <input
-                      type="checkbox"
-                      checked={pv.default || false}
-                      onChange={(e) => handleUpdatePicklistValue(index, 'default', e.target.checked)}
-                      style={{ width: '16px', height: '16px' }}
-                    />
-                    <span>Default</span>
+      {field.type === 'Summary' && (
+        <div style={{ 
+          padding: '24px', 
+          backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+          borderRadius: '12px',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          marginBottom: '24px'
+        }}>
+          <h3 style={{ 
+            fontSize: '1.125rem', 
+            fontWeight: 700, 
+            marginBottom: '20px',
+            paddingBottom: '12px',
+            borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+          }}>
+            Roll-Up Summary Settings
+          </h3>
+
+          {childRelationships.length === 0 ? (
+            <div style={{ fontSize: '0.875rem', color: darkMode ? '#94a3b8' : '#64748b' }}>
+              No child objects found. Add an object to the workspace with a Master-Detail field that references {objectName} to summarize it here.
+            </div>
+          ) : (
+            <div style={{ display: 'grid', gap: '20px' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '20px' }}>
+                <div>
+                  <label style={labelStyle}>
+                    Summarized Object <span style={{ color: '#ef4444' }}>*</span>
                   </label>
+                  <select
+                    value={field.summaryForeignKey || ''}
+                    onChange={(e) => onChange({
+                      ...field,
+                      summaryForeignKey: e.target.value,
+                      summarizedField: '',
+                      summaryFilterItems: []
+                    })}
+                    style={inputStyle}
+                  >
+                    <option value="">-- Select child object --</option>
+                    {childRelationships.map(rel => (
+                      <option key={rel.key} value={rel.key}>
+                        {rel.objectName} (via {rel.fieldLabel || rel.key.split('.')[1]})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label style={labelStyle}>Roll-Up Type</label>
+                  <select
+                    value={field.summaryOperation || 'count'}
+                    onChange={(e) => handleChange('summaryOperation', e.target.value)}
+                    style={inputStyle}
+                  >
+                    {SUMMARY_OPERATIONS.map(op => (
+                      <option key={op} value={op}>{op.toUpperCase()}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {(field.summaryOperation || 'count') !== 'count' && (
+                  <div style={{ gridColumn: '1 / -1' }}>
+                    <label style={labelStyle}>
+                      Field to Aggregate <span style={{ color: '#ef4444' }}>*</span>
+                    </label>
+                    <select
+                      value={field.summarizedField || ''}
+                      onChange={(e) => handleChange('summarizedField', e.target.value)}
+                      style={inputStyle}
+                      disabled={!summaryChild}
+                    >
+                      <option value="">-- Select field --</option>
+                      {summaryChildFields
+                        .filter(f => SUMMARIZABLE_TYPES[field.summaryOperation].includes(f.type) ||
+                          (f.type === 'Formula' && SUMMARIZABLE_TYPES[field.summaryOperation].includes(f.returnType)))
+                        .map(f => (
+                          <option key={f.id} value={`${summaryChildName}.${f.apiName}`}>
+                            {f.label} ({f.apiName})
+                          </option>
+                        ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                  <label style={{ ...labelStyle, marginBottom: 0 }}>Filter Criteria (records must match all)</label>
                   <button
-                    onClick={() => handleRemovePicklistValue(index)}
+                    onClick={() => handleChange('summaryFilterItems', [
+                      ...(field.summaryFilterItems || []),
+                      { field: '', operation: 'equals', value: '' }
+                    ])}
+                    disabled={!summaryChild}
                     style={{
-                      padding: '8px',
-                      backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                      color: '#ef4444',
+                      padding: '6px 12px',
+                      backgroundColor: darkMode ? '#334155' : '#e2e8f0',
+                      color: darkMode ? '#cbd5e1' : '#334155',
                       border: 'none',
                       borderRadius: '6px',
-                      cursor: 'pointer',
+                      fontSize: '0.75rem',
+                      fontWeight: 600,
+                      cursor: summaryChild ? 'pointer' : 'not-allowed',
                       display: 'flex',
                       alignItems: 'center',
-                      justifyContent: 'center',
-                      marginBottom: '8px'
+                      gap: '6px'
                     }}
                   >
-                    <X size={16} />
+                    <Plus size={14} />
+                    Add Criteria
                   </button>
                 </div>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                  {(field.summaryFilterItems || []).map((item, index) => {
+                    const updateItem = (key, value) => {
+                      const items = field.summaryFilterItems.map((it, i) => i === index ? { ...it, [key]: value } : it)
+                      handleChange('summaryFilterItems', items)
+                    }
+                    return (
+                      <div key={index} style={{ display: 'grid', gridTemplateColumns: '2fr 1.4fr 2fr auto', gap: '8px' }}>
+                        <select
+                          value={item.field || ''}
+                          onChange={(e) => updateItem('field', e.target.value)}
+                          style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
+                        >
+                          <option value="">-- Field --</option>
+                          {summaryChildFields.map(f => (
+                            <option key={f.id} value={`${summaryChildName}.${f.apiName}`}>{f.label}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={item.operation || 'equals'}
+                          onChange={(e) => updateItem('operation', e.target.value)}
+                          style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
+                        >
+                          {LOOKUP_FILTER_OPERATIONS.map(op => (
+                            <option key={op} value={op}>{op}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={item.value || ''}
+                          onChange={(e) => updateItem('value', e.target.value)}
+                          placeholder="Value"
+                          style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
+                        />
+                        <button
+                          onClick={() => handleChange('summaryFilterItems', field.summaryFilterItems.filter((_, i) => i !== index))}
+                          style={{
+                            padding: '8px',
+                            backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                            color: '#ef4444',
+                            border: 'none',
+                            borderRadius: '6px',
+                            cursor: 'pointer',
+                            display: 'flex',
+                            alignItems: 'center',
+                            justifyContent: 'center'
+                          }}
+                        >
+                          <X size={16} />
+                        </button>
+                      </div>
+                    )
+                  })}
+                </div>
               </div>
-            ))}
+            </div>
+          )}
+        </div>
+      )}
 
-            {(!field.picklistValues || field.picklistValues.length === 0) && (
-              <div style={{
-                padding: '32px',
-                textAlign: 'center',
-                color: darkMode ? '#64748b' : '#94a3b8',
-                fontSize: '0.875rem'
-              }}>
-                No picklist values added yet. Click "Add Value" to get started.
+      {(['Picklist', 'MultiselectPicklist'].includes(field.type)) && (
+        <div style={{ 
+          padding: '24px', 
+          backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+          borderRadius: '12px',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          marginBottom: '24px'
+        }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '20px',
+            paddingBottom: '12px',
+            borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+          }}>
+            <h3 style={{ fontSize: '1.125rem', fontWeight: 700 }}>
+              Picklist Values
+            </h3>
+            {!usesGlobalValueSet && (
+              <button
+                onClick={handleAddPicklistValue}
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: '#2563eb',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '6px',
+                  fontSize: '0.875rem',
+                  fontWeight: 600,
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px'
+                }}
+              >
+                <Plus size={16} />
+                Add Value
+              </button>
+            )}
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: usesGlobalValueSet ? '1fr 1fr' : '1fr', gap: '16px', marginBottom: '20px' }}>
+            <div>
+              <label style={labelStyle}>Value Source</label>
+              <select
+                value={usesGlobalValueSet ? 'global' : 'local'}
+                onChange={(e) => handleValueSourceChange(e.target.value)}
+                style={inputStyle}
+              >
+                <option value="local">Values defined on this field</option>
+                <option value="global">Global value set</option>
+              </select>
+            </div>
+
+            {usesGlobalValueSet && (
+              <div>
+                <label style={labelStyle}>
+                  Global Value Set <span style={{ color: '#ef4444' }}>*</span>
+                </label>
+                <select
+                  value={field.valueSetName}
+                  onChange={(e) => handleChange('valueSetName', e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="">-- Select a value set --</option>
+                  {globalValueSets.map(vs => (
+                    <option key={vs.id} value={vs.fullName}>{vs.masterLabel || vs.fullName} ({vs.fullName})</option>
+                  ))}
+                </select>
+                {globalValueSets.length === 0 && (
+                  <div style={{ fontSize: '0.75rem', color: darkMode ? '#94a3b8' : '#64748b', marginTop: '4px' }}>
+                    No global value sets yet. Create one from "Global Value Sets" in the sidebar.
+                  </div>
+                )}
               </div>
             )}
           </div>
+
+          {!usesGlobalValueSet && (
+            <div style={{ marginBottom: '20px', display: 'flex', flexWrap: 'wrap', gap: '16px' }}>
+              <label style={checkboxLabelStyle}>
+                <input
+                  type="checkbox"
+                  checked={field.restricted !== false}
+                  onChange={(e) => handleChange('restricted', e.target.checked)}
+                  style={{ width: '18px', height: '18px' }}
+                />
+                <span>Restricted Picklist (limit to defined values only)</span>
+              </label>
+              <label style={checkboxLabelStyle}>
+                <input
+                  type="checkbox"
+                  checked={field.sorted === true}
+                  onChange={(e) => handleChange('sorted', e.target.checked)}
+                  style={{ width: '18px', height: '18px' }}
+                />
+                <span>Sort values alphabetically (otherwise the order below is used)</span>
+              </label>
+            </div>
+          )}
+
+          {field.type === 'MultiselectPicklist' && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Visible Lines</label>
+              <input
+                type="number"
+                value={field.visibleLines || 6}
+                onChange={(e) => handleChange('visibleLines', parseInt(e.target.value))}
+                style={inputStyle}
+                min="3"
+                max="10"
+              />
+            </div>
+          )}
+
+          {usesGlobalValueSet ? (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+              {picklistValues.map(pv => (
+                <span
+                  key={pv.fullName}
+                  style={{
+                    padding: '4px 10px',
+                    backgroundColor: darkMode ? '#0f172a' : '#f1f5f9',
+                    border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`,
+                    borderRadius: '999px',
+                    fontSize: '0.8125rem',
+                    fontWeight: pv.default ? 600 : 400
+                  }}
+                >
+                  {pv.label || pv.fullName}
+                </span>
+              ))}
+              {globalValueSet && picklistValues.length === 0 && (
+                <div style={{ fontSize: '0.875rem', color: darkMode ? '#64748b' : '#94a3b8' }}>
+                  {globalValueSet.fullName} has no values yet.
+                </div>
+              )}
+            </div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+              {(field.picklistValues || []).map((pv, index) => (
+                <div
+                  key={index}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => {
+                    handleMovePicklistValue(dragIndex, index)
+                    setDragIndex(null)
+                  }}
+                  onDragEnd={() => setDragIndex(null)}
+                  style={{
+                    padding: '16px',
+                    backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                    borderRadius: '8px',
+                    border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`,
+                    borderLeft: pv.color ? `4px solid ${pv.color}` : `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`,
+                    opacity: dragIndex === index ? 0.5 : (pv.isActive === false ? 0.7 : 1)
+                  }}
+                >
+                  <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr 1fr auto auto', gap: '12px', alignItems: 'end' }}>
+                    <div
+                      draggable
+                      onDragStart={() => setDragIndex(index)}
+                      title="Drag to reorder"
+                      style={{ cursor: 'grab', paddingBottom: '8px', color: darkMode ? '#64748b' : '#94a3b8', display: 'flex' }}
+                    >
+                      <GripVertical size={16} />
+                    </div>
+                    <div>
+                      <label style={{ ...labelStyle, fontSize: '0.75rem' }}>API Name</label>
+                      <input
+                        type="text"
+                        value={pv.fullName || ''}
+                        onChange={(e) => handleUpdatePicklistValue(index, 'fullName', e.target.value)}
+                        placeholder="Value_1"
+                        style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
+                      />
+                    </div>
+                    <div>
+                      <label style={{ ...labelStyle, fontSize: '0.75rem' }}>Label</label>
+                      <input
+                        type="text"
+                        value={pv.label || ''}
+                        onChange={(e) => handleUpdatePicklistValue(index, 'label', e.target.value)}
+                        placeholder="Value 1"
+                        style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
+                      />
+                    </div>
+                    <label style={{ ...checkboxLabelStyle, fontSize: '0.75rem', paddingBottom: '8px' }}>
+                      <input
+                        type="checkbox"
+                        checked={pv.default || false}
+                        disabled={pv.isActive === false}
+                        onChange={(e) => handleUpdatePicklistValue(index, 'default', e.target.checked)}
+                        style={{ width: '16px', height: '16px' }}
+                      />
+                      <span>Default</span>
+                    </label>
+                    <button
+                      onClick={() => handleRemovePicklistValue(index)}
+                      style={{
+                        padding: '8px',
+                        backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                        color: '#ef4444',
+                        border: 'none',
+                        borderRadius: '6px',
+                        cursor: 'pointer',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        marginBottom: '8px'
+                      }}
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                  <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr auto', gap: '12px', alignItems: 'center', marginTop: '12px', paddingLeft: '28px' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                      <input
+                        type="color"
+                        value={pv.color || '#000000'}
+                        onChange={(e) => handleUpdatePicklistValue(index, 'color', e.target.value.toUpperCase())}
+                        title="Chart color"
+                        style={{ width: '32px', height: '32px', padding: 0, border: 'none', background: 'none', cursor: 'pointer' }}
+                      />
+                      {pv.color ? (
+                        <button
+                          onClick={() => handleUpdatePicklistValue(index, 'color', undefined)}
+                          style={{ background: 'none', border: 'none', color: darkMode ? '#94a3b8' : '#64748b', fontSize: '0.75rem', cursor: 'pointer' }}
+                        >
+                          Clear
+                        </button>
+                      ) : (
+                        <span style={{ fontSize: '0.75rem', color: darkMode ? '#64748b' : '#94a3b8' }}>No color</span>
+                      )}
+                    </div>
+                    <input
+                      type="text"
+                      value={pv.description || ''}
+                      onChange={(e) => handleUpdatePicklistValue(index, 'description', e.target.value)}
+                      placeholder="Description"
+                      style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
+                    />
+                    <label style={{ ...checkboxLabelStyle, fontSize: '0.75rem' }}>
+                      <input
+                        type="checkbox"
+                        checked={pv.isActive !== false}
+                        onChange={(e) => handleTogglePicklistValueActive(index, e.target.checked)}
+                        style={{ width: '16px', height: '16px' }}
+                      />
+                      <span>Active</span>
+                    </label>
+                  </div>
+                </div>
+              ))}
+
+              {(!field.picklistValues || field.picklistValues.length === 0) && (
+                <div style={{
+                  padding: '32px',
+                  textAlign: 'center',
+                  color: darkMode ? '#64748b' : '#94a3b8',
+                  fontSize: '0.875rem'
+                }}>
+                  No picklist values added yet. Click "Add Value" to get started.
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {(['Picklist', 'MultiselectPicklist'].includes(field.type)) && (
+        <div style={{ 
+          padding: '24px', 
+          backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+          borderRadius: '12px',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          marginBottom: '24px'
+        }}>
+          <h3 style={{ 
+            fontSize: '1.125rem', 
+            fontWeight: 700, 
+            marginBottom: '20px',
+            paddingBottom: '12px',
+            borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+          }}>
+            Field Dependency
+          </h3>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>Controlling Field</label>
+            <select
+              value={field.controllingField || ''}
+              onChange={(e) => onChange({ ...field, controllingField: e.target.value || undefined, valueSettings: [] })}
+              style={inputStyle}
+            >
+              <option value="">-- None (independent picklist) --</option>
+              {controllingCandidates.map(f => (
+                <option key={f.id} value={f.apiName}>{f.label} ({f.apiName}, {f.type})</option>
+              ))}
+            </select>
+          </div>
+
+          {field.controllingField && dependencyErrors.length > 0 && (
+            <div style={{
+              marginBottom: '16px',
+              padding: '12px',
+              backgroundColor: 'rgba(239, 68, 68, 0.1)',
+              borderRadius: '8px',
+              fontSize: '0.8125rem',
+              color: '#dc2626'
+            }}>
+              {dependencyErrors.map(err => <div key={err}>{err}</div>)}
+              {controllingField && (
+                <button
+                  onClick={handleCleanupMappings}
+                  style={{
+                    marginTop: '8px',
+                    padding: '4px 10px',
+                    backgroundColor: '#dc2626',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '6px',
+                    fontSize: '0.75rem',
+                    fontWeight: 600,
+                    cursor: 'pointer'
+                  }}
+                >
+                  Remove invalid mappings
+                </button>
+              )}
+            </div>
+          )}
+
+          {controllingField && controllingValues.length > 0 && picklistValues.length > 0 && (
+            <div style={{ overflow: 'auto' }}>
+              <table style={{ borderCollapse: 'collapse', fontSize: '0.8125rem', width: '100%' }}>
+                <thead>
+                  <tr>
+                    <th style={{ textAlign: 'left', padding: '8px', borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}` }}>
+                      {field.label || field.apiName} \ {controllingField.label || controllingField.apiName}
+                    </th>
+                    {controllingValues.map(cv => (
+                      <th key={cv} style={{ padding: '8px', borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`, whiteSpace: 'nowrap' }}>
+                        {cv}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {picklistValues.filter(pv => pv.fullName).map(pv => (
+                    <tr key={pv.fullName}>
+                      <td style={{ padding: '8px', borderBottom: `1px solid ${darkMode ? '#1e293b' : '#f1f5f9'}` }}>
+                        {pv.label || pv.fullName}
+                      </td>
+                      {controllingValues.map(cv => (
+                        <td key={cv} style={{ padding: '8px', textAlign: 'center', borderBottom: `1px solid ${darkMode ? '#1e293b' : '#f1f5f9'}` }}>
+                          <input
+                            type="checkbox"
+                            checked={isMapped(pv.fullName, cv)}
+                            onChange={() => handleToggleMapping(pv.fullName, cv)}
+                            style={{ width: '16px', height: '16px', cursor: 'pointer' }}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div style={{ fontSize: '0.75rem', color: darkMode ? '#94a3b8' : '#64748b', marginTop: '8px' }}>
+                Tick the controlling values for which each value is available. Unmapped values are never shown.
+              </div>
+            </div>
+          )}
+
+          {controllingField && (controllingValues.length === 0 || picklistValues.length === 0) && (
+            <div style={{ fontSize: '0.875rem', color: darkMode ? '#94a3b8' : '#64748b' }}>
+              Add values to both picklists to edit the dependency matrix.
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -962,7 +1982,7 @@ function Tabs({ activeTab, onTabChange, darkMode }) {
   )
 }
 
-function Header({ onDownload, darkMode, onToggleDark, onToggleSidebar, isMobile }) {
+function Header({ onDownload, exportFormat, onExportFormatChange, apiVersion, onApiVersionChange, darkMode, onToggleDark, onToggleSidebar, isMobile }) {
   const styles = {
     header: {
       padding: '16px 24px',
@@ -1013,6 +2033,15 @@ function Header({ onDownload, darkMode, onToggleDark, onToggleSidebar, isMobile
       alignItems: 'center',
       gap: '8px'
     },
+    select: {
+      padding: '8px 10px',
+      border: `1px solid ${darkMode ? '#475569' : '#cbd5e1'}`,
+      borderRadius: '8px',
+      fontSize: '0.8125rem',
+      backgroundColor: darkMode ? '#0f172a' : '#ffffff',
+      color: darkMode ? '#f1f5f9' : '#0f172a',
+      cursor: 'pointer'
+    },
     iconButton: {
       padding: '8px',
       border: 'none',
@@ -1057,6 +2086,26 @@ function Header({ onDownload, darkMode, onToggleDark, onToggleSidebar, isMobile
         </div>
       </div>
       <div style={styles.right}>
+        <select
+          value={exportFormat}
+          onChange={(e) => onExportFormatChange(e.target.value)}
+          style={styles.select}
+          title="Export layout"
+        >
+          {Object.entries(EXPORT_FORMATS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={apiVersion}
+          onChange={(e) => onApiVersionChange(e.target.value)}
+          style={styles.select}
+          title="API version for package.xml"
+        >
+          {API_VERSIONS.map(version => (
+            <option key={version} value={version}>API v{version}</option>
+          ))}
+        </select>
         <button style={styles.button} onClick={onDownload}>
           <Download size={16} />
           Download
@@ -1069,7 +2118,7 @@ function Header({ onDownload, darkMode, onToggleDark, onToggleSidebar, isMobile
   )
 }
 
-function FieldItem({ field, isSelected, onSelect, onDelete, darkMode }) {
+function FieldItem({ field, issues = [], isSelected, onSelect, onDelete, darkMode }) {
   const [showDelete, setShowDelete] = useState(false)
 
   const styles = {
@@ -1114,6 +2163,19 @@ function FieldItem({ field, isSelected, onSelect, onDelete, darkMode }) {
       textOverflow: 'ellipsis',
       whiteSpace: 'nowrap'
     },
+    issueBadge: {
+      minWidth: '18px',
+      height: '18px',
+      padding: '0 5px',
+      borderRadius: '9px',
+      fontSize: '0.6875rem',
+      fontWeight: 700,
+      lineHeight: '18px',
+      textAlign: 'center',
+      color: 'white',
+      backgroundColor: issues.some(issue => issue.severity === 'error') ? '#ef4444' : '#f59e0b',
+      flexShrink: 0
+    },
     requiredStar: {
       fontSize: '1rem',
       color: '#ef4444',
@@ -1149,6 +2211,11 @@ function FieldItem({ field, isSelected, onSelect, onDelete, darkMode }) {
           <div style={styles.label}>{field.label || 'Unnamed Field'}</div>
           <div style={styles.apiName}>{field.apiName}</div>
         </div>
+        {issues.length > 0 && (
+          <span style={styles.issueBadge} title={issues.map(issue => issue.message).join('\n')}>
+            {issues.length}
+          </span>
+        )}
         {field.required && (
           <span style={styles.requiredStar} title="Required Field">*</span>
         )}
@@ -1166,7 +2233,78 @@ function FieldItem({ field, isSelected, onSelect, onDelete, darkMode }) {
   )
 }
 
-function Sidebar({ fields, allFields, selectedId, onSelect, onDelete, onAdd, onImport, darkMode, fieldTypeFilter, onFilterChange, generalCount, lookupCount, formulaCount, onDownloadByCategory, isOpen, onClose, isMobile }) {
+function ObjectItem({ object, isSelected, canDelete, onSelect, onDelete, darkMode }) {
+  const [showDelete, setShowDelete] = useState(false)
+
+  const styles = {
+    item: {
+      padding: '8px 10px',
+      margin: '2px 0',
+      backgroundColor: isSelected
+        ? (darkMode ? 'rgba(37, 99, 235, 0.2)' : '#eff6ff')
+        : 'transparent',
+      border: isSelected ? '1px solid #2563eb' : '1px solid transparent',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      fontSize: '0.8125rem'
+    },
+    name: {
+      flex: 1,
+      minWidth: 0,
+      fontFamily: 'monospace',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+      color: isSelected ? '#2563eb' : 'inherit',
+      fontWeight: isSelected ? 600 : 400
+    },
+    count: {
+      fontSize: '0.7rem',
+      fontWeight: 700,
+      color: darkMode ? '#94a3b8' : '#64748b'
+    },
+    deleteButton: {
+      padding: '4px',
+      border: 'none',
+      background: 'rgba(239, 68, 68, 0.1)',
+      color: '#ef4444',
+      borderRadius: '4px',
+      cursor: 'pointer',
+      opacity: showDelete && canDelete ? 1 : 0,
+      pointerEvents: canDelete ? 'auto' : 'none',
+      transition: 'opacity 0.2s',
+      display: 'flex',
+      alignItems: 'center'
+    }
+  }
+
+  return (
+    <div
+      style={styles.item}
+      onClick={onSelect}
+      onMouseEnter={() => setShowDelete(true)}
+      onMouseLeave={() => setShowDelete(false)}
+    >
+      <Database size={14} style={{ flexShrink: 0, color: isSelected ? '#2563eb' : (darkMode ? '#94a3b8' : '#64748b') }} />
+      <span style={styles.name}>{object.name || 'Unnamed Object'}</span>
+      <span style={styles.count}>{object.fields.length}</span>
+      <button
+        style={styles.deleteButton}
+        onClick={(e) => {
+          e.stopPropagation()
+          onDelete()
+        }}
+      >
+        <Trash2 size={12} />
+      </button>
+    </div>
+  )
+}
+
+function Sidebar({ fields, allFields, objects, selectedObjectId, onSelectObject, onAddObject, onDeleteObject, objectName, onObjectNameChange, onDownloadWorkspace, onOpenObjectSettings, showingObjectSettings, valueSetCount, onOpenValueSets, showingValueSets, issues, workspaceIssueCount, workspaceErrorCount, onOpenIssues, showingIssues, selectedId, onSelect, onDelete, onAdd, onImport, darkMode, fieldTypeFilter, onFilterChange, generalCount, lookupCount, formulaCount, onDownloadByCategory, isOpen, onClose, isMobile }) {
   const styles = {
     sidebar: {
       width: isMobile ? '280px' : '320px',
@@ -1188,6 +2326,34 @@ function Sidebar({ fields, allFields, selectedId, onSelect, onDelete, onAdd, onI
       padding: '16px',
       borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
     },
+    objects: {
+      padding: '12px 16px',
+      borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+    },
+    objectsHeader: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '8px'
+    },
+    objectList: {
+      maxHeight: '160px',
+      overflow: 'auto',
+      marginBottom: '8px'
+    },
+    smallButton: {
+      padding: '4px 8px',
+      border: 'none',
+      borderRadius: '6px',
+      fontSize: '0.7rem',
+      fontWeight: 600,
+      cursor: 'pointer',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '4px',
+      backgroundColor: darkMode ? '#334155' : '#f1f5f9',
+      color: darkMode ? '#cbd5e1' : '#475569'
+    },
     title: {
       fontSize: '0.75rem',
       fontWeight: 700,
@@ -1196,6 +2362,17 @@ function Sidebar({ fields, allFields, selectedId, onSelect, onDelete, onAdd, onI
       marginBottom: '12px',
       letterSpacing: '0.05em'
     },
+    objectInput: {
+      flex: 1,
+      minWidth: 0,
+      padding: '8px 10px',
+      border: `1px solid ${darkMode ? '#475569' : '#cbd5e1'}`,
+      borderRadius: '8px',
+      fontSize: '0.8125rem',
+      fontFamily: 'monospace',
+      backgroundColor: darkMode ? '#0f172a' : '#ffffff',
+      color: darkMode ? '#f1f5f9' : '#0f172a'
+    },
     addButton: {
       width: '100%',
       padding: '8px 16px',
@@ -1335,6 +2512,88 @@ function Sidebar({ fields, allFields, selectedId, onSelect, onDelete, onAdd, onI
           </div>
         )}
         
+        <div style={styles.objects}>
+          <div style={styles.objectsHeader}>
+            <div style={{ ...styles.title, marginBottom: 0 }}>Objects</div>
+            <div style={{ display: 'flex', gap: '6px' }}>
+              <button style={styles.smallButton} onClick={onDownloadWorkspace} title="Download all objects">
+                <Download size={12} />
+                All
+              </button>
+              <button style={styles.smallButton} onClick={onAddObject} title="Add object">
+                <Plus size={12} />
+                Add
+              </button>
+            </div>
+          </div>
+          <div style={styles.objectList}>
+            {objects.map(object => (
+              <ObjectItem
+                key={object.id}
+                object={object}
+                isSelected={object.id === selectedObjectId}
+                canDelete={objects.length > 1}
+                onSelect={() => onSelectObject(object.id)}
+                onDelete={() => onDeleteObject(object.id)}
+                darkMode={darkMode}
+              />
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <input
+              type="text"
+              value={objectName}
+              onChange={(e) => onObjectNameChange(e.target.value)}
+              placeholder={DEFAULT_OBJECT_NAME}
+              style={styles.objectInput}
+              title="Object API name"
+            />
+            <button
+              style={{
+                ...styles.smallButton,
+                backgroundColor: showingObjectSettings ? '#2563eb' : styles.smallButton.backgroundColor,
+                color: showingObjectSettings ? 'white' : styles.smallButton.color
+              }}
+              onClick={onOpenObjectSettings}
+              title="Object settings"
+            >
+              <Settings size={14} />
+            </button>
+          </div>
+          <button
+            style={{
+              ...styles.smallButton,
+              width: '100%',
+              justifyContent: 'center',
+              marginTop: '8px',
+              padding: '6px 8px',
+              backgroundColor: showingValueSets ? '#2563eb' : styles.smallButton.backgroundColor,
+              color: showingValueSets ? 'white' : styles.smallButton.color
+            }}
+            onClick={onOpenValueSets}
+            title="Picklist value sets shared across objects"
+          >
+            <Layers size={12} />
+            Global Value Sets ({valueSetCount})
+          </button>
+          <button
+            style={{
+              ...styles.smallButton,
+              width: '100%',
+              justifyContent: 'center',
+              marginTop: '6px',
+              padding: '6px 8px',
+              backgroundColor: showingIssues ? '#2563eb' : (workspaceErrorCount > 0 ? 'rgba(239, 68, 68, 0.1)' : styles.smallButton.backgroundColor),
+              color: showingIssues ? 'white' : (workspaceErrorCount > 0 ? '#ef4444' : styles.smallButton.color)
+            }}
+            onClick={onOpenIssues}
+            title="Validation results for every field in the workspace"
+          >
+            <AlertTriangle size={12} />
+            Issues ({workspaceIssueCount})
+          </button>
+        </div>
+
         <div style={styles.header}>
           <div style={styles.title}>Field Definitions</div>
           <button style={styles.addButton} onClick={onAdd}>
@@ -1391,6 +2650,7 @@ function Sidebar({ fields, allFields, selectedId, onSelect, onDelete, onAdd, onI
             <FieldItem
               key={field.id}
               field={field}
+              issues={issues.filter(issue => issue.fieldId === field.id)}
               isSelected={field.id === selectedId}
               onSelect={() => onSelect(field.id)}
               onDelete={() => onDelete(field.id)}
@@ -1408,9 +2668,12 @@ function Sidebar({ fields, allFields, selectedId, onSelect, onDelete, onAdd, onI
 }
 
 function App() {
-  const [fields, setFields] = useState(INITIAL_FIELDS)
+  const [objects, setObjects] = useState(INITIAL_OBJECTS)
+  const [selectedObjectId, setSelectedObjectId] = useState(INITIAL_OBJECTS[0].id)
+  const [globalValueSets, setGlobalValueSets] = useState([])
   const [selectedId, setSelectedId] = useState('1')
   const [activeTab, setActiveTab] = useState('editor')
+  const [mainView, setMainView] = useState('field')
   const [showImportModal, setShowImportModal] = useState(false)
   const [fieldTypeFilter, setFieldTypeFilter] = useState('all')
   const [darkMode, setDarkMode] = useState(() => {
@@ -1421,6 +2684,18 @@ function App() {
     }
     return true
   })
+  const [exportFormat, setExportFormat] = useState(() => {
+    if (typeof window !== 'undefined') {
+      return localStorage.getItem('exportFormat') || 'flat'
+    }
+    return 'flat'
+  })
+  const [apiVersion, setApiVersion] = useState(() => {
+    if (typeof window !== 'undefined') {
+      return localStorage.getItem('apiVersion') || DEFAULT_API_VERSION
+    }
+    return DEFAULT_API_VERSION
+  })
   
   // NEW: Mobile state
   const [sidebarOpen, setSidebarOpen] = useState(false)
@@ -1437,11 +2712,44 @@ function App() {
     return () => window.removeEventListener('resize', checkMobile)
   }, [])
 
+  // Everything below the object switcher works on the selected object's fields
+  const selectedObject = objects.find(o => o.id === selectedObjectId) || objects[0]
+  const fields = selectedObject.fields
+  const objectName = selectedObject.name
+
+  const updateObjects = (newObjects) => {
+    syncFormulaTests(objects, newObjects)
+    setObjects(newObjects)
+  }
+
+  const setFields = (newFields) => {
+    updateObjects(objects.map(o => o.id === selectedObject.id ? { ...o, fields: newFields } : o))
+  }
+
+  const setObjectName = (name) => {
+    updateObjects(objects.map(o => o.id === selectedObject.id ? { ...o, name } : o))
+  }
+
+  const setObjectSettings = (settings) => {
+    updateObjects(objects.map(o => o.id === selectedObject.id ? { ...o, settings } : o))
+  }
+
+  // Keep picklists pointing at a global value set when its API name changes
+  const handleRenameValueSet = (oldName, newName) => {
+    updateObjects(objects.map(o => ({
+      ...o,
+      fields: o.fields.map(f => f.valueSetName === oldName ? { ...f, valueSetName: newName } : f)
+    })))
+  }
+
   const selectedField = fields.find(f => f.id === selectedId)
 
-  const generalFields = fields.filter(f => !['Lookup', 'MasterDetail', 'Formula'].includes(f.type))
+  const workspaceIssues = useMemo(() => validateWorkspace(objects, globalValueSets), [objects, globalValueSets])
+  const workspaceErrorCount = workspaceIssues.filter(issue => issue.severity === 'error').length
+
+  const generalFields = fields.filter(f => !['Lookup', 'MasterDetail', 'Formula', 'Summary'].includes(f.type))
   const lookupFields = fields.filter(f => ['Lookup', 'MasterDetail'].includes(f.type))
-  const formulaFields = fields.filter(f => f.type === 'Formula')
+  const formulaFields = fields.filter(f => ['Formula', 'Summary'].includes(f.type))
 
   const getFilteredFields = () => {
     switch(fieldTypeFilter) {
@@ -1460,6 +2768,52 @@ function App() {
     localStorage.setItem('darkMode', newMode)
   }
 
+  const handleExportFormatChange = (format) => {
+    setExportFormat(format)
+    localStorage.setItem('exportFormat', format)
+  }
+
+  const handleApiVersionChange = (version) => {
+    setApiVersion(version)
+    localStorage.setItem('apiVersion', version)
+  }
+
+  const handleSelectObject = (id) => {
+    const object = objects.find(o => o.id === id)
+    setSelectedObjectId(id)
+    setSelectedId(object && object.fields.length > 0 ? object.fields[0].id : null)
+    setFieldTypeFilter('all')
+  }
+
+  const handleAddObject = () => {
+    // Object names must stay unique: they name the export folders
+    let number = objects.length + 1
+    while (objects.some(o => o.name === `New_Object_${number}__c`)) number++
+    const newObject = {
+      id: 'obj-' + Date.now(),
+      name: `New_Object_${number}__c`,
+      fields: []
+    }
+    updateObjects([...objects, newObject])
+    setSelectedObjectId(newObject.id)
+    setSelectedId(null)
+    setFieldTypeFilter('all')
+  }
+
+  const handleDeleteObject = (id) => {
+    if (objects.length <= 1) return
+    const object = objects.find(o => o.id === id)
+    if (object.fields.length > 0 && !window.confirm(`Delete ${object.name} and its ${object.fields.length} field(s)?`)) {
+      return
+    }
+    const newObjects = objects.filter(o => o.id !== id)
+    updateObjects(newObjects)
+    if (selectedObjectId === id) {
+      setSelectedObjectId(newObjects[0].id)
+      setSelectedId(newObjects[0].fields.length > 0 ? newObjects[0].fields[0].id : null)
+    }
+  }
+
   const handleAddField = () => {
     const newField = {
       id: Date.now().toString(),
@@ -1475,6 +2829,7 @@ function App() {
     setFields([...fields, newField])
     setSelectedId(newField.id)
     setActiveTab('editor')
+    setMainView('field')
     if (isMobile) {
       setSidebarOpen(false)
     }
@@ -1495,27 +2850,48 @@ function App() {
   // NEW: Close sidebar when selecting field on mobile
   const handleSelectField = (id) => {
     setSelectedId(id)
+    setMainView('field')
     if (isMobile) {
       setSidebarOpen(false)
     }
   }
 
+  const handleSelectIssue = (issue) => {
+    if (!issue.fieldId) return
+    setSelectedObjectId(issue.objectId)
+    setSelectedId(issue.fieldId)
+    setFieldTypeFilter('all')
+    setActiveTab('editor')
+    setMainView('field')
+  }
+
+  // Ask before exporting a bundle that would fail to deploy. fieldIds narrows
+  // field-level errors to the exported fields; object-level limits always count.
+  const confirmDeployable = (objectIds, fieldIds) => {
+    const blocking = workspaceIssues.filter(issue =>
+      issue.severity === 'error' &&
+      objectIds.includes(issue.objectId) &&
+      (!fieldIds || !issue.fieldId || fieldIds.includes(issue.fieldId)))
+    if (blocking.length === 0) return true
+
+    const lines = blocking.slice(0, 10).map(issue =>
+      `- ${issue.objectName}${issue.fieldApiName ? '.' + issue.fieldApiName : ''}: ${issue.message}`)
+    if (blocking.length > 10) lines.push(`...and ${blocking.length - 10} more`)
+    return window.confirm(`This bundle has ${blocking.length} error(s) and would fail to deploy:\n\n${lines.join('\n')}\n\nExport anyway?`)
+  }
+
   const handleDownload = async () => {
-    const zip = new JSZip()
-    const folder = zip.folder('fields')
-    
-    fields.forEach(field => {
-      const xml = generateXml(field)
-      folder.file(`${field.apiName}.field-meta.xml`, xml)
-    })
+    if (!confirmDeployable([selectedObject.id])) return
+    const bundle = [{ ...selectedObject, name: objectName || DEFAULT_OBJECT_NAME }]
+    const zip = buildExportZip(bundle, { format: exportFormat, apiVersion, globalValueSets: getReferencedValueSets(bundle, globalValueSets) })
+    await saveZip(zip, `${objectName || 'salesforce'}-fields.zip`)
+  }
 
-    const content = await zip.generateAsync({ type: 'blob' })
-    const url = URL.createObjectURL(content)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'salesforce-fields.zip'
-    a.click()
-    URL.revokeObjectURL(url)
+  const handleDownloadWorkspace = async () => {
+    if (!confirmDeployable(objects.map(o => o.id))) return
+    const bundle = objects.map(o => ({ ...o, name: o.name || DEFAULT_OBJECT_NAME }))
+    const zip = buildExportZip(bundle, { format: exportFormat, apiVersion, globalValueSets })
+    await saveZip(zip, 'salesforce-workspace.zip')
   }
 
   const handleDownloadByCategory = async (category) => {
@@ -1525,15 +2901,15 @@ function App() {
     switch(category) {
       case 'general':
         fieldsToDownload = generalFields
-        filename = 'general-fields.zip'
+        filename = `${objectName}-general-fields.zip`
         break
       case 'lookup':
         fieldsToDownload = lookupFields
-        filename = 'lookup-fields.zip'
+        filename = `${objectName}-lookup-fields.zip`
         break
       case 'formula':
         fieldsToDownload = formulaFields
-        filename = 'formula-fields.zip'
+        filename = `${objectName}-formula-fields.zip`
         break
       default:
         return
@@ -1544,21 +2920,11 @@ function App() {
       return
     }
 
-    const zip = new JSZip()
-    const folder = zip.folder('fields')
-    
-    fieldsToDownload.forEach(field => {
-      const xml = generateXml(field)
-      folder.file(`${field.apiName}.field-meta.xml`, xml)
-    })
+    if (!confirmDeployable([selectedObject.id], fieldsToDownload.map(f => f.id))) return
 
-    const content = await zip.generateAsync({ type: 'blob' })
-    const url = URL.createObjectURL(content)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = filename
-    a.click()
-    URL.revokeObjectURL(url)
+    const bundle = [{ ...selectedObject, name: objectName || DEFAULT_OBJECT_NAME, fields: fieldsToDownload }]
+    const zip = buildExportZip(bundle, { format: exportFormat, apiVersion, globalValueSets: getReferencedValueSets(bundle, globalValueSets) })
+    await saveZip(zip, filename)
   }
 
   const handleDownloadSingleField = (field) => {
@@ -1572,30 +2938,64 @@ function App() {
     URL.revokeObjectURL(url)
   }
 
+  // Accepts { objectName, fields } (the AI/README format) or
+  // { objects: [{ objectName, fields }] }. Each object replaces the fields of
+  // the workspace object with the same name, or is added as a new object;
+  // payloads without an objectName go into the selected object.
   const handleImportJSON = (jsonData) => {
     try {
-      const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData
-      
-      if (!data.fields || !Array.isArray(data.fields)) {
+      const parsed = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData
+      const { data, changes } = normalizeImportPayload(parsed)
+
+      const payloads = Array.isArray(data.objects) ? data.objects : [data]
+      if (payloads.length === 0 || payloads.some(p => !p.fields || !Array.isArray(p.fields))) {
         alert('Invalid JSON format. Expected { "fields": [...] }')
         return
       }
 
-      const importedFields = data.fields.map((field, index) => ({
-        ...field,
-        id: Date.now().toString() + index,
-        required: field.required || false,
-        trackHistory: field.trackHistory || false,
-        externalId: field.externalId || false,
-        unique: field.unique || false
-      }))
-
-      setFields(importedFields)
-      if (importedFields.length > 0) {
-        setSelectedId(importedFields[0].id)
-      }
+      let newObjects = [...objects]
+      let firstImported = null
+      const savedTests = loadFormulaTests()
+
+      payloads.forEach((payload, objectIndex) => {
+        const name = payload.objectName || selectedObject.name
+        const importedFields = payload.fields.map((field, index) => {
+          // Test cases in the payload win over the ones saved for the field
+          const formulaTests = field.formulaTests || (field.type === 'Formula' ? savedTests[`${name}.${field.apiName}`] : undefined)
+          return {
+            ...field,
+            ...(formulaTests && { formulaTests }),
+            id: Date.now().toString() + objectIndex + '-' + index,
+            required: field.required || false,
+            trackHistory: field.trackHistory || false,
+            externalId: field.externalId || false,
+            unique: field.unique || false
+          }
+        })
+
+        const existing = newObjects.find(o => o.name === name)
+        let target
+        if (existing) {
+          target = { ...existing, fields: importedFields }
+          newObjects = newObjects.map(o => o.id === existing.id ? target : o)
+        } else {
+          target = { id: 'obj-' + Date.now() + '-' + objectIndex, name, fields: importedFields }
+          newObjects.push(target)
+        }
+        firstImported = firstImported || target
+      })
+
+      updateObjects(newObjects)
+      setSelectedObjectId(firstImported.id)
+      setSelectedId(firstImported.fields.length > 0 ? firstImported.fields[0].id : null)
+      setFieldTypeFilter('all')
       setShowImportModal(false)
       setActiveTab('editor')
+      setMainView('field')
+
+      if (changes.length > 0) {
+        alert(`Imported with ${changes.length} correction${changes.length === 1 ? '' : 's'}:\n\n${formatNormalizationChanges(changes)}`)
+      }
     } catch (error) {
       alert('Error parsing JSON: ' + error.message)
     }
@@ -1630,6 +3030,10 @@ function App() {
 
       <Header 
         onDownload={handleDownload}
+        exportFormat={exportFormat}
+        onExportFormatChange={handleExportFormatChange}
+        apiVersion={apiVersion}
+        onApiVersionChange={handleApiVersionChange}
         darkMode={darkMode}
         onToggleDark={toggleDarkMode}
         onToggleSidebar={() => setSidebarOpen(true)}
@@ -1640,6 +3044,39 @@ function App() {
         <Sidebar 
           fields={filteredFields}
           allFields={fields}
+          objects={objects}
+          selectedObjectId={selectedObject.id}
+          onSelectObject={handleSelectObject}
+          onAddObject={handleAddObject}
+          onDeleteObject={handleDeleteObject}
+          objectName={objectName}
+          onObjectNameChange={setObjectName}
+          onDownloadWorkspace={handleDownloadWorkspace}
+          onOpenObjectSettings={() => {
+            setMainView('object')
+            if (isMobile) {
+              setSidebarOpen(false)
+            }
+          }}
+          showingObjectSettings={mainView === 'object'}
+          valueSetCount={globalValueSets.length}
+          onOpenValueSets={() => {
+            setMainView('valueSets')
+            if (isMobile) {
+              setSidebarOpen(false)
+            }
+          }}
+          showingValueSets={mainView === 'valueSets'}
+          issues={workspaceIssues.filter(issue => issue.objectId === selectedObject.id)}
+          workspaceIssueCount={workspaceIssues.length}
+          workspaceErrorCount={workspaceErrorCount}
+          onOpenIssues={() => {
+            setMainView('issues')
+            if (isMobile) {
+              setSidebarOpen(false)
+            }
+          }}
+          showingIssues={mainView === 'issues'}
           selectedId={selectedId}
           onSelect={handleSelectField}
           onDelete={handleDeleteField}
@@ -1664,7 +3101,49 @@ function App() {
           minWidth: 0,
           overflow: 'hidden'
         }}>
-          {selectedField ? (
+          {mainView === 'object' ? (
+            <div style={{ 
+              flex: 1, 
+              overflow: 'auto', 
+              padding: '24px',
+              backgroundColor: darkMode ? '#0f172a' : '#f8fafc'
+            }}>
+              <ObjectSettings
+                object={selectedObject}
+                onChange={setObjectSettings}
+                darkMode={darkMode}
+              />
+            </div>
+          ) : mainView === 'issues' ? (
+            <div style={{ 
+              flex: 1, 
+              overflow: 'auto', 
+              padding: '24px',
+              backgroundColor: darkMode ? '#0f172a' : '#f8fafc'
+            }}>
+              <IssuesPanel
+                issues={workspaceIssues}
+                objects={objects}
+                onSelectIssue={handleSelectIssue}
+                darkMode={darkMode}
+              />
+            </div>
+          ) : mainView === 'valueSets' ? (
+            <div style={{ 
+              flex: 1, 
+              overflow: 'auto', 
+              padding: '24px',
+              backgroundColor: darkMode ? '#0f172a' : '#f8fafc'
+            }}>
+              <GlobalValueSetManager
+                valueSets={globalValueSets}
+                objects={objects}
+                onChange={setGlobalValueSets}
+                onRename={handleRenameValueSet}
+                darkMode={darkMode}
+              />
+            </div>
+          ) : selectedField ? (
             <>
               <Tabs 
                 activeTab={activeTab}
@@ -1683,6 +3162,9 @@ function App() {
                     field={selectedField}
                     onChange={handleUpdateField}
                     darkMode={darkMode}
+                    objects={objects}
+                    objectName={objectName}
+                    globalValueSets={globalValueSets}
                   />
                 ) : (
                   <XmlPreview 
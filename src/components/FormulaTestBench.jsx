@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import { Plus, Trash2, CheckCircle, AlertCircle, Upload } from 'lucide-react';
+import { parseFormula, getFieldReferences, resolveFieldPath } from '../utils/formulaParser';
+import { evaluateFormula, runFormulaTests } from '../utils/formulaEvaluator';
+import { getPicklistValues } from '../utils/validation';
+
+const INPUT_TYPES = {
+  Number: 'number',
+  Date: 'date',
+  DateTime: 'datetime-local',
+  Time: 'time'
+};
+
+const PLACEHOLDERS = {
+  MultiPicklist: 'Value A;Value B',
+  Location: '37.7749, -122.4194',
+  Text: '(blank)'
+};
+
+export default function FormulaTestBench({ field, objects, objectName, globalValueSets, onTestsChange, darkMode }) {
+  const [values, setValues] = useState({});
+  const [testName, setTestName] = useState('');
+
+  const { ast } = parseFormula(field.formula || '');
+  if (!ast) {
+    return (
+      <div style={{ fontSize: '0.8125rem', color: darkMode ? '#64748b' : '#94a3b8' }}>
+        Fix the formula expression to try it against sample values.
+      </div>
+    );
+  }
+
+  const context = { objectName, objects };
+  const references = getFieldReferences(ast).map(path => ({ path, ...resolveFieldPath(path.split('.'), context) }));
+  const tests = field.formulaTests || [];
+  // The bench renders inside the field editor; a failed run must not break it
+  let outcome;
+  let runs;
+  try {
+    outcome = evaluateFormula(field.formula, {
+      ...context,
+      values,
+      treatBlanksAs: field.treatBlanksAs,
+      returnType: field.returnType,
+      scale: field.scale
+    });
+    runs = runFormulaTests(field, context);
+  } catch (error) {
+    outcome = { error: error.message };
+    runs = tests.map(test => ({ test, actual: null, error: error.message, passed: false }));
+  }
+  const passing = runs.filter(run => run.passed).length;
+
+  const handleSaveTest = () => {
+    const name = testName.trim() || `Test ${tests.length + 1}`;
+    onTestsChange([...tests, { id: Date.now().toString(), name, values: { ...values }, expected: outcome.display }]);
+    setTestName('');
+  };
+
+  const handleUpdateTest = (id, key, value) => {
+    onTestsChange(tests.map(test => test.id === id ? { ...test, [key]: value } : test));
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    border: `1px solid ${darkMode ? '#475569' : '#cbd5e1'}`,
+    borderRadius: '6px',
+    fontSize: '0.8125rem',
+    backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+    color: darkMode ? '#f1f5f9' : '#0f172a'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    marginBottom: '4px',
+    fontFamily: 'monospace',
+    color: darkMode ? '#cbd5e1' : '#334155'
+  };
+
+  const buttonStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '8px 12px',
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '0.8125rem',
+    fontWeight: 600,
+    cursor: 'pointer',
+    backgroundColor: '#2563eb',
+    color: 'white'
+  };
+
+  const iconButtonStyle = {
+    padding: '4px',
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    color: darkMode ? '#94a3b8' : '#64748b'
+  };
+
+  const renderInput = ({ path, type, field: referencedField }) => {
+    const value = values[path];
+    const setValue = next => setValues({ ...values, [path]: next });
+
+    if (type === 'Checkbox') {
+      return (
+        <input type="checkbox" checked={value === true} onChange={(e) => setValue(e.target.checked)} />
+      );
+    }
+    if (type === 'Picklist' && referencedField) {
+      return (
+        <select value={value || ''} onChange={(e) => setValue(e.target.value)} style={inputStyle}>
+          <option value="">(blank)</option>
+          {getPicklistValues(referencedField, globalValueSets).map(v => (
+            <option key={v.fullName} value={v.fullName}>{v.label || v.fullName}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={INPUT_TYPES[type] || 'text'}
+        step={type === 'Time' || type === 'DateTime' ? '1' : 'any'}
+        value={value || ''}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={PLACEHOLDERS[type] || PLACEHOLDERS.Text}
+        style={inputStyle}
+      />
+    );
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: '16px' }}>
+      {references.length === 0 ? (
+        <div style={{ fontSize: '0.8125rem', color: darkMode ? '#64748b' : '#94a3b8' }}>
+          This formula doesn't reference any fields.
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '12px' }}>
+          {references.map(reference => (
+            <div key={reference.path}>
+              <label style={labelStyle}>
+                {reference.path} <span style={{ fontWeight: 400, color: darkMode ? '#64748b' : '#94a3b8' }}>
+                  {reference.type === 'Unknown' ? 'Text' : reference.type}
+                </span>
+              </label>
+              {renderInput(reference)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{
+        padding: '12px',
+        borderRadius: '8px',
+        backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+        border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`,
+        fontSize: '0.875rem'
+      }}>
+        <span style={{ fontWeight: 600 }}>Result: </span>
+        {outcome.error ? (
+          <span style={{ color: '#dc2626' }}>#Error! {outcome.error}</span>
+        ) : (
+          <code style={{ fontFamily: 'monospace' }}>{outcome.display === '' ? '(blank)' : outcome.display}</code>
+        )}
+        <span style={{ marginLeft: '12px', fontSize: '0.75rem', color: darkMode ? '#64748b' : '#94a3b8' }}>
+          Blank number fields are treated as {field.treatBlanksAs === 'BlankAsBlank' ? 'blank' : 'zero'}
+        </span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <input
+          type="text"
+          value={testName}
+          onChange={(e) => setTestName(e.target.value)}
+          placeholder={`Test ${tests.length + 1}`}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button
+          onClick={handleSaveTest}
+          disabled={!!outcome.error}
+          style={{ ...buttonStyle, opacity: outcome.error ? 0.5 : 1, cursor: outcome.error ? 'not-allowed' : 'pointer' }}
+          title="Save these sample values with the current result as the expected value"
+        >
+          <Plus size={14} />
+          Save as Test Case
+        </button>
+      </div>
+
+      {runs.length > 0 && (
+        <div>
+          <div style={{ fontSize: '0.8125rem', fontWeight: 600, marginBottom: '8px', color: passing === runs.length ? '#16a34a' : '#dc2626' }}>
+            {passing} of {runs.length} test case{runs.length === 1 ? '' : 's'} passing
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {runs.map(({ test, actual, error, passed }) => (
+              <div key={test.id} style={{
+                display: 'grid',
+                gridTemplateColumns: '20px 1fr 1fr 1fr auto',
+                gap: '8px',
+                alignItems: 'center',
+                fontSize: '0.8125rem'
+              }}>
+                {passed
+                  ? <CheckCircle size={16} color="#16a34a" />
+                  : <AlertCircle size={16} color="#dc2626" />}
+                <input
+                  type="text"
+                  value={test.name}
+                  onChange={(e) => handleUpdateTest(test.id, 'name', e.target.value)}
+                  style={inputStyle}
+                />
+                <input
+                  type="text"
+                  value={test.expected}
+                  onChange={(e) => handleUpdateTest(test.id, 'expected', e.target.value)}
+                  placeholder="(blank)"
+                  title="Expected result"
+                  style={{ ...inputStyle, fontFamily: 'monospace' }}
+                />
+                <span style={{ fontFamily: 'monospace', color: passed ? 'inherit' : '#dc2626', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                  {error ? `#Error! ${error}` : (actual === '' ? '(blank)' : actual)}
+                </span>
+                <div style={{ display: 'flex' }}>
+                  <button onClick={() => setValues({ ...test.values })} style={iconButtonStyle} title="Load sample values">
+                    <Upload size={14} />
+                  </button>
+                  <button onClick={() => onTestsChange(tests.filter(t => t.id !== test.id))} style={iconButtonStyle} title="Delete test case">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
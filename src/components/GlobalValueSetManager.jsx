@@ -0,0 +1,385 @@
+import { useState } from 'react';
+import { Copy, Check, Plus, X, Trash2, AlertTriangle } from 'lucide-react';
+import { generateGlobalValueSetXml } from '../utils/xmlGenerator';
+
+// Global value set API names have no __c suffix: letters, digits and single underscores
+const VALUE_SET_NAME_PATTERN = /^[A-Za-z](?!.*__)[A-Za-z0-9_]*$/;
+
+function getValueSetErrors(valueSet, valueSets) {
+  const errors = [];
+  if (!valueSet.fullName) {
+    errors.push('API Name is required');
+  } else if (!VALUE_SET_NAME_PATTERN.test(valueSet.fullName) || valueSet.fullName.endsWith('_')) {
+    errors.push('API Name must start with a letter and contain only letters, numbers and single underscores');
+  } else if (valueSets.some(vs => vs.id !== valueSet.id && vs.fullName === valueSet.fullName)) {
+    errors.push(`Another global value set is already named ${valueSet.fullName}`);
+  }
+  if (!valueSet.masterLabel) errors.push('Label is required');
+
+  const names = (valueSet.customValue || []).map(v => v.fullName);
+  if (names.some(name => !name)) errors.push('Every value needs an API name');
+  const duplicates = names.filter((name, i) => name && names.indexOf(name) !== i);
+  if (duplicates.length > 0) errors.push(`Duplicate values: ${[...new Set(duplicates)].join(', ')}`);
+
+  return errors;
+}
+
+export default function GlobalValueSetManager({ valueSets, objects, onChange, onRename, darkMode }) {
+  const [selectedId, setSelectedId] = useState(valueSets.length > 0 ? valueSets[0].id : null);
+  const [copied, setCopied] = useState(false);
+
+  const selected = valueSets.find(vs => vs.id === selectedId);
+  const usages = selected
+    ? objects.flatMap(o => o.fields.filter(f => f.valueSetName === selected.fullName).map(f => `${o.name}.${f.apiName}`))
+    : [];
+  const errors = selected ? getValueSetErrors(selected, valueSets) : [];
+  const xml = selected ? generateGlobalValueSetXml(selected) : '';
+
+  const updateSelected = (changes) => {
+    onChange(valueSets.map(vs => vs.id === selected.id ? { ...vs, ...changes } : vs));
+  };
+
+  const handleAdd = () => {
+    const newSet = {
+      id: Date.now().toString(),
+      fullName: `Value_Set_${valueSets.length + 1}`,
+      masterLabel: `Value Set ${valueSets.length + 1}`,
+      description: '',
+      sorted: false,
+      customValue: []
+    };
+    onChange([...valueSets, newSet]);
+    setSelectedId(newSet.id);
+  };
+
+  const handleDelete = () => {
+    if (usages.length > 0 && !confirm(`${selected.fullName} is used by ${usages.join(', ')}. Delete it anyway?`)) {
+      return;
+    }
+    const remaining = valueSets.filter(vs => vs.id !== selected.id);
+    onChange(remaining);
+    setSelectedId(remaining.length > 0 ? remaining[0].id : null);
+  };
+
+  const handleRename = (fullName) => {
+    onRename(selected.fullName, fullName);
+    updateSelected({ fullName });
+  };
+
+  const handleUpdateValue = (index, key, value) => {
+    updateSelected({ customValue: selected.customValue.map((v, i) => i === index ? { ...v, [key]: value } : v) });
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(xml);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const cardStyle = {
+    padding: '24px',
+    backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+    borderRadius: '12px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    marginBottom: '24px'
+  };
+
+  const headingStyle = {
+    fontSize: '1.125rem',
+    fontWeight: 700,
+    marginBottom: '20px',
+    paddingBottom: '12px',
+    borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '10px 12px',
+    border: `1px solid ${darkMode ? '#475569' : '#cbd5e1'}`,
+    borderRadius: '8px',
+    fontSize: '0.875rem',
+    backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+    color: darkMode ? '#f1f5f9' : '#0f172a'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.875rem',
+    fontWeight: 600,
+    marginBottom: '8px',
+    color: darkMode ? '#cbd5e1' : '#334155'
+  };
+
+  const checkboxLabelStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    cursor: 'pointer',
+    fontSize: '0.875rem'
+  };
+
+  const primaryButtonStyle = {
+    padding: '6px 12px',
+    backgroundColor: '#2563eb',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '0.875rem',
+    fontWeight: 600,
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px'
+  };
+
+  return (
+    <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+      <div style={cardStyle}>
+        <div style={{ ...headingStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span>Global Value Sets</span>
+          <button onClick={handleAdd} style={primaryButtonStyle}>
+            <Plus size={16} />
+            New Value Set
+          </button>
+        </div>
+
+        {valueSets.length === 0 ? (
+          <div style={{ padding: '32px', textAlign: 'center', color: darkMode ? '#64748b' : '#94a3b8', fontSize: '0.875rem' }}>
+            No global value sets yet. Picklists can reference a value set instead of defining their own values.
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+            {valueSets.map(vs => (
+              <button
+                key={vs.id}
+                onClick={() => setSelectedId(vs.id)}
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: vs.id === selectedId ? '#2563eb' : (darkMode ? '#334155' : '#f1f5f9'),
+                  color: vs.id === selectedId ? 'white' : (darkMode ? '#cbd5e1' : '#475569'),
+                  border: 'none',
+                  borderRadius: '6px',
+                  fontSize: '0.8125rem',
+                  fontWeight: 600,
+                  cursor: 'pointer'
+                }}
+              >
+                {vs.masterLabel || vs.fullName} ({(vs.customValue || []).length})
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {selected && (
+        <>
+          <div style={cardStyle}>
+            <div style={{ ...headingStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{selected.fullName || 'Untitled'}.globalValueSet-meta.xml</span>
+              <button
+                onClick={handleDelete}
+                style={{ ...primaryButtonStyle, backgroundColor: 'rgba(239, 68, 68, 0.1)', color: '#ef4444' }}
+              >
+                <Trash2 size={16} />
+                Delete
+              </button>
+            </div>
+
+            {errors.length > 0 && (
+              <div style={{
+                marginBottom: '16px',
+                padding: '12px',
+                backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                borderRadius: '8px',
+                fontSize: '0.8125rem',
+                color: '#dc2626'
+              }}>
+                {errors.map(err => <div key={err}>{err}</div>)}
+              </div>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '20px' }}>
+              <div>
+                <label style={labelStyle}>
+                  Label <span style={{ color: '#ef4444' }}>*</span>
+                </label>
+                <input
+                  type="text"
+                  value={selected.masterLabel || ''}
+                  onChange={(e) => updateSelected({ masterLabel: e.target.value })}
+                  style={inputStyle}
+                />
+              </div>
+
+              <div>
+                <label style={labelStyle}>
+                  API Name <span style={{ color: '#ef4444' }}>*</span>
+                </label>
+                <input
+                  type="text"
+                  value={selected.fullName || ''}
+                  onChange={(e) => handleRename(e.target.value)}
+                  placeholder="Country"
+                  style={{ ...inputStyle, fontFamily: 'monospace' }}
+                />
+              </div>
+
+              <div style={{ gridColumn: '1 / -1' }}>
+                <label style={labelStyle}>Description</label>
+                <textarea
+                  value={selected.description || ''}
+                  onChange={(e) => updateSelected({ description: e.target.value })}
+                  style={{ ...inputStyle, minHeight: '60px', fontFamily: 'inherit', resize: 'vertical' }}
+                />
+              </div>
+
+              <div style={{ gridColumn: '1 / -1' }}>
+                <label style={checkboxLabelStyle}>
+                  <input
+                    type="checkbox"
+                    checked={selected.sorted === true}
+                    onChange={(e) => updateSelected({ sorted: e.target.checked })}
+                    style={{ width: '18px', height: '18px' }}
+                  />
+                  <span>Sort values alphabetically</span>
+                </label>
+              </div>
+            </div>
+
+            {usages.length > 0 && (
+              <div style={{ marginTop: '16px', fontSize: '0.8125rem', color: darkMode ? '#94a3b8' : '#64748b', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <AlertTriangle size={14} color="#f59e0b" />
+                Used by {usages.join(', ')}
+              </div>
+            )}
+          </div>
+
+          <div style={cardStyle}>
+            <div style={{ ...headingStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>Values</span>
+              <button
+                onClick={() => updateSelected({ customValue: [...(selected.customValue || []), { fullName: '', label: '', default: false }] })}
+                style={primaryButtonStyle}
+              >
+                <Plus size={16} />
+                Add Value
+              </button>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+              {(selected.customValue || []).map((value, index) => (
+                <div
+                  key={index}
+                  style={{
+                    display: 'grid',
+                    gridTemplateColumns: '1fr 1fr auto auto',
+                    gap: '12px',
+                    alignItems: 'center',
+                    padding: '12px',
+                    backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                    borderRadius: '8px',
+                    border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+                  }}
+                >
+                  <input
+                    type="text"
+                    value={value.fullName || ''}
+                    onChange={(e) => handleUpdateValue(index, 'fullName', e.target.value)}
+                    placeholder="API Name"
+                    style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
+                  />
+                  <input
+                    type="text"
+                    value={value.label || ''}
+                    onChange={(e) => handleUpdateValue(index, 'label', e.target.value)}
+                    placeholder="Label"
+                    style={{ ...inputStyle, fontSize: '0.8125rem', padding: '8px 10px' }}
+                  />
+                  <label style={{ ...checkboxLabelStyle, fontSize: '0.75rem' }}>
+                    <input
+                      type="checkbox"
+                      checked={value.default === true}
+                      onChange={(e) => handleUpdateValue(index, 'default', e.target.checked)}
+                      style={{ width: '16px', height: '16px' }}
+                    />
+                    <span>Default</span>
+                  </label>
+                  <button
+                    onClick={() => updateSelected({ customValue: selected.customValue.filter((_, i) => i !== index) })}
+                    style={{
+                      padding: '8px',
+                      backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                      color: '#ef4444',
+                      border: 'none',
+                      borderRadius: '6px',
+                      cursor: 'pointer',
+                      display: 'flex'
+                    }}
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              ))}
+
+              {(selected.customValue || []).length === 0 && (
+                <div style={{ padding: '32px', textAlign: 'center', color: darkMode ? '#64748b' : '#94a3b8', fontSize: '0.875rem' }}>
+                  No values added yet. Click "Add Value" to get started.
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div style={{
+            backgroundColor: '#1e293b',
+            borderRadius: '12px',
+            overflow: 'hidden',
+            border: '1px solid #334155'
+          }}>
+            <div style={{
+              backgroundColor: '#0f172a',
+              padding: '12px 20px',
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              borderBottom: '1px solid #334155'
+            }}>
+              <span style={{ fontFamily: 'monospace', fontSize: '0.8125rem', color: '#94a3b8' }}>
+                {selected.fullName}.globalValueSet-meta.xml
+              </span>
+              <button
+                onClick={handleCopy}
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: '#334155',
+                  color: copied ? '#22c55e' : '#cbd5e1',
+                  border: 'none',
+                  borderRadius: '6px',
+                  fontSize: '0.75rem',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px'
+                }}
+              >
+                {copied ? <Check size={14} /> : <Copy size={14} />}
+                {copied ? 'Copied' : 'Copy'}
+              </button>
+            </div>
+            <div style={{ padding: '20px', maxHeight: '600px', overflow: 'auto' }}>
+              <pre style={{
+                margin: 0,
+                fontFamily: 'monospace',
+                fontSize: '0.8125rem',
+                lineHeight: '1.6',
+                color: '#93c5fd',
+                whiteSpace: 'pre'
+              }}>
+                {xml}
+              </pre>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
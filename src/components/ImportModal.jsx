@@ -1,7 +1,11 @@
-import { useState, useEffect } from 'react';
-import { Upload, FileJson, AlertCircle, CheckCircle, Clock, RefreshCw, Eye, FileText, AlertTriangle } from 'lucide-react';
-import { generateFieldsFromAI } from '../utils/aiGenerator';
-import { parseFile, isValidFileType, isValidFileSize, getFileTypeName, formatFileSize } from '../utils/fileParser';
+import { useState, useEffect, useRef } from 'react';
+import { Upload, FileJson, AlertCircle, CheckCircle, Clock, RefreshCw, Eye, FileText, AlertTriangle, FileCode, FileSpreadsheet } from 'lucide-react';
+import { generateFieldsFromAI, runChunks, mergeChunkResults, mergeFieldLists } from '../utils/aiGenerator';
+import { parseFile, parseXlsxWorkbook, isValidFileType, isValidFileSize, getFileTypeName, formatFileSize } from '../utils/fileParser';
+import { parseFieldXmlFiles } from '../utils/xmlParser';
+import { parseCsv, guessColumnMapping, buildFieldsFromCsv, buildFieldsFromSheets, objectNameFromSheet, CSV_COLUMN_TARGETS } from '../utils/csvImporter';
+import { parseSpecification, CONFIDENCE_THRESHOLD } from '../utils/specParser';
+import { isAbortError } from '../utils/aiClient';
 
 export default function ImportModal({ onClose, onImport, darkMode }) {
   const [jsonText, setJsonText] = useState('');
@@ -29,14 +33,58 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
   const [showPreview, setShowPreview] = useState(false);
   const [previewText, setPreviewText] = useState('');
 
+  // CSV data dictionary import; an .xlsx workbook fills csvSheets instead of csvText
+  const [csvText, setCsvText] = useState('');
+  const [csvFileName, setCsvFileName] = useState('');
+  const [csvMapping, setCsvMapping] = useState([]);
+  const [csvHasHeader, setCsvHasHeader] = useState(true);
+  const [csvSheets, setCsvSheets] = useState([]);
+  const [csvSheetIndex, setCsvSheetIndex] = useState(0);
+
+  // Offline spec parsing; aiFallback is the parse result AI is completing
+  const [specResult, setSpecResult] = useState(null);
+  const [aiFallback, setAiFallback] = useState(null);
+
+  // Chunked generation of large specs: [{ index, text, status, fields, error }]
+  const [chunkRun, setChunkRun] = useState(null);
+
+  // Fields the AI repair loop fixed or gave up on: { recovered, unrecoverable }
+  const [repairReport, setRepairReport] = useState(null);
+
+  // Fields received so far while the AI response streams in
+  const [liveFields, setLiveFields] = useState([]);
+
+  // AbortController of the generation in progress; closing the modal aborts it
+  const abortRef = useRef(null);
+  const [cancelled, setCancelled] = useState(false);
+  // Timer that moves on to the JSON step after a successful generation
+  const continueTimerRef = useRef(null);
+
+  const clearContinueTimer = () => {
+    clearTimeout(continueTimerRef.current);
+    continueTimerRef.current = null;
+  };
+
+  useEffect(() => () => {
+    abortRef.current?.abort();
+    clearTimeout(continueTimerRef.current);
+  }, []);
+
   // Calculate estimated time remaining
   useEffect(() => {
     if (isGenerating && generationStartTime > 0) {
       const interval = setInterval(() => {
         const elapsed = (Date.now() - generationStartTime) / 1000; // seconds
-        const avgTimePerStep = elapsed / Math.max(progressDetails.step, 1);
-        const stepsRemaining = progressDetails.totalSteps - progressDetails.step;
-        const estimated = Math.ceil(avgTimePerStep * stepsRemaining);
+        const expectedFields = fileAnalysis?.fieldCount || 0;
+        let estimated;
+        if (liveFields.length > 0 && expectedFields > liveFields.length) {
+          // Once fields stream in, their rate is the better guide
+          estimated = Math.ceil((elapsed / liveFields.length) * (expectedFields - liveFields.length));
+        } else {
+          const avgTimePerStep = elapsed / Math.max(progressDetails.step, 1);
+          const stepsRemaining = progressDetails.totalSteps - progressDetails.step;
+          estimated = Math.ceil(avgTimePerStep * stepsRemaining);
+        }
         
         setProgressDetails(prev => ({
           ...prev,
@@ -46,7 +94,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
       
       return () => clearInterval(interval);
     }
-  }, [isGenerating, progressDetails.step, generationStartTime, progressDetails.totalSteps]);
+  }, [isGenerating, progressDetails.step, generationStartTime, progressDetails.totalSteps, liveFields.length, fileAnalysis]);
 
   // NEW: Analyze uploaded content
   const analyzeContent = (text, fileName = '') => {
@@ -85,8 +133,8 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
     if (parseFloat(sizeKB) > 80) {
       sizeWarning = {
         level: 'high',
-        message: `Very large file (${sizeKB}KB). Processing may take 30-60 seconds and might miss some fields.`,
-        suggestion: 'Consider splitting into smaller files or removing non-field sections.'
+        message: `Very large file (${sizeKB}KB). It will be sent to AI in chunks, which may take a minute or two.`,
+        suggestion: 'Removing non-field sections makes this faster. Failed chunks can be retried on their own.'
       };
     } else if (parseFloat(sizeKB) > 50) {
       sizeWarning = {
@@ -126,6 +174,126 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
     reader.readAsText(file);
   };
 
+  const handleXmlFileUpload = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+    setError('');
+
+    try {
+      const result = await parseFieldXmlFiles(files);
+      const fieldCount = result.objects.reduce((sum, object) => sum + object.fields.length, 0);
+
+      if (fieldCount === 0) {
+        setError(result.errors.length > 0
+          ? 'No fields could be imported:\n' + result.errors.join('\n')
+          : 'No .field-meta.xml files found in the selection.');
+        return;
+      }
+
+      if (result.errors.length > 0) {
+        const proceed = window.confirm(
+          `${result.errors.length} file(s) could not be parsed:\n${result.errors.join('\n')}\n\nImport the ${fieldCount} valid field(s)?`
+        );
+        if (!proceed) return;
+      }
+
+      onImport({ objects: result.objects });
+    } catch (error) {
+      setError('Failed to read XML files: ' + error.message);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  // Re-guess the column mapping only when the header row changes, so manual mappings survive edits
+  const handleCsvTextChange = (text) => {
+    const headers = parseCsv(text)[0] || [];
+    const previousHeaders = parseCsv(csvText)[0] || [];
+    if (headers.join('\u0000') !== previousHeaders.join('\u0000')) {
+      setCsvMapping(guessColumnMapping(headers));
+    }
+    setCsvText(text);
+    setCsvSheets([]);
+  };
+
+  const handleCsvFileUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError('');
+
+    try {
+      if (file.name.toLowerCase().endsWith('.xlsx')) {
+        const sheets = await parseXlsxWorkbook(file);
+        setCsvSheets(sheets.map(sheet => ({
+          ...sheet,
+          mapping: guessColumnMapping(sheet.rows[0] || []),
+          objectName: objectNameFromSheet(sheet.name),
+          include: sheet.rows.some(row => row.some(cell => cell.trim() !== ''))
+        })));
+        setCsvSheetIndex(0);
+        setCsvText('');
+      } else {
+        handleCsvTextChange(await file.text());
+      }
+      setCsvFileName(file.name);
+    } catch (error) {
+      setError(`Failed to read ${file.name}: ${error.message}`);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const updateCsvSheet = (index, changes) => {
+    setCsvSheets(csvSheets.map((sheet, i) => i === index ? { ...sheet, ...changes } : sheet));
+  };
+
+  // Each target can only be mapped once, so picking it for one column clears it elsewhere
+  const handleCsvMappingChange = (column, key) => {
+    const current = csvSheets.length > 0 ? csvSheets[csvSheetIndex].mapping : csvMapping;
+    const columnCount = Math.max(current.length, column + 1);
+    const mapping = Array.from({ length: columnCount }, (_, i) => i === column ? key : (key && current[i] === key ? '' : current[i] || ''));
+    if (csvSheets.length > 0) {
+      updateCsvSheet(csvSheetIndex, { mapping });
+    } else {
+      setCsvMapping(mapping);
+    }
+  };
+
+  const buildCsvResult = () => {
+    if (csvSheets.length > 0) {
+      return buildFieldsFromSheets(csvSheets.filter(sheet => sheet.include), { hasHeader: csvHasHeader });
+    }
+    const rows = csvText.trim() ? parseCsv(csvText) : [];
+    return rows.length > 0 ? buildFieldsFromCsv(rows, csvMapping, { hasHeader: csvHasHeader }) : null;
+  };
+
+  const formatCsvError = (err) => {
+    const where = [err.sheet, err.row && `Row ${err.row}`].filter(Boolean).join(', ');
+    return `${where}: ${err.message}`;
+  };
+
+  const handleCsvImport = () => {
+    const result = buildCsvResult();
+    const rowErrors = result.errors.filter(err => err.severity === 'error');
+
+    if (result.fieldCount === 0) {
+      setError(rowErrors.length > 0
+        ? 'No fields could be imported:\n' + rowErrors.map(formatCsvError).join('\n')
+        : 'No field rows found. Check that a Label or API Name column is mapped.');
+      return;
+    }
+
+    if (rowErrors.length > 0) {
+      const skippedRows = new Set(rowErrors.map(err => `${err.sheet}:${err.row}`)).size;
+      const proceed = window.confirm(
+        `${skippedRows} row(s) have errors and will be skipped:\n${rowErrors.map(formatCsvError).join('\n')}\n\nImport the ${result.fieldCount} valid field(s)?`
+      );
+      if (!proceed) return;
+    }
+
+    onImport({ objects: result.objects });
+  };
+
   const handleAiFileUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -134,7 +302,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
     setFileAnalysis(null);
 
     if (!isValidFileType(file)) {
-      setError(`Unsupported file type. Please upload .txt, .md, or .docx files.`);
+      setError(`Unsupported file type. Please upload .txt, .md, .docx or .xlsx files.`);
       return;
     }
 
@@ -149,6 +317,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
     try {
       const text = await parseFile(file);
       setAiInput(text);
+      setSpecResult(null);
       setGenerationProgress('');
       setUploadedFileName(file.name);
       
@@ -165,6 +334,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
   // NEW: Handle text paste and analyze
   const handleTextChange = (text) => {
     setAiInput(text);
+    setSpecResult(null);
     if (text.trim().length > 100) {
       analyzeContent(text, 'Pasted Text');
     } else {
@@ -186,117 +356,181 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
     setShowPreview(true);
   };
 
-  const handleAiGenerate = async () => {
+  const handleParseOffline = () => {
     if (!aiInput.trim()) {
       setError('Please provide field specification text or upload a file');
       return;
     }
+    setError('');
+    const result = parseSpecification(aiInput);
+    if (result.results.length === 0) {
+      setSpecResult(null);
+      setError('No structured field definitions found. Use ✨ Generate JSON to have AI read this specification.');
+      return;
+    }
+    setSpecResult(result);
+  };
+
+  const handleUseParsedFields = () => {
+    const { objectName, fields } = specResult;
+    setJsonText(JSON.stringify(objectName ? { objectName, fields } : { fields }, null, 2));
+    setSpecResult(null);
+    setActiveMethod('paste');
+  };
 
+  const handleChunkProgress = (chunks) => {
+    setChunkRun(chunks);
+    const finished = chunks.filter(chunk => chunk.status === 'done' || chunk.status === 'failed').length;
+    setGenerationProgress(`Step 3/4: AI is generating fields (${finished}/${chunks.length} chunks)...`);
+  };
+
+  // Called with every field received so far, each time one is complete
+  const handleFieldsReceived = (fields) => {
+    setLiveFields(fields);
+    const expectedFields = fileAnalysis?.fieldCount || 0;
+    setProgressDetails(prev => ({
+      ...prev,
+      // Within step 3, move the bar by the share of expected fields received
+      step: expectedFields > 0 ? 2 + Math.min(fields.length / expectedFields, 0.95) : 3,
+      currentTask: expectedFields > 0
+        ? `${fields.length} of ~${expectedFields} fields received`
+        : `${fields.length} fields received`
+    }));
+  };
+
+  const resetProgress = () => {
+    setProgressDetails({
+      step: 0,
+      totalSteps: 4,
+      currentTask: '',
+      estimatedTimeRemaining: 0
+    });
+  };
+
+  // Put the generated fields (and any parsed offline) in the JSON tab; when
+  // chunks failed, stay on this tab so they can be retried
+  const finishGeneration = (generated, parsed) => {
+    const { chunks, repair, ...generatedResult } = generated;
+    const unrecoverable = repair ? repair.unrecoverable.length : 0;
+    setRepairReport(repair && (repair.recovered.length > 0 || unrecoverable > 0) ? repair : null);
+    const result = parsed
+      ? { objectName: parsed.objectName || generatedResult.objectName, fields: mergeFieldLists(parsed.fields, generatedResult.fields) }
+      : generatedResult;
+
+    // Step 4: Converting to JSON
+    setProgressDetails({
+      step: 4,
+      totalSteps: 4,
+      currentTask: 'Converting to JSON...',
+      estimatedTimeRemaining: 2
+    });
+    setGenerationProgress('Step 4/4: Finalizing...');
+    
+    const jsonString = JSON.stringify(result, null, 2);
+    setJsonText(jsonString);
+
+    const failed = (chunks || []).filter(chunk => chunk.status === 'failed');
+    if (failed.length > 0) {
+      setGenerationProgress('');
+      resetProgress();
+      setPartialResult({ json: jsonString, error: failed[0].error, fieldCount: result.fields.length });
+      setError(`${failed.length} of ${chunks.length} chunks failed. ${result.fields.length} fields were generated from the rest.\n\nRetry the failed chunks or import what we got.`);
+      return;
+    }
+    
+    // Success - check if we got expected number of fields
+    const expectedFields = fileAnalysis?.fieldCount || 0;
+    const actualFields = result.fields.length;
+    
+    let successMessage = parsed
+      ? `✅ ${parsed.fields.length} fields parsed offline, ${actualFields - parsed.fields.length} generated by AI!`
+      : `✅ Successfully generated ${actualFields} fields!`;
+    
+    if (expectedFields > 0 && actualFields < expectedFields * 0.9) {
+      successMessage += `\n⚠️ Expected ~${expectedFields} fields, got ${actualFields}. Some may have been skipped.`;
+    }
+    if (repair && repair.recovered.length > 0) {
+      successMessage += `\n🔧 ${repair.recovered.length} fields were repaired after failing validation.`;
+    }
+    if (unrecoverable > 0) {
+      successMessage += `\n⚠️ ${unrecoverable} fields could not be repaired and were left out (see below).`;
+    }
+    
+    setProgressDetails({
+      step: 4,
+      totalSteps: 4,
+      currentTask: 'Complete!',
+      estimatedTimeRemaining: 0
+    });
+    setGenerationProgress(successMessage);
+    
+    setSpecResult(null);
+    // Stay here while there are unrepaired fields to look at
+    if (unrecoverable > 0) return;
+    continueTimerRef.current = setTimeout(handleContinueToJson, 2000);
+  };
+
+  const handleContinueToJson = () => {
+    clearContinueTimer();
+    setActiveMethod('paste');
+    setGenerationProgress('');
+    setChunkRun(null);
+    setRepairReport(null);
+    setLiveFields([]);
+    resetProgress();
+  };
+
+  // parsed is an offline parse result whose unparsed sections are in specText
+  const handleAiGenerate = async (specText = aiInput, parsed = null) => {
+    if (!specText.trim()) {
+      setError('Please provide field specification text or upload a file');
+      return;
+    }
+
+    clearContinueTimer();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setAiFallback(parsed);
+    setChunkRun(null);
+    setRepairReport(null);
+    setLiveFields([]);
+    setCancelled(false);
     setIsGenerating(true);
-    setGenerationProgress('Starting generation...');
+    setGenerationProgress('Step 3/4: AI is generating fields...');
     setError('');
     setPartialResult(null);
     setGenerationStartTime(Date.now());
     
-    // Reset progress
+    // Steps 1-2 (normalizing, extracting) are quick; step 3 advances as fields stream in
     setProgressDetails({
-      step: 0,
+      step: 2,
       totalSteps: 4,
-      currentTask: 'Initializing...',
+      currentTask: 'Waiting for the AI to respond...',
       estimatedTimeRemaining: 0
     });
 
     try {
-      // Step 1: Normalize characters
-      setProgressDetails({
-        step: 1,
-        totalSteps: 4,
-        currentTask: 'Normalizing special characters...',
-        estimatedTimeRemaining: 15
-      });
-      setGenerationProgress('Step 1/4: Normalizing text...');
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Step 2: Extract field specifications
-      setProgressDetails({
-        step: 2,
-        totalSteps: 4,
-        currentTask: 'Extracting field specifications...',
-        estimatedTimeRemaining: 12
-      });
-      setGenerationProgress('Step 2/4: Analyzing document structure...');
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Step 3: Process with AI
-      setProgressDetails({
-        step: 3,
-        totalSteps: 4,
-        currentTask: 'Processing with AI (this may take 10-30 seconds)...',
-        estimatedTimeRemaining: fileAnalysis?.sizeKB > 50 ? 25 : 15
-      });
-      setGenerationProgress('Step 3/4: AI is generating fields...');
-      
-      const result = await generateFieldsFromAI(aiInput);
-      
-      // Step 4: Converting to JSON
-      setProgressDetails({
-        step: 4,
-        totalSteps: 4,
-        currentTask: 'Converting to JSON...',
-        estimatedTimeRemaining: 2
-      });
-      setGenerationProgress('Step 4/4: Finalizing...');
-      
-      const jsonString = JSON.stringify(result, null, 2);
-      setJsonText(jsonString);
-      
-      // Success - check if we got expected number of fields
-      const expectedFields = fileAnalysis?.fieldCount || 0;
-      const actualFields = result.fields.length;
-      
-      let successMessage = `✅ Successfully generated ${actualFields} fields!`;
-      
-      if (expectedFields > 0 && actualFields < expectedFields * 0.9) {
-        successMessage += `\n⚠️ Expected ~${expectedFields} fields, got ${actualFields}. Some may have been skipped.`;
-      }
-      
-      setProgressDetails({
-        step: 4,
-        totalSteps: 4,
-        currentTask: 'Complete!',
-        estimatedTimeRemaining: 0
+      const generated = await generateFieldsFromAI(specText, {
+        onChunkProgress: handleChunkProgress,
+        onFields: handleFieldsReceived,
+        signal: controller.signal
       });
-      setGenerationProgress(successMessage);
-      
-      setTimeout(() => {
-        setActiveMethod('paste');
-        setGenerationProgress('');
-        setProgressDetails({
-          step: 0,
-          totalSteps: 4,
-          currentTask: '',
-          estimatedTimeRemaining: 0
-        });
-      }, 2000);
-      
+      finishGeneration(generated, parsed);
     } catch (error) {
       setGenerationProgress('');
-      setProgressDetails({
-        step: 0,
-        totalSteps: 4,
-        currentTask: '',
-        estimatedTimeRemaining: 0
-      });
+      resetProgress();
       
       let errorMessage = error.message;
+      const partialCount = keepPartialFields(error, parsed);
+
+      if (isAbortError(error)) {
+        setCancelled(true);
+        return;
+      }
       
-      // Check if we have any partial results
-      if (jsonText && jsonText.length > 0) {
-        setPartialResult({
-          json: jsonText,
-          error: errorMessage
-        });
-        errorMessage = `Generation partially completed. ${errorMessage}\n\n✅ Some fields were generated. You can import them below or retry.`;
+      // Keep the fields that arrived before the stream broke
+      if (partialCount > 0) {
+        errorMessage = `Generation stopped partway. ${errorMessage}\n\n✅ ${partialCount} fields were received first. You can import them below or retry.`;
       } else {
         if (error.message.includes('invalid JSON') || error.message.includes('parse')) {
           errorMessage += '\n\n💡 Suggestions:\n• Try removing non-field sections (Validation Rules, Workflows, etc.)\n• Split large files into smaller chunks\n• Simplify field descriptions';
@@ -305,6 +539,66 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
       
       setError(errorMessage);
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setIsGenerating(false);
+      setGenerationStartTime(0);
+    }
+  };
+
+  // Put the fields an interrupted or cancelled generation received in the
+  // JSON tab and offer them as a partial result. Returns how many there are.
+  const keepPartialFields = (error, parsed) => {
+    if (!error.partial || error.partial.fields.length === 0) return 0;
+    const partial = parsed
+      ? { objectName: parsed.objectName || error.partial.objectName, fields: mergeFieldLists(parsed.fields, error.partial.fields) }
+      : { objectName: error.partial.objectName || undefined, fields: error.partial.fields };
+    const json = JSON.stringify(partial, null, 2);
+    setJsonText(json);
+    setPartialResult({ json, error: error.message, fieldCount: partial.fields.length, cancelled: isAbortError(error) });
+    return partial.fields.length;
+  };
+
+  const handleCancelGeneration = () => {
+    if (abortRef.current) abortRef.current.abort();
+    clearContinueTimer();
+  };
+
+  // Re-run only the chunks that failed and merge them with the rest
+  const handleRetryChunks = async () => {
+    clearContinueTimer();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsGenerating(true);
+    setCancelled(false);
+    setError('');
+    setPartialResult(null);
+    setGenerationStartTime(Date.now());
+    setProgressDetails({
+      step: 3,
+      totalSteps: 4,
+      currentTask: 'Retrying failed chunks...',
+      estimatedTimeRemaining: 15
+    });
+
+    try {
+      const chunks = await runChunks(chunkRun, {
+        onChunkProgress: handleChunkProgress,
+        onFields: handleFieldsReceived,
+        signal: controller.signal
+      });
+      finishGeneration({ ...mergeChunkResults(chunks), chunks }, aiFallback);
+    } catch (error) {
+      setGenerationProgress('');
+      resetProgress();
+      if (isAbortError(error)) {
+        const merged = mergeChunkResults(error.chunks);
+        keepPartialFields(Object.assign(error, { partial: { objectName: merged.objectName, fields: merged.fields } }), aiFallback);
+        setCancelled(true);
+        return;
+      }
+      setError(error.message);
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setIsGenerating(false);
       setGenerationStartTime(0);
     }
@@ -314,7 +608,13 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
   const handleRetry = () => {
     setError('');
     setPartialResult(null);
-    handleAiGenerate();
+    if (chunkRun && chunkRun.some(chunk => chunk.status === 'failed')) {
+      handleRetryChunks();
+    } else if (aiFallback) {
+      handleAiGenerate(aiFallback.unparsed.join('\n\n'), aiFallback);
+    } else {
+      handleAiGenerate();
+    }
   };
 
   // Import partial results
@@ -346,6 +646,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
   const clearError = () => {
     setError('');
     setPartialResult(null);
+    setCancelled(false);
   };
 
   // Format time remaining
@@ -369,6 +670,13 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
     overflow: 'auto', boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
   };
 
+  const activeCsvSheet = csvSheets[csvSheetIndex];
+  const csvRows = activeCsvSheet ? activeCsvSheet.rows : (csvText.trim() ? parseCsv(csvText) : []);
+  const activeCsvMapping = activeCsvSheet ? activeCsvSheet.mapping : csvMapping;
+  const csvColumns = csvRows.length > 0 ? csvRows[0].map((header, i) => csvHasHeader ? header : `Column ${i + 1}`) : [];
+  const csvSample = csvRows[csvHasHeader ? 1 : 0] || [];
+  const csvResult = buildCsvResult();
+
   const tabStyle = (active) => ({
     flex: 1, padding: '12px 24px', border: 'none',
     background: active ? '#2563eb' : 'transparent',
@@ -414,7 +722,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
             marginBottom: '16px'
           }}>
             <div style={{ fontSize: '0.875rem', color: darkMode ? '#fbbf24' : '#ca8a04', marginBottom: '12px' }}>
-              <strong>Partial Success:</strong> Some fields were generated successfully.
+              <strong>Partial Success:</strong> {partialResult.fieldCount} fields were {partialResult.cancelled ? 'received before you cancelled' : 'generated before the error'}.
             </div>
             <div style={{ display: 'flex', gap: '8px' }}>
               <button onClick={handleImportPartial} style={{
@@ -433,7 +741,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
                 display: 'flex', alignItems: 'center', gap: '6px'
               }}>
                 <RefreshCw size={14} />
-                Retry Generation
+                {chunkRun && chunkRun.some(chunk => chunk.status === 'failed') ? 'Retry Failed Chunks' : 'Retry Generation'}
               </button>
             </div>
           </div>
@@ -449,6 +757,12 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
           <button style={tabStyle(activeMethod === 'upload')} onClick={() => { setActiveMethod('upload'); clearError(); }}>
             <span style={{ marginRight: '8px' }}>📤</span>Upload File
           </button>
+          <button style={tabStyle(activeMethod === 'xml')} onClick={() => { setActiveMethod('xml'); clearError(); }}>
+            <span style={{ marginRight: '8px' }}>🧾</span>Import XML
+          </button>
+          <button style={tabStyle(activeMethod === 'csv')} onClick={() => { setActiveMethod('csv'); clearError(); }}>
+            <span style={{ marginRight: '8px' }}>📊</span>CSV / Excel
+          </button>
         </div>
 
         {activeMethod === 'ai' && (
@@ -564,7 +878,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
             
             <div style={{ display: 'flex', gap: '12px', marginBottom: '16px' }}>
               <div>
-                <input type="file" accept=".md,.txt,.doc,.docx" onChange={handleAiFileUpload}
+                <input type="file" accept=".md,.txt,.doc,.docx,.xlsx" onChange={handleAiFileUpload}
                   style={{ display: 'none' }} id="aiFileInput" />
                 <label htmlFor="aiFileInput" style={{
                   display: 'inline-block', padding: '8px 16px',
@@ -574,7 +888,7 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
                   display: 'flex', alignItems: 'center', gap: '6px'
                 }}>
                   <FileText size={16} />
-                  Upload File (.txt, .md, .docx)
+                  Upload File (.txt, .md, .docx, .xlsx)
                 </label>
               </div>
               
@@ -644,6 +958,85 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
               </div>
             )}
 
+            {specResult && (
+              <div style={{
+                marginBottom: '16px', padding: '16px',
+                backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`, borderRadius: '8px'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                  <div style={{ fontSize: '0.875rem', fontWeight: 600, color: darkMode ? '#cbd5e1' : '#334155' }}>
+                    {specResult.fields.length} field{specResult.fields.length === 1 ? '' : 's'} parsed offline
+                    {specResult.objectName && <span style={{ fontWeight: 400 }}> for {specResult.objectName}</span>}
+                    {specResult.unparsed.length > 0 && (
+                      <span style={{ fontWeight: 400, color: darkMode ? '#fbbf24' : '#ca8a04' }}>
+                        {' '}· {specResult.unparsed.length} section{specResult.unparsed.length === 1 ? '' : 's'} need AI
+                      </span>
+                    )}
+                  </div>
+                  <button onClick={() => setSpecResult(null)} style={{
+                    background: 'none', border: 'none', color: darkMode ? '#94a3b8' : '#64748b',
+                    cursor: 'pointer', fontSize: '1rem'
+                  }}>×</button>
+                </div>
+
+                <div style={{ maxHeight: '260px', overflow: 'auto', display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '12px' }}>
+                  {specResult.results.map(({ field, confidence, issues }, index) => {
+                    const accepted = confidence >= CONFIDENCE_THRESHOLD;
+                    const color = confidence >= 80 ? '#16a34a' : (accepted ? '#ca8a04' : '#dc2626');
+                    return (
+                      <div key={index} style={{
+                        display: 'grid', gridTemplateColumns: '48px 1fr 120px', gap: '8px',
+                        alignItems: 'start', fontSize: '0.75rem', opacity: accepted ? 1 : 0.7
+                      }}>
+                        <span style={{
+                          padding: '2px 6px', borderRadius: '4px', textAlign: 'center', fontWeight: 700,
+                          color, border: `1px solid ${color}`
+                        }} title="Confidence">{confidence}%</span>
+                        <div>
+                          <span style={{ fontWeight: 600, color: darkMode ? '#f1f5f9' : '#0f172a' }}>{field.label}</span>
+                          <span style={{ fontFamily: 'monospace', marginLeft: '6px', color: darkMode ? '#94a3b8' : '#64748b' }}>{field.apiName}</span>
+                          {issues.length > 0 && (
+                            <div style={{ color: darkMode ? '#94a3b8' : '#64748b' }}>{issues.join(' · ')}</div>
+                          )}
+                        </div>
+                        <span style={{ color: darkMode ? '#cbd5e1' : '#475569' }}>
+                          {accepted ? field.type : '→ AI'}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <button onClick={handleUseParsedFields} disabled={specResult.fields.length === 0} style={{
+                    padding: '6px 12px', border: 'none', borderRadius: '6px',
+                    fontSize: '0.75rem', fontWeight: 600,
+                    cursor: specResult.fields.length === 0 ? 'not-allowed' : 'pointer',
+                    backgroundColor: '#22c55e', color: 'white', opacity: specResult.fields.length === 0 ? 0.6 : 1,
+                    display: 'flex', alignItems: 'center', gap: '6px'
+                  }}>
+                    <CheckCircle size={14} />
+                    Use Parsed Fields
+                  </button>
+                  {specResult.unparsed.length > 0 && (
+                    <button
+                      onClick={() => handleAiGenerate(specResult.unparsed.join('\n\n'), specResult)}
+                      disabled={isGenerating}
+                      style={{
+                        padding: '6px 12px', border: 'none', borderRadius: '6px',
+                        fontSize: '0.75rem', fontWeight: 600,
+                        cursor: isGenerating ? 'not-allowed' : 'pointer',
+                        backgroundColor: '#7c3aed', color: 'white', opacity: isGenerating ? 0.6 : 1
+                      }}
+                    >
+                      ✨ Send {specResult.unparsed.length} Section{specResult.unparsed.length === 1 ? '' : 's'} to AI
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
             {generationProgress && (
               <div style={{
                 padding: '16px', backgroundColor: darkMode ? '#0f172a' : '#eff6ff',
@@ -709,6 +1102,116 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
               </div>
             )}
 
+            {cancelled && !isGenerating && (
+              <div style={{
+                padding: '12px 16px', backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`, borderRadius: '8px',
+                marginBottom: '16px', fontSize: '0.875rem', color: darkMode ? '#cbd5e1' : '#475569'
+              }}>
+                ⏹ Generation cancelled.{' '}
+                {partialResult
+                  ? 'The fields received so far are kept; import them above or retry.'
+                  : 'No fields were received.'}
+              </div>
+            )}
+
+            {liveFields.length > 0 && (isGenerating || partialResult) && (
+              <div style={{
+                padding: '12px 16px', backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`, borderRadius: '8px',
+                marginBottom: '16px', fontSize: '0.75rem', color: darkMode ? '#cbd5e1' : '#475569'
+              }}>
+                <div style={{ fontWeight: 600, marginBottom: '8px' }}>
+                  {isGenerating ? 'Receiving fields' : 'Received before the error'} ({liveFields.length})
+                </div>
+                <div style={{ maxHeight: '180px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                  {liveFields.map((field, index) => (
+                    <div key={index} style={{ display: 'flex', gap: '8px', alignItems: 'baseline' }}>
+                      <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {field.label || '(no label)'}{' '}
+                        <code style={{ fontFamily: 'monospace', color: darkMode ? '#94a3b8' : '#64748b' }}>{field.apiName}</code>
+                      </span>
+                      <span style={{
+                        padding: '1px 6px', borderRadius: '4px', flexShrink: 0,
+                        backgroundColor: darkMode ? '#1e293b' : '#e2e8f0'
+                      }}>
+                        {field.type || '?'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {chunkRun && chunkRun.length > 1 && (
+              <div style={{
+                padding: '12px 16px', backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`, borderRadius: '8px',
+                marginBottom: '16px', fontSize: '0.75rem', color: darkMode ? '#cbd5e1' : '#475569'
+              }}>
+                <div style={{ fontWeight: 600, marginBottom: '8px' }}>
+                  Processing in {chunkRun.length} chunks
+                </div>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                  {chunkRun.map(chunk => {
+                    const color = { done: '#16a34a', failed: '#dc2626', running: '#2563eb' }[chunk.status] || '#94a3b8';
+                    return (
+                      <span key={chunk.index} title={chunk.error || undefined} style={{
+                        padding: '2px 8px', borderRadius: '9999px', border: `1px solid ${color}`, color
+                      }}>
+                        #{chunk.index + 1} {chunk.status === 'done' ? `${chunk.fields.length} fields` : chunk.status}
+                        {chunk.status !== 'done' && chunk.fields.length > 0 && ` (${chunk.fields.length})`}
+                      </span>
+                    );
+                  })}
+                </div>
+                {!isGenerating && chunkRun.some(chunk => chunk.status === 'failed') && (
+                  <div style={{ marginTop: '8px', color: '#dc2626' }}>
+                    {chunkRun.filter(chunk => chunk.status === 'failed').map(chunk => (
+                      <div key={chunk.index}>Chunk {chunk.index + 1}: {chunk.error}</div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {repairReport && (
+              <div style={{
+                padding: '12px 16px', backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`, borderRadius: '8px',
+                marginBottom: '16px', fontSize: '0.75rem', color: darkMode ? '#cbd5e1' : '#475569',
+                display: 'flex', flexDirection: 'column', gap: '8px'
+              }}>
+                {repairReport.recovered.length > 0 && (
+                  <div style={{ color: '#16a34a' }}>
+                    <strong>Repaired ({repairReport.recovered.length}):</strong>{' '}
+                    {repairReport.recovered.map(field => field.label || field.apiName).join(', ')}
+                  </div>
+                )}
+                {repairReport.unrecoverable.length > 0 && (
+                  <div style={{ color: '#dc2626' }}>
+                    <strong>Could not be repaired, left out ({repairReport.unrecoverable.length}):</strong>
+                    {repairReport.unrecoverable.map(({ field, errors }, index) => (
+                      <div key={index} style={{ marginTop: '4px' }}>
+                        <code style={{ fontFamily: 'monospace' }}>
+                          {field && typeof field === 'object' ? (field.apiName || field.label || '(no name)') : JSON.stringify(field)}
+                        </code>: {errors.join('; ')}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {!isGenerating && repairReport.unrecoverable.length > 0 && (
+                  <button onClick={handleContinueToJson} style={{
+                    alignSelf: 'flex-start', padding: '6px 12px', border: 'none', borderRadius: '6px',
+                    fontSize: '0.75rem', fontWeight: 600, cursor: 'pointer',
+                    backgroundColor: '#2563eb', color: 'white'
+                  }}>
+                    Continue to JSON
+                  </button>
+                )}
+              </div>
+            )}
+
             <div style={{ marginTop: '16px', display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
               <button onClick={onClose} style={{
                 padding: '10px 24px', border: 'none', borderRadius: '8px',
@@ -716,7 +1219,26 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
                 backgroundColor: darkMode ? '#334155' : '#e2e8f0',
                 color: darkMode ? '#cbd5e1' : '#334155'
               }}>Cancel</button>
-              <button onClick={handleAiGenerate} disabled={isGenerating || !aiInput.trim()} style={{
+              <button onClick={handleParseOffline} disabled={isGenerating || !aiInput.trim()} style={{
+                padding: '10px 24px', border: 'none', borderRadius: '8px',
+                fontSize: '0.875rem', fontWeight: 600,
+                cursor: isGenerating || !aiInput.trim() ? 'not-allowed' : 'pointer',
+                backgroundColor: darkMode ? '#1e40af' : '#dbeafe',
+                color: darkMode ? '#93c5fd' : '#1e40af',
+                opacity: isGenerating || !aiInput.trim() ? 0.6 : 1
+              }} title="Read structured specs (Field Label:, API Name:, Data Type:) without AI">
+                ⚡ Parse Offline
+              </button>
+              {isGenerating && (
+                <button onClick={handleCancelGeneration} style={{
+                  padding: '10px 24px', border: 'none', borderRadius: '8px',
+                  fontSize: '0.875rem', fontWeight: 600, cursor: 'pointer',
+                  backgroundColor: '#dc2626', color: 'white'
+                }} title="Stop the AI request">
+                  ✕ Cancel Generation
+                </button>
+              )}
+              <button onClick={() => handleAiGenerate()} disabled={isGenerating || !aiInput.trim()} style={{
                 padding: '10px 24px', border: 'none', borderRadius: '8px',
                 fontSize: '0.875rem', fontWeight: 600,
                 cursor: isGenerating || !aiInput.trim() ? 'not-allowed' : 'pointer',
@@ -794,6 +1316,207 @@ export default function ImportModal({ onClose, onImport, darkMode }) {
             </div>
           </div>
         )}
+
+        {activeMethod === 'xml' && (
+          <div>
+            <div style={{
+              border: `2px dashed ${darkMode ? '#475569' : '#cbd5e1'}`, borderRadius: '12px',
+              padding: '48px 24px', textAlign: 'center',
+              backgroundColor: darkMode ? '#0f172a' : '#f8fafc'
+            }}>
+              <FileCode size={48} style={{ margin: '0 auto 16px', color: '#2563eb' }} />
+              <p style={{ fontSize: '1.125rem', fontWeight: 600, marginBottom: '8px' }}>Upload Field Metadata XML</p>
+              <p style={{ fontSize: '0.875rem', color: darkMode ? '#94a3b8' : '#64748b', marginBottom: '16px' }}>
+                Select one or more .field-meta.xml files, or a .zip containing them
+              </p>
+              <input type="file" accept=".xml,.zip" multiple onChange={handleXmlFileUpload} style={{ display: 'none' }} id="xmlFileInput" />
+              <label htmlFor="xmlFileInput" style={{
+                display: 'inline-block', padding: '10px 24px', backgroundColor: '#2563eb',
+                color: 'white', borderRadius: '8px', fontSize: '0.875rem',
+                fontWeight: 600, cursor: 'pointer'
+              }}>Choose Files</label>
+            </div>
+            <div style={{ marginTop: '16px', textAlign: 'right' }}>
+              <button onClick={onClose} style={{
+                padding: '10px 24px', border: 'none', borderRadius: '8px',
+                fontSize: '0.875rem', fontWeight: 600, cursor: 'pointer',
+                backgroundColor: darkMode ? '#334155' : '#e2e8f0',
+                color: darkMode ? '#cbd5e1' : '#334155'
+              }}>Cancel</button>
+            </div>
+          </div>
+        )}
+
+        {activeMethod === 'csv' && (
+          <div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+              <input type="file" accept=".csv,.tsv,.txt,.xlsx" onChange={handleCsvFileUpload} style={{ display: 'none' }} id="csvFileInput" />
+              <label htmlFor="csvFileInput" style={{
+                padding: '8px 16px',
+                backgroundColor: darkMode ? '#334155' : '#e2e8f0',
+                color: darkMode ? '#cbd5e1' : '#334155', borderRadius: '6px',
+                fontSize: '0.875rem', fontWeight: 600, cursor: 'pointer',
+                display: 'flex', alignItems: 'center', gap: '6px'
+              }}>
+                <FileSpreadsheet size={16} />
+                Upload CSV or Excel
+              </label>
+              {csvFileName && (
+                <span style={{ fontSize: '0.75rem', color: darkMode ? '#93c5fd' : '#1e40af', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <CheckCircle size={14} style={{ color: '#10b981' }} />
+                  Loaded: {csvFileName}
+                </span>
+              )}
+              <label style={{ marginLeft: 'auto', fontSize: '0.8125rem', display: 'flex', alignItems: 'center', gap: '6px', color: darkMode ? '#cbd5e1' : '#334155' }}>
+                <input type="checkbox" checked={csvHasHeader} onChange={(e) => setCsvHasHeader(e.target.checked)} />
+                First row is a header
+              </label>
+            </div>
+
+            {csvSheets.length > 0 && (
+              <div style={{ marginBottom: '16px' }}>
+                <div style={{ fontSize: '0.875rem', fontWeight: 600, marginBottom: '8px', color: darkMode ? '#cbd5e1' : '#334155' }}>
+                  Sheets
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                  {csvSheets.map((sheet, index) => (
+                    <div key={sheet.name} style={{
+                      display: 'grid', gridTemplateColumns: 'auto 1fr 1fr auto', gap: '12px', alignItems: 'center',
+                      padding: '8px 12px', borderRadius: '8px', fontSize: '0.8125rem',
+                      border: `1px solid ${index === csvSheetIndex ? '#2563eb' : (darkMode ? '#334155' : '#e2e8f0')}`,
+                      backgroundColor: darkMode ? '#0f172a' : '#f8fafc'
+                    }}>
+                      <input
+                        type="checkbox"
+                        checked={sheet.include}
+                        onChange={(e) => updateCsvSheet(index, { include: e.target.checked })}
+                        title="Import this sheet"
+                      />
+                      <button onClick={() => setCsvSheetIndex(index)} style={{
+                        background: 'none', border: 'none', padding: 0, textAlign: 'left', cursor: 'pointer',
+                        fontWeight: 600, fontSize: '0.8125rem', color: index === csvSheetIndex ? '#2563eb' : 'inherit'
+                      }} title="Edit this sheet's column mapping">
+                        {sheet.name}
+                      </button>
+                      <input
+                        type="text"
+                        value={sheet.objectName}
+                        onChange={(e) => updateCsvSheet(index, { objectName: e.target.value })}
+                        placeholder="Selected object"
+                        title="Object the sheet's fields are imported into"
+                        style={{
+                          padding: '6px 8px', borderRadius: '6px', fontSize: '0.8125rem', fontFamily: 'monospace',
+                          border: `1px solid ${darkMode ? '#475569' : '#cbd5e1'}`,
+                          backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+                          color: darkMode ? '#f1f5f9' : '#0f172a'
+                        }}
+                      />
+                      <span style={{ color: darkMode ? '#94a3b8' : '#64748b' }}>
+                        {sheet.rows.filter(row => row.some(cell => cell.trim() !== '')).length} rows
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {csvSheets.length === 0 && <textarea
+              value={csvText}
+              onChange={(e) => handleCsvTextChange(e.target.value)}
+              placeholder={'Or paste CSV here...\n\nLabel,API Name,Type,Length,Required,Picklist Values,Help Text\nTest Name,Test_Name__c,Text,80,Yes,,Name of the lab test\nStatus,Status__c,Picklist,,No,Ordered;Completed;Cancelled,'}
+              style={{
+                width: '100%', minHeight: '140px', padding: '12px',
+                border: `2px solid ${darkMode ? '#475569' : '#cbd5e1'}`, borderRadius: '8px',
+                fontSize: '0.8125rem', fontFamily: 'monospace',
+                backgroundColor: darkMode ? '#0f172a' : '#ffffff',
+                color: darkMode ? '#f1f5f9' : '#0f172a', resize: 'vertical', marginBottom: '16px'
+              }}
+            />}
+
+            {csvColumns.length > 0 && (
+              <div style={{ marginBottom: '16px' }}>
+                <div style={{ fontSize: '0.875rem', fontWeight: 600, marginBottom: '8px', color: darkMode ? '#cbd5e1' : '#334155' }}>
+                  Column Mapping{activeCsvSheet ? ` · ${activeCsvSheet.name}` : ''}
+                </div>
+                <div style={{
+                  display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px 12px', alignItems: 'center',
+                  fontSize: '0.8125rem', padding: '12px', borderRadius: '8px',
+                  backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                  border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+                }}>
+                  <div style={{ fontWeight: 600, color: darkMode ? '#94a3b8' : '#64748b' }}>Column</div>
+                  <div style={{ fontWeight: 600, color: darkMode ? '#94a3b8' : '#64748b' }}>Sample</div>
+                  <div style={{ fontWeight: 600, color: darkMode ? '#94a3b8' : '#64748b' }}>Maps To</div>
+                  {csvColumns.map((column, index) => (
+                    <div key={index} style={{ display: 'contents' }}>
+                      <div style={{ fontWeight: 600 }}>{column || `Column ${index + 1}`}</div>
+                      <div style={{ fontFamily: 'monospace', color: darkMode ? '#94a3b8' : '#64748b', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {csvSample[index] || '—'}
+                      </div>
+                      <select
+                        value={activeCsvMapping[index] || ''}
+                        onChange={(e) => handleCsvMappingChange(index, e.target.value)}
+                        style={{
+                          padding: '6px 8px', borderRadius: '6px', fontSize: '0.8125rem',
+                          border: `1px solid ${darkMode ? '#475569' : '#cbd5e1'}`,
+                          backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+                          color: darkMode ? '#f1f5f9' : '#0f172a'
+                        }}
+                      >
+                        <option value="">— Ignore —</option>
+                        {CSV_COLUMN_TARGETS.map(target => (
+                          <option key={target.key} value={target.key}>{target.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {csvResult && (
+              <div style={{
+                padding: '12px 16px', borderRadius: '8px', marginBottom: '16px', fontSize: '0.8125rem',
+                backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+              }}>
+                <div style={{ fontWeight: 600, marginBottom: csvResult.errors.length > 0 ? '8px' : 0 }}>
+                  {csvResult.fieldCount} field{csvResult.fieldCount === 1 ? '' : 's'} ready to import
+                  {csvResult.objects.some(object => object.objectName) &&
+                    ` into ${csvResult.objects.map(object => object.objectName || 'the selected object').join(', ')}`}
+                </div>
+                {csvResult.errors.length > 0 && (
+                  <div style={{ maxHeight: '160px', overflow: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                    {csvResult.errors.map((err, index) => (
+                      <div key={index} style={{ display: 'flex', gap: '6px', alignItems: 'flex-start', color: err.severity === 'error' ? '#dc2626' : '#d97706' }}>
+                        {err.severity === 'error'
+                          ? <AlertCircle size={14} style={{ flexShrink: 0, marginTop: '2px' }} />
+                          : <AlertTriangle size={14} style={{ flexShrink: 0, marginTop: '2px' }} />}
+                        <span>{formatCsvError(err)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+              <button onClick={onClose} style={{
+                padding: '10px 24px', border: 'none', borderRadius: '8px',
+                fontSize: '0.875rem', fontWeight: 600, cursor: 'pointer',
+                backgroundColor: darkMode ? '#334155' : '#e2e8f0',
+                color: darkMode ? '#cbd5e1' : '#334155'
+              }}>Cancel</button>
+              <button onClick={handleCsvImport} disabled={!csvResult || csvResult.fieldCount === 0} style={{
+                padding: '10px 24px', border: 'none', borderRadius: '8px',
+                fontSize: '0.875rem', fontWeight: 600,
+                cursor: !csvResult || csvResult.fieldCount === 0 ? 'not-allowed' : 'pointer',
+                backgroundColor: !csvResult || csvResult.fieldCount === 0 ? '#94a3b8' : '#2563eb',
+                color: 'white', opacity: !csvResult || csvResult.fieldCount === 0 ? 0.6 : 1
+              }}>Import Fields</button>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
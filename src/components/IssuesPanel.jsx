@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle } from 'lucide-react';
+
+const SEVERITY_COLORS = {
+  error: '#dc2626',
+  warning: '#d97706'
+};
+
+export default function IssuesPanel({ issues, objects, onSelectIssue, darkMode }) {
+  const [severityFilter, setSeverityFilter] = useState('all');
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+  const visible = severityFilter === 'all' ? issues : issues.filter(issue => issue.severity === severityFilter);
+
+  // Keep the sidebar's object order
+  const groups = objects
+    .map(object => ({ object, issues: visible.filter(issue => issue.objectId === object.id) }))
+    .filter(group => group.issues.length > 0);
+
+  const cardStyle = {
+    padding: '24px',
+    backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+    borderRadius: '12px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    marginBottom: '24px'
+  };
+
+  const headingStyle = {
+    fontSize: '1.125rem',
+    fontWeight: 700,
+    marginBottom: '16px',
+    paddingBottom: '12px',
+    borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`,
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center'
+  };
+
+  const filterButtonStyle = (active) => ({
+    padding: '4px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    cursor: 'pointer',
+    backgroundColor: active ? '#2563eb' : (darkMode ? '#334155' : '#f1f5f9'),
+    color: active ? 'white' : (darkMode ? '#cbd5e1' : '#475569')
+  });
+
+  return (
+    <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+      <div style={cardStyle}>
+        <div style={headingStyle}>
+          <span>Workspace Issues</span>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button style={filterButtonStyle(severityFilter === 'all')} onClick={() => setSeverityFilter('all')}>
+              All ({issues.length})
+            </button>
+            <button style={filterButtonStyle(severityFilter === 'error')} onClick={() => setSeverityFilter('error')}>
+              Errors ({errorCount})
+            </button>
+            <button style={filterButtonStyle(severityFilter === 'warning')} onClick={() => setSeverityFilter('warning')}>
+              Warnings ({warningCount})
+            </button>
+          </div>
+        </div>
+
+        {groups.length === 0 && (
+          <div style={{
+            padding: '32px',
+            textAlign: 'center',
+            color: darkMode ? '#64748b' : '#94a3b8',
+            fontSize: '0.875rem',
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            gap: '8px'
+          }}>
+            <CheckCircle size={32} color="#22c55e" />
+            {issues.length === 0 ? 'No issues found. Every field passes validation.' : 'No issues of this severity.'}
+          </div>
+        )}
+
+        {groups.map(({ object, issues: objectIssues }) => (
+          <div key={object.id} style={{ marginBottom: '20px' }}>
+            <div style={{
+              fontFamily: 'monospace',
+              fontSize: '0.8125rem',
+              fontWeight: 700,
+              marginBottom: '8px',
+              color: darkMode ? '#cbd5e1' : '#334155'
+            }}>
+              {object.name} ({objectIssues.length})
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              {objectIssues.map((issue, index) => (
+                <button
+                  key={index}
+                  onClick={() => onSelectIssue(issue)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'flex-start',
+                    gap: '10px',
+                    padding: '8px 12px',
+                    backgroundColor: darkMode ? '#0f172a' : '#f8fafc',
+                    border: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`,
+                    borderRadius: '6px',
+                    cursor: issue.fieldId ? 'pointer' : 'default',
+                    textAlign: 'left',
+                    color: 'inherit',
+                    fontSize: '0.8125rem'
+                  }}
+                >
+                  {issue.severity === 'error'
+                    ? <AlertCircle size={16} color={SEVERITY_COLORS.error} style={{ flexShrink: 0, marginTop: '1px' }} />
+                    : <AlertTriangle size={16} color={SEVERITY_COLORS.warning} style={{ flexShrink: 0, marginTop: '1px' }} />}
+                  <span style={{ fontFamily: 'monospace', minWidth: '180px', color: darkMode ? '#94a3b8' : '#64748b' }}>
+                    {issue.fieldApiName || issue.fieldLabel || 'Object'}
+                  </span>
+                  <span style={{ color: SEVERITY_COLORS[issue.severity] }}>{issue.message}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+import { useState } from 'react';
+import { Copy, Check, AlertTriangle } from 'lucide-react';
+import { generateObjectXml, defaultObjectSettings, SHARING_MODELS } from '../utils/xmlGenerator';
+import { getDisplayFormatErrors, previewAutoNumber, AUTO_NUMBER_MAX_LENGTH } from '../utils/validation';
+
+export default function ObjectSettings({ object, onChange, darkMode }) {
+  const [copied, setCopied] = useState(false);
+
+  const defaults = defaultObjectSettings(object.name);
+  const settings = { ...defaults, ...object.settings };
+  const nameField = { ...defaults.nameField, ...(object.settings && object.settings.nameField) };
+  const xml = generateObjectXml({ ...object, settings: { ...settings, nameField } });
+  const hasMasterDetail = object.fields.some(f => f.type === 'MasterDetail');
+  const displayFormatErrors = nameField.type === 'AutoNumber' ? getDisplayFormatErrors(nameField.displayFormat) : [];
+
+  const handleChange = (key, value) => {
+    onChange({ ...settings, nameField, [key]: value });
+  };
+
+  const handleNameFieldChange = (key, value) => {
+    onChange({ ...settings, nameField: { ...nameField, [key]: value } });
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(xml);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const cardStyle = {
+    padding: '24px',
+    backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+    borderRadius: '12px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    marginBottom: '24px'
+  };
+
+  const headingStyle = {
+    fontSize: '1.125rem',
+    fontWeight: 700,
+    marginBottom: '20px',
+    paddingBottom: '12px',
+    borderBottom: `1px solid ${darkMode ? '#334155' : '#e2e8f0'}`
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '10px 12px',
+    border: `1px solid ${darkMode ? '#475569' : '#cbd5e1'}`,
+    borderRadius: '8px',
+    fontSize: '0.875rem',
+    backgroundColor: darkMode ? '#1e293b' : '#ffffff',
+    color: darkMode ? '#f1f5f9' : '#0f172a'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.875rem',
+    fontWeight: 600,
+    marginBottom: '8px',
+    color: darkMode ? '#cbd5e1' : '#334155'
+  };
+
+  const checkboxLabelStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    cursor: 'pointer',
+    fontSize: '0.875rem'
+  };
+
+  return (
+    <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+      <div style={cardStyle}>
+        <h3 style={headingStyle}>{object.name} Object Settings</h3>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '20px' }}>
+          <div>
+            <label style={labelStyle}>
+              Label <span style={{ color: '#ef4444' }}>*</span>
+            </label>
+            <input
+              type="text"
+              value={settings.label}
+              onChange={(e) => handleChange('label', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              Plural Label <span style={{ color: '#ef4444' }}>*</span>
+            </label>
+            <input
+              type="text"
+              value={settings.pluralLabel}
+              onChange={(e) => handleChange('pluralLabel', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>Sharing Model</label>
+            <select
+              value={settings.sharingModel}
+              onChange={(e) => handleChange('sharingModel', e.target.value)}
+              style={inputStyle}
+            >
+              {SHARING_MODELS.map(model => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </select>
+            {hasMasterDetail && settings.sharingModel !== 'ControlledByParent' && (
+              <div style={{ fontSize: '0.75rem', color: '#f59e0b', marginTop: '4px', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                <AlertTriangle size={12} />
+                Objects with a Master-Detail field must use ControlledByParent
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label style={labelStyle}>Deployment Status</label>
+            <select
+              value={settings.deploymentStatus}
+              onChange={(e) => handleChange('deploymentStatus', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="Deployed">Deployed</option>
+              <option value="InDevelopment">In Development</option>
+            </select>
+          </div>
+
+          <div style={{ gridColumn: '1 / -1', display: 'flex', flexWrap: 'wrap', gap: '16px' }}>
+            <label style={checkboxLabelStyle}>
+              <input
+                type="checkbox"
+                checked={settings.enableHistory === true}
+                onChange={(e) => handleChange('enableHistory', e.target.checked)}
+                style={{ width: '18px', height: '18px' }}
+              />
+              <span>Track Field History</span>
+            </label>
+
+            <label style={checkboxLabelStyle}>
+              <input
+                type="checkbox"
+                checked={settings.enableReports === true}
+                onChange={(e) => handleChange('enableReports', e.target.checked)}
+                style={{ width: '18px', height: '18px' }}
+              />
+              <span>Allow Reports</span>
+            </label>
+
+            <label style={checkboxLabelStyle}>
+              <input
+                type="checkbox"
+                checked={settings.enableActivities === true}
+                onChange={(e) => handleChange('enableActivities', e.target.checked)}
+                style={{ width: '18px', height: '18px' }}
+              />
+              <span>Allow Activities</span>
+            </label>
+          </div>
+
+          <div style={{ gridColumn: '1 / -1' }}>
+            <label style={labelStyle}>Description</label>
+            <textarea
+              value={settings.description || ''}
+              onChange={(e) => handleChange('description', e.target.value)}
+              style={{ ...inputStyle, minHeight: '60px', fontFamily: 'inherit', resize: 'vertical' }}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div style={cardStyle}>
+        <h3 style={headingStyle}>Record Name Field</h3>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '20px' }}>
+          <div>
+            <label style={labelStyle}>Record Name Label</label>
+            <input
+              type="text"
+              value={nameField.label}
+              onChange={(e) => handleNameFieldChange('label', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>Data Type</label>
+            <select
+              value={nameField.type}
+              onChange={(e) => handleNameFieldChange('type', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="Text">Text</option>
+              <option value="AutoNumber">Auto Number</option>
+            </select>
+          </div>
+
+          {nameField.type === 'AutoNumber' && (
+            <>
+              <div>
+                <label style={labelStyle}>Display Format</label>
+                <input
+                  type="text"
+                  value={nameField.displayFormat || ''}
+                  onChange={(e) => handleNameFieldChange('displayFormat', e.target.value)}
+                  placeholder="A-{0000}"
+                  maxLength={AUTO_NUMBER_MAX_LENGTH}
+                  style={{ ...inputStyle, fontFamily: 'monospace' }}
+                />
+                {displayFormatErrors.map(err => (
+                  <div key={err} style={{ fontSize: '0.75rem', color: '#ef4444', marginTop: '4px' }}>{err}</div>
+                ))}
+                {displayFormatErrors.length === 0 && (
+                  <div style={{ fontSize: '0.75rem', color: darkMode ? '#94a3b8' : '#64748b', marginTop: '4px' }}>
+                    First record: {previewAutoNumber(nameField.displayFormat, nameField.startingNumber)}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label style={labelStyle}>Starting Number</label>
+                <input
+                  type="number"
+                  value={nameField.startingNumber !== undefined ? nameField.startingNumber : 1}
+                  onChange={(e) => handleNameFieldChange('startingNumber', e.target.value === '' ? undefined : parseInt(e.target.value))}
+                  style={inputStyle}
+                  min="0"
+                />
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div style={{
+        backgroundColor: '#1e293b',
+        borderRadius: '12px',
+        overflow: 'hidden',
+        border: '1px solid #334155'
+      }}>
+        <div style={{
+          backgroundColor: '#0f172a',
+          padding: '12px 20px',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          borderBottom: '1px solid #334155'
+        }}>
+          <span style={{ fontFamily: 'monospace', fontSize: '0.8125rem', color: '#94a3b8' }}>
+            {object.name}.object-meta.xml
+          </span>
+          <button
+            onClick={handleCopy}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: '#334155',
+              color: copied ? '#22c55e' : '#cbd5e1',
+              border: 'none',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px'
+            }}
+          >
+            {copied ? <Check size={14} /> : <Copy size={14} />}
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+        <div style={{ padding: '20px', maxHeight: '600px', overflow: 'auto' }}>
+          <pre style={{
+            margin: 0,
+            fontFamily: 'monospace',
+            fontSize: '0.8125rem',
+            lineHeight: '1.6',
+            color: '#93c5fd',
+            whiteSpace: 'pre'
+          }}>
+            {xml}
+          </pre>
+        </div>
+      </div>
+    </div>
+  );
+}
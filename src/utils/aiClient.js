@@ -0,0 +1,124 @@
+/**
+ * AI Client Utility
+ * Sends a prompt to the AI backend and returns the normalized response
+ * { text, provider, model, finishReason, usage } that every provider in
+ * api/_providers produces. VITE_AI_PROVIDER picks the client backend:
+ * "server" (default) posts to /api/generate, which uses the provider
+ * configured on the server; "mock" answers in the browser with the same
+ * deterministic mock (src/utils/mockCompletion.js, loaded only when
+ * selected), for tests and demos without an API key.
+ * streamCompletion returns the same response but hands out the text while
+ * the model writes it. Both take an AbortSignal; aborting cancels the request
+ * here and, through /api/generate, the request to the provider.
+ */
+
+export const CLIENT_PROVIDER = import.meta.env?.VITE_AI_PROVIDER || 'server';
+
+// True for the error a request throws when its AbortSignal fires
+export const isAbortError = error => error?.name === 'AbortError';
+
+async function postGenerate(body, signal) {
+  const response = await fetch('/api/generate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `API request failed with status ${response.status}`);
+  }
+  return response;
+}
+
+// /api/generate streams one JSON event per line
+async function* readJsonLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield JSON.parse(line);
+      }
+      if (done) return;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// complete(prompt, { schema, signal }) resolves to the response;
+// stream(prompt, { schema, signal }) yields { type: 'text' | 'done' | 'error' } events
+const CLIENT_PROVIDERS = {
+  server: {
+    complete: async (prompt, { schema, signal }) => (await postGenerate({ prompt, schema }, signal)).json(),
+    stream: async function* (prompt, { schema, signal }) {
+      yield* readJsonLines(await postGenerate({ prompt, schema, stream: true }, signal));
+    }
+  },
+
+  mock: {
+    complete: async (prompt, { signal }) => {
+      const { mockResponse } = await import('./mockCompletion.js');
+      signal?.throwIfAborted();
+      return mockResponse(prompt);
+    },
+    stream: async function* (prompt, { signal }) {
+      const { mockStream } = await import('./mockCompletion.js');
+      yield* mockStream(prompt, 'mock', { signal });
+    }
+  }
+};
+
+function clientProvider(provider) {
+  const client = CLIENT_PROVIDERS[provider];
+  if (!client) {
+    throw new Error(`Unknown AI provider "${provider}". Use one of: ${Object.keys(CLIENT_PROVIDERS).join(', ')}.`);
+  }
+  return client;
+}
+
+/**
+ * Run a prompt through the configured provider, constrained to schema when
+ * given. Throws when the provider is unknown, the request fails, or the
+ * response carries no text.
+ */
+export async function requestCompletion(prompt, { provider = CLIENT_PROVIDER, schema, signal } = {}) {
+  const result = await clientProvider(provider).complete(prompt, { schema, signal });
+  if (!result || typeof result.text !== 'string' || !result.text.trim()) {
+    throw new Error('No response from AI. Please try again.');
+  }
+  return result;
+}
+
+/**
+ * Like requestCompletion, but streamed: onText(delta, text) is called for
+ * each piece of text as it arrives, with text being everything so far.
+ * Throws when the stream reports an error or ends before it is complete;
+ * whatever onText received until then is all there is.
+ */
+export async function streamCompletion(prompt, { provider = CLIENT_PROVIDER, schema, signal, onText } = {}) {
+  let text = '';
+  for await (const event of clientProvider(provider).stream(prompt, { schema, signal })) {
+    if (event.type === 'text') {
+      text += event.text;
+      if (onText) onText(event.text, text);
+    } else if (event.type === 'error') {
+      throw new Error(`The AI response was interrupted: ${event.error}`);
+    } else if (event.type === 'done') {
+      if (!text.trim()) {
+        throw new Error('No response from AI. Please try again.');
+      }
+      const { type, ...result } = event;
+      return { ...result, text };
+    }
+  }
+  throw new Error('The AI response ended before it was complete. Please try again.');
+}
@@ -5,6 +5,11 @@
  * FIXED: Cutoff false positives, Large file handling, Better extraction
  */
 
+import { requestCompletion, streamCompletion, isAbortError } from './aiClient';
+import { createFieldStreamParser } from './fieldStream';
+import { FIELD_SCHEMA, FIELD_PAYLOAD_SCHEMA, FIELD_REPAIR_SCHEMA, validateSchema } from './fieldSchema';
+import { normalizeField } from './fieldNormalizer';
+
 /**
  * Normalize all problematic Unicode characters to standard ASCII
  * Fixes smart quotes, curly apostrophes, special dashes, etc.
@@ -177,6 +182,13 @@ export function cutoffAfterFields(text) {
   return text;
 }
 
+// Chunk limits for large specifications
+export const CHUNK_MAX_CHARS = 30000;
+export const CHUNK_MAX_FIELDS = 60;
+export const CHUNK_CONCURRENCY = 3;
+
+const FIELD_HEADER_PATTERN = /^###?\s+\*?\*?\d+\./;
+
 /**
  * ENHANCED: Check if file is too large and needs chunking
  */
@@ -367,11 +379,16 @@ FIELD TYPE REFERENCE:
 - Checkbox: type="Checkbox", "defaultValue" (true/false)
 - Date: type="Date"
 - DateTime: type="DateTime"
+- Time: type="Time"
+- Geolocation: type="Location", "scale" (decimal places, 0-15), "displayLocationInDecimal" (true/false)
+- EncryptedText: type="EncryptedText", "length" (max 175), "maskType" (all/creditCard/ssn/lastFour/sin/nino), "maskChar" (asterisk/X)
 - Picklist: type="Picklist", "picklistValues": [{"fullName":"Value1", "label":"Value 1", "default":false}], "restricted":true
 - MultiselectPicklist: type="MultiselectPicklist", same as Picklist + "visibleLines"
 - Lookup: type="Lookup", "referenceTo", "relationshipName", "relationshipLabel", "deleteConstraint" (SetNull/Restrict/Cascade)
 - MasterDetail: type="MasterDetail", same as Lookup + "relationshipOrder", "reparentableMasterDetail", "writeRequiresMasterRead"
 - Formula: type="Formula", "formula", "returnType", "treatBlanksAs", and if numeric: "precision", "scale"
+- AutoNumber: type="AutoNumber", "displayFormat" (exactly one number placeholder, e.g. "INV-{0000}", max 30 chars), "startingNumber" (default 1)
+- Roll-Up Summary: type="Summary", "summaryOperation" (count/sum/min/max), "summaryForeignKey" (the child's Master-Detail field, e.g. "Line_Item__c.Invoice__c"), "summarizedField" (e.g. "Line_Item__c.Amount__c", omit for count)
 
 CONVERSION RULES:
 1. Extract ALL fields from the specification - EVERY SINGLE ONE
@@ -383,6 +400,7 @@ CONVERSION RULES:
 7. Extract helpText and description as separate fields when present
 8. If you see numbered fields like "### **143. Field_Name**", include field 143 and all others
 9. Process the ENTIRE specification - do not stop early
+10. Record identifiers described as auto-numbered or with a pattern like "INV-0001" or "INV-{0000}" are AutoNumber fields, not Text
 
 Field Specifications:
 ${fieldSpec}
@@ -394,95 +412,379 @@ Remember:
 - Extract EVERY field in the specification, even if there are 100+ fields`;
 }
 
+// Split a block longer than maxChars on blank lines, then on single lines.
+// A single line longer than maxChars is left whole.
+function splitOversizedBlock(block, maxChars, separators = ['\n\n', '\n']) {
+  if (block.length <= maxChars || separators.length === 0) return [block];
+  const [separator, ...rest] = separators;
+  const parts = [];
+  let part = '';
+  for (const piece of block.split(separator)) {
+    if (part && part.length + separator.length + piece.length > maxChars) {
+      parts.push(part);
+      part = piece;
+    } else {
+      part = part ? part + separator + piece : piece;
+    }
+  }
+  parts.push(part);
+  return parts.filter(p => p.trim()).flatMap(p => splitOversizedBlock(p, maxChars, rest));
+}
+
 /**
- * ENHANCED: AI generation with better error handling and recovery
+ * Split a specification into chunks on field boundaries (headings and
+ * "Field Label:" blocks), each under maxChars and maxFields field headers.
+ * A single field block longer than maxChars is split on paragraphs, then
+ * lines. Text before the first field (object name, overview) is repeated at
+ * the top of every later chunk so the AI keeps the context.
  */
-export async function generateFieldsFromAI(inputText) {
-  if (!inputText || inputText.trim().length === 0) {
-    throw new Error('Please provide field specification text');
+export function splitIntoChunks(text, { maxChars = CHUNK_MAX_CHARS, maxFields = CHUNK_MAX_FIELDS } = {}) {
+  const fieldBlocks = [];
+  let block = [];
+  for (const line of text.split('\n')) {
+    const startsField = /^#{1,4}\s/.test(line) ||
+      (/^\s*(?:[-*]\s+)?\*?\*?Field Label:/i.test(line) && block.some(l => /Field Label:/i.test(l)));
+    if (startsField && block.some(l => l.trim())) {
+      fieldBlocks.push(block.join('\n'));
+      block = [];
+    }
+    block.push(line);
   }
+  if (block.some(l => l.trim())) fieldBlocks.push(block.join('\n'));
+  const blocks = fieldBlocks.flatMap(b => splitOversizedBlock(b, maxChars));
+
+  const isFieldBlock = b => FIELD_HEADER_PATTERN.test(b) ||
+    /(?:^|\n)\s*(?:[-*]\s+)?\**(?:Field Label|API Name|Data Type|Field Type)\**:/i.test(b);
+  const firstField = blocks.findIndex(isFieldBlock);
+  const preamble = firstField > 0 ? blocks.slice(0, firstField).join('\n').slice(0, 2000) : '';
+
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  let fieldCount = 0;
+  blocks.forEach((b, i) => {
+    const headers = b.split('\n').filter(l => FIELD_HEADER_PATTERN.test(l)).length || (isFieldBlock(b) ? 1 : 0);
+    if (current.length > 0 && (size + b.length > maxChars || fieldCount + headers > maxFields)) {
+      chunks.push(current.join('\n'));
+      current = preamble && i > firstField ? [preamble] : [];
+      size = preamble.length;
+      fieldCount = 0;
+    }
+    current.push(b);
+    size += b.length + 1;
+    fieldCount += headers;
+  });
+  if (current.length > 0) chunks.push(current.join('\n'));
+  return chunks;
+}
 
-  // Normalize input text before extraction
-  inputText = normalizeCharacters(inputText);
-  
-  // Check if file needs chunking
-  const needsChunking = shouldChunkFile(inputText);
+/**
+ * Combine field lists, keeping the first definition of each API name
+ * (compared case-insensitively).
+ */
+export function mergeFieldLists(...lists) {
+  const seen = new Set();
+  return lists.flat().filter(field => {
+    const key = (field.apiName || '').toLowerCase();
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Merge finished chunks into one { objectName, fields, repair } result. The
+ * object name comes from the first chunk that names a real object. Fields a
+ * failed chunk received before its stream broke are included too.
+ */
+export function mergeChunkResults(chunks) {
+  const done = chunks.filter(chunk => chunk.status === 'done');
+  const named = done.find(chunk => chunk.objectName && chunk.objectName !== 'Custom_Object__c');
+  return {
+    objectName: named ? named.objectName : (done[0]?.objectName || 'Custom_Object__c'),
+    fields: mergeFieldLists(...chunks.map(chunk => chunk.fields || [])),
+    repair: {
+      recovered: done.flatMap(chunk => chunk.repair?.recovered || []),
+      unrecoverable: done.flatMap(chunk => chunk.repair?.unrecoverable || [])
+    }
+  };
+}
+
+// How many times an unusable response or invalid fields go back to the AI
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Prompt asking the AI to fix fields that failed schema validation.
+ * invalidFields: [{ field, errors }] with errors as readable strings.
+ */
+export function generateFieldRepairPrompt(invalidFields) {
+  const listing = invalidFields.map(({ field, errors }, i) => `Field ${i + 1}:
+${JSON.stringify(field, null, 2)}
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}`).join('\n\n');
+
+  return `CRITICAL INSTRUCTIONS:
+1. Your response MUST start with { and end with }
+2. Return ONLY valid JSON - no text before or after
+3. Do NOT use markdown code blocks or backticks
+
+These Salesforce field definitions failed validation. Fix ONLY the listed problems and keep every other property unchanged.
+Return all ${invalidFields.length} fields, in the same order, as: { "fields": [ ... ] }
+
+${listing}`;
+}
+
+// Pull the JSON object out of a response; throws when there is none or it doesn't parse
+function parseJsonResponse(text) {
+  // Normalize AI response (in case it included special characters)
+  let generatedText = normalizeCharacters(text.trim());
   
-  if (needsChunking) {
-    console.warn('⚠️  Large file detected. Processing may take longer...');
-    // For now, we'll still try to process it as one
-    // In a future update, we can add actual chunking here
+  // Remove markdown code blocks
+  generatedText = generatedText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+  const firstBrace = generatedText.indexOf('{');
+  const lastBrace = generatedText.lastIndexOf('}');
+
+  if (firstBrace === -1 || lastBrace === -1) {
+    throw new Error('AI response did not contain valid JSON structure');
   }
-  
-  const fieldSpec = extractFieldSpecifications(inputText);
-  
-  // Log what we're sending
-  console.log(`📤 Sending ${fieldSpec.length} chars to AI (${(fieldSpec.length/1024).toFixed(1)}KB)`);
-  console.log(`   Original size: ${inputText.length} chars`);
-  
+
+  return JSON.parse(generatedText.substring(firstBrace, lastBrace + 1));
+}
+
+const formatSchemaError = ({ path, message }) => `${path} ${message}`;
+
+/**
+ * Send a prompt to the AI provider and parse the JSON it returns. The
+ * response is constrained to FIELD_PAYLOAD_SCHEMA; when it can't be parsed
+ * the prompt is re-sent with the error. Fields are normalized (see
+ * normalizeField) and those that still fail validation are sent back for
+ * repair, each up to MAX_REPAIR_ATTEMPTS times. Fields that still fail are
+ * left out. Returns the payload plus
+ * repair: { recovered: [{ apiName, label }], unrecoverable: [{ field, errors }] }.
+ * The response is streamed and onFields gets every field received so far as
+ * soon as one is complete. When the stream breaks, the error carries those
+ * fields as partial: { objectName, fields }. Aborting signal stops the
+ * request with an AbortError, which carries partial the same way.
+ */
+async function requestFields(fieldSpec, { onFields, signal } = {}) {
   const prompt = generatePrompt(fieldSpec);
 
-  try {
-    const response = await fetch('/api/generate', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ prompt })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `API request failed with status ${response.status}`);
+  const streamPayload = async (text) => {
+    const parser = createFieldStreamParser();
+    try {
+      return await streamCompletion(text, {
+        schema: FIELD_PAYLOAD_SCHEMA,
+        signal,
+        onText: delta => {
+          if (parser.push(delta).length > 0 && onFields) onFields(parser.fields);
+        }
+      });
+    } catch (error) {
+      if (parser.fields.length > 0) {
+        error.partial = { objectName: parser.objectName, fields: parser.fields };
+      }
+      throw error;
     }
+  };
 
-    const data = await response.json();
+  try {
+    let completion = await streamPayload(prompt);
+    console.log(`🤖 ${completion.provider} (${completion.model}) responded`);
+
+    // STEP 1: Get a { fields: [...] } object, re-asking with the error if needed
+    let payload;
+    for (let attempt = 0; ; attempt++) {
+      let problem;
+      try {
+        payload = parseJsonResponse(completion.text);
+        if (Array.isArray(payload.fields)) break;
+        problem = 'Invalid JSON structure: missing or invalid "fields" array';
+      } catch (parseError) {
+        problem = parseError.message;
+      }
+      if (completion.finishReason === 'length') {
+        problem += ' (the response was cut off at the output limit)';
+      }
 
-    if (!data.candidates || !data.candidates[0]?.content?.parts?.[0]?.text) {
-      throw new Error('No response from AI. Please try again.');
+      if (attempt >= MAX_REPAIR_ATTEMPTS) {
+        console.error('JSON Parse Error:', problem);
+        console.error('Generated text (first 500 chars):', completion.text.substring(0, 500));
+        throw new Error('AI returned invalid JSON. Please try again with clearer specifications.');
+      }
+      console.warn(`🔧 Unusable response (${problem}), asking again (${attempt + 1}/${MAX_REPAIR_ATTEMPTS})`);
+      completion = await streamPayload(
+        `${prompt}\n\nYOUR PREVIOUS RESPONSE COULD NOT BE USED: ${problem}\nReturn the complete JSON object again.`
+      );
     }
 
-    let generatedText = data.candidates[0].content.parts[0].text.trim();
-    
-    // Normalize AI response (in case it included special characters)
-    generatedText = normalizeCharacters(generatedText);
-    
-    // Remove markdown code blocks
-    generatedText = generatedText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    // STEP 2: Normalize and validate each field and send the invalid ones
+    // back; what the normalizer fixes needs no repair round trip
+    const normalize = field => (field && typeof field === 'object' ? normalizeField(field).field : field);
+    const fields = payload.fields.map(normalize);
+    const checkFields = indexes => indexes
+      .map(index => ({ index, errors: validateSchema(fields[index], FIELD_SCHEMA).map(formatSchemaError) }))
+      .filter(({ errors }) => errors.length > 0);
+
+    let invalid = checkFields(fields.map((_, index) => index));
+    const repaired = new Set();
+    for (let attempt = 1; invalid.length > 0 && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      console.warn(`🔧 ${invalid.length} fields failed validation, repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}`);
+      try {
+        const repair = await requestCompletion(
+          generateFieldRepairPrompt(invalid.map(({ index, errors }) => ({ field: fields[index], errors }))),
+          { schema: FIELD_REPAIR_SCHEMA, signal }
+        );
+        const corrected = parseJsonResponse(repair.text).fields || [];
+        invalid.forEach(({ index }, i) => {
+          if (corrected[i] && typeof corrected[i] === 'object') {
+            fields[index] = normalize(corrected[i]);
+            repaired.add(index);
+          }
+        });
+      } catch (repairError) {
+        if (isAbortError(repairError)) {
+          // Keep what is valid so far
+          const pending = new Set(invalid.map(({ index }) => index));
+          repairError.partial = { objectName: payload.objectName, fields: fields.filter((_, index) => !pending.has(index)) };
+          throw repairError;
+        }
+        console.warn(`   Repair attempt ${attempt} failed: ${repairError.message}`);
+      }
+      invalid = checkFields(invalid.map(({ index }) => index));
+    }
 
-    const firstBrace = generatedText.indexOf('{');
-    const lastBrace = generatedText.lastIndexOf('}');
+    const failed = new Set(invalid.map(({ index }) => index));
+    return {
+      ...payload,
+      fields: fields.filter((_, index) => !failed.has(index)),
+      repair: {
+        recovered: [...repaired].filter(index => !failed.has(index))
+          .map(index => ({ apiName: fields[index].apiName, label: fields[index].label })),
+        unrecoverable: invalid.map(({ index, errors }) => ({ field: fields[index], errors }))
+      }
+    };
+  } catch (error) {
+    if (!isAbortError(error) && (error.message.includes('fetch') || error.message.includes('network'))) {
+      const message = error.partial ? 'Network error: The connection to the AI service was lost.' : 'Network error: Could not connect to AI service.';
+      throw Object.assign(new Error(message), { partial: error.partial });
+    }
+    throw error;
+  }
+}
 
-    if (firstBrace === -1 || lastBrace === -1) {
-      throw new Error('AI response did not contain valid JSON structure');
+/**
+ * Run chunks through the AI, at most `concurrency` at a time. chunks are
+ * { index, text, status, fields, objectName, error } with status 'pending',
+ * 'running', 'done' or 'failed'; chunks already done are skipped, so passing
+ * a previous run retries only the chunks that failed. onChunkProgress gets
+ * the updated list whenever a chunk changes, including while a running
+ * chunk's fields stream in; onFields gets all fields received so far.
+ * A failed chunk keeps the fields it received. Resolves to the final list.
+ * Aborting signal marks the running chunks failed with "Cancelled", leaves
+ * the rest pending and rejects with an AbortError whose `chunks` is the list.
+ */
+export async function runChunks(chunks, { concurrency = CHUNK_CONCURRENCY, onChunkProgress, onFields, signal } = {}) {
+  let current = chunks.map(chunk => chunk.status === 'done' ? chunk : { ...chunk, status: 'pending', fields: [], error: '' });
+  const update = (index, changes) => {
+    current = current.map(chunk => chunk.index === index ? { ...chunk, ...changes } : chunk);
+    if (onChunkProgress) onChunkProgress(current);
+    if (onFields && changes.fields) onFields(mergeFieldLists(...current.map(chunk => chunk.fields)));
+  };
+
+  const queue = current.filter(chunk => chunk.status !== 'done').map(chunk => chunk.index);
+  if (onChunkProgress) onChunkProgress(current);
+
+  const worker = async () => {
+    while (queue.length > 0 && !signal?.aborted) {
+      const index = queue.shift();
+      const chunk = current.find(c => c.index === index);
+      update(index, { status: 'running' });
+      try {
+        const parsed = await requestFields(chunk.text, { signal, onFields: fields => update(index, { fields }) });
+        console.log(`✅ Chunk ${index + 1}/${current.length}: ${parsed.fields.length} fields`);
+        update(index, { status: 'done', fields: parsed.fields, objectName: parsed.objectName, repair: parsed.repair });
+      } catch (error) {
+        const partial = error.partial || { objectName: '', fields: [] };
+        const message = isAbortError(error) ? 'Cancelled' : error.message;
+        if (!isAbortError(error)) console.error(`❌ Chunk ${index + 1}/${current.length} failed:`, error.message);
+        update(index, { status: 'failed', fields: partial.fields, objectName: partial.objectName, error: message });
+      }
     }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  if (signal?.aborted) {
+    throw Object.assign(new DOMException('Generation cancelled', 'AbortError'), { chunks: current });
+  }
+  return current;
+}
+
+// Every field the chunks received, as an error's `partial`
+function chunkPartial(chunks) {
+  const { fields } = mergeChunkResults(chunks);
+  if (fields.length === 0) return undefined;
+  return { objectName: chunks.find(chunk => chunk.objectName)?.objectName || '', fields };
+}
+
+/**
+ * ENHANCED: AI generation with better error handling and recovery
+ * Large specifications are split into chunks (see splitIntoChunks); the
+ * result then also carries `chunks` so failed ones can be retried with
+ * runChunks. Throws only when every chunk failed. `repair` lists the fields
+ * the repair loop fixed and those it couldn't, which are left out.
+ * onFields gets every field received so far while the response streams in;
+ * when the stream breaks, the error's `partial` holds those fields as
+ * { objectName, fields }. Aborting signal cancels the requests in flight
+ * and rejects with an AbortError that carries `partial` (and `chunks` when
+ * the spec was chunked).
+ */
+export async function generateFieldsFromAI(inputText, { onChunkProgress, onFields, signal } = {}) {
+  if (!inputText || inputText.trim().length === 0) {
+    throw new Error('Please provide field specification text');
+  }
 
-    generatedText = generatedText.substring(firstBrace, lastBrace + 1);
+  // Normalize input text before extraction
+  inputText = normalizeCharacters(inputText);
+  
+  const fieldSpec = extractFieldSpecifications(inputText);
+  
+  // Log what we're sending
+  console.log(`📤 Sending ${fieldSpec.length} chars to AI (${(fieldSpec.length/1024).toFixed(1)}KB)`);
+  console.log(`   Original size: ${inputText.length} chars`);
 
+  if (shouldChunkFile(fieldSpec)) {
+    const texts = splitIntoChunks(fieldSpec);
+    console.log(`📦 Split into ${texts.length} chunks`);
+    let chunks;
     try {
-      const parsed = JSON.parse(generatedText);
-      if (!parsed.fields || !Array.isArray(parsed.fields)) {
-        throw new Error('Invalid JSON structure: missing or invalid "fields" array');
-      }
-      
-      // Success!
-      console.log(`✅ Successfully generated ${parsed.fields.length} fields`);
-      
-      // Warning if we might have missed some fields
-      const inputFieldCount = (inputText.match(/###?\s+\*?\*?\d+\./g) || []).length;
-      if (inputFieldCount > 0 && parsed.fields.length < inputFieldCount * 0.8) {
-        console.warn(`⚠️  Generated ${parsed.fields.length} fields but input had ~${inputFieldCount} field headers`);
-        console.warn('   Some fields may have been skipped. Consider splitting into smaller files.');
-      }
-      
-      return parsed;
-    } catch (parseError) {
-      console.error('JSON Parse Error:', parseError);
-      console.error('Generated text (first 500 chars):', generatedText.substring(0, 500));
-      throw new Error('AI returned invalid JSON. Please try again with clearer specifications.');
+      chunks = await runChunks(
+        texts.map((text, index) => ({ index, text, status: 'pending', fields: [], objectName: '', error: '' })),
+        { onChunkProgress, onFields, signal }
+      );
+    } catch (error) {
+      if (error.chunks) error.partial = chunkPartial(error.chunks);
+      throw error;
     }
-  } catch (error) {
-    if (error.message.includes('fetch') || error.message.includes('network')) {
-      throw new Error('Network error: Could not connect to AI service.');
+    const failed = chunks.filter(chunk => chunk.status === 'failed');
+    if (failed.length === chunks.length) {
+      throw Object.assign(new Error(failed[0].error), { partial: chunkPartial(chunks) });
     }
-    throw error;
+    return { ...mergeChunkResults(chunks), chunks };
+  }
+
+  const parsed = await requestFields(fieldSpec, { onFields, signal });
+
+  // Success!
+  console.log(`✅ Successfully generated ${parsed.fields.length} fields`);
+  
+  // Warning if we might have missed some fields
+  const inputFieldCount = (inputText.match(/###?\s+\*?\*?\d+\./g) || []).length;
+  if (inputFieldCount > 0 && parsed.fields.length < inputFieldCount * 0.8) {
+    console.warn(`⚠️  Generated ${parsed.fields.length} fields but input had ~${inputFieldCount} field headers`);
+    console.warn('   Some fields may have been skipped. Consider splitting into smaller files.');
   }
+  
+  return parsed;
 }
@@ -0,0 +1,420 @@
+/**
+ * CSV Importer Utility
+ * Turns a data-dictionary spreadsheet exported as CSV into the
+ * { objects: [{ objectName, fields }] } payload handleImportJSON consumes.
+ * Columns are mapped to field properties (guessed from the header row and
+ * adjustable in the import dialog) and type names are matched against common
+ * synonyms, so no AI call is needed.
+ */
+
+/**
+ * Field properties a CSV column can be mapped to. aliases are compared
+ * against normalized header names to guess the initial mapping.
+ */
+export const CSV_COLUMN_TARGETS = [
+  { key: 'objectName', label: 'Object', aliases: ['object', 'objectname', 'objectapiname', 'sobject', 'table'] },
+  { key: 'label', label: 'Label', aliases: ['label', 'fieldlabel', 'fieldname', 'name', 'displayname'] },
+  { key: 'apiName', label: 'API Name', aliases: ['apiname', 'api', 'fieldapiname', 'developername', 'fullname'] },
+  { key: 'type', label: 'Type', aliases: ['type', 'datatype', 'fieldtype'] },
+  { key: 'length', label: 'Length', aliases: ['length', 'size', 'maxlength', 'characters', 'maxsize'] },
+  { key: 'precision', label: 'Precision', aliases: ['precision', 'digits'] },
+  { key: 'scale', label: 'Scale', aliases: ['scale', 'decimalplaces', 'decimals'] },
+  { key: 'visibleLines', label: 'Visible Lines', aliases: ['visiblelines', 'lines'] },
+  { key: 'required', label: 'Required', aliases: ['required', 'mandatory', 'req', 'isrequired'] },
+  { key: 'unique', label: 'Unique', aliases: ['unique', 'isunique'] },
+  { key: 'externalId', label: 'External ID', aliases: ['externalid', 'external', 'isexternalid'] },
+  { key: 'picklistValues', label: 'Picklist Values', aliases: ['picklistvalues', 'values', 'options', 'picklist', 'allowedvalues'] },
+  { key: 'defaultValue', label: 'Default Value', aliases: ['defaultvalue', 'default'] },
+  { key: 'referenceTo', label: 'Reference To', aliases: ['referenceto', 'relatedto', 'lookupobject', 'references', 'parentobject', 'relatedobject'] },
+  { key: 'formula', label: 'Formula', aliases: ['formula', 'formulaexpression'] },
+  { key: 'returnType', label: 'Formula Return Type', aliases: ['returntype', 'formulareturntype'] },
+  { key: 'helpText', label: 'Help Text', aliases: ['helptext', 'help', 'inlinehelptext', 'tooltip'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'notes', 'comments', 'purpose'] }
+];
+
+// Normalized type names (lowercase, no spaces or punctuation) to field types
+export const TYPE_SYNONYMS = {
+  text: 'Text',
+  string: 'Text',
+  varchar: 'Text',
+  textarea: 'TextArea',
+  longtextarea: 'LongTextArea',
+  textarealong: 'LongTextArea',
+  longtext: 'LongTextArea',
+  richtextarea: 'RichTextArea',
+  richtext: 'RichTextArea',
+  textarearich: 'RichTextArea',
+  html: 'RichTextArea',
+  encryptedtext: 'EncryptedText',
+  textencrypted: 'EncryptedText',
+  encrypted: 'EncryptedText',
+  number: 'Number',
+  numeric: 'Number',
+  integer: 'Number',
+  int: 'Number',
+  decimal: 'Number',
+  double: 'Number',
+  currency: 'Currency',
+  money: 'Currency',
+  percent: 'Percent',
+  percentage: 'Percent',
+  checkbox: 'Checkbox',
+  boolean: 'Checkbox',
+  bool: 'Checkbox',
+  yesno: 'Checkbox',
+  date: 'Date',
+  datetime: 'DateTime',
+  timestamp: 'DateTime',
+  time: 'Time',
+  geolocation: 'Location',
+  location: 'Location',
+  email: 'Email',
+  phone: 'Phone',
+  url: 'Url',
+  link: 'Url',
+  website: 'Url',
+  picklist: 'Picklist',
+  dropdown: 'Picklist',
+  singleselect: 'Picklist',
+  picklistsingle: 'Picklist',
+  multiselectpicklist: 'MultiselectPicklist',
+  picklistmultiselect: 'MultiselectPicklist',
+  multipicklist: 'MultiselectPicklist',
+  multiselect: 'MultiselectPicklist',
+  lookup: 'Lookup',
+  lookuprelationship: 'Lookup',
+  masterdetail: 'MasterDetail',
+  masterdetailrelationship: 'MasterDetail',
+  formula: 'Formula',
+  rollupsummary: 'Summary',
+  summary: 'Summary',
+  rollup: 'Summary',
+  autonumber: 'AutoNumber'
+};
+
+const FORMULA_RETURN_TYPES = ['Text', 'Number', 'Currency', 'Percent', 'Date', 'DateTime', 'Time', 'Checkbox'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', '✓', '✔', 'required'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', '-', 'optional'];
+const NUMERIC_KEYS = ['length', 'precision', 'scale', 'visibleLines'];
+const BOOLEAN_KEYS = ['required', 'unique', 'externalId'];
+
+const normalize = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with embedded
+ * delimiters, doubled quotes and line breaks. The delimiter (comma,
+ * semicolon or tab) is detected from the first line.
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank rows are kept so row numbers in error messages match the spreadsheet
+  return rows;
+}
+
+/**
+ * Guess which field property each column holds from its header. Returns an
+ * array with one target key (or '' to ignore the column) per header; each
+ * target is used at most once.
+ */
+export function guessColumnMapping(headers) {
+  const used = new Set();
+  return headers.map(header => {
+    const name = normalize(header);
+    const target = CSV_COLUMN_TARGETS.find(t => !used.has(t.key) && t.aliases.includes(name));
+    if (!target) return '';
+    used.add(target.key);
+    return target.key;
+  });
+}
+
+/**
+ * Resolve a type cell such as "Master-Detail", "Text(80)", "Number(16,2)",
+ * "Lookup(Account)" or "Formula (Currency)". Returns { type, ...extras } or
+ * null when the type isn't recognised.
+ */
+export function resolveFieldType(value) {
+  const match = String(value || '').trim().match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+  const base = match ? match[1] : value;
+  const type = TYPE_SYNONYMS[normalize(base)];
+  if (!type) return null;
+  if (!match) return { type };
+
+  const args = match[2].split(',').map(s => s.trim()).filter(Boolean);
+  const extras = {};
+  if (args.length > 0 && args.every(a => /^\d+$/.test(a))) {
+    if (['Number', 'Currency', 'Percent'].includes(type)) {
+      extras.precision = Number(args[0]);
+      if (args[1] !== undefined) extras.scale = Number(args[1]);
+    } else {
+      extras.length = Number(args[0]);
+    }
+  } else if (['Lookup', 'MasterDetail'].includes(type) && args[0]) {
+    extras.referenceTo = args[0];
+  } else if (type === 'Formula' && args[0]) {
+    const returnType = TYPE_SYNONYMS[normalize(args[0])];
+    if (FORMULA_RETURN_TYPES.includes(returnType)) extras.returnType = returnType;
+  }
+  return { type, ...extras };
+}
+
+export function parseBoolean(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === '' || FALSE_VALUES.includes(text)) return false;
+  if (TRUE_VALUES.includes(text)) return true;
+  return null;
+}
+
+// "Open; Closed (default)" or one value per line; commas only when nothing else separates them
+export function parsePicklistValues(value) {
+  const text = String(value || '').trim();
+  if (!text) return [];
+  const parts = /[;\n|]/.test(text) ? text.split(/[;\n|]/) : text.split(',');
+  return parts.map(part => part.trim()).filter(Boolean).map(part => {
+    const isDefault = /\s*\(default\)$/i.test(part);
+    const name = part.replace(/\s*\(default\)$/i, '');
+    return { fullName: name, label: name, default: isDefault };
+  });
+}
+
+export function apiNameFromLabel(label) {
+  let name = label.trim().replace(/[^A-Za-z0-9]+/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+  if (/^[0-9]/.test(name)) name = 'X' + name;
+  return name ? `${name}__c` : '';
+}
+
+export function labelFromApiName(apiName) {
+  return apiName.replace(/__c$/i, '').replace(/_/g, ' ').trim();
+}
+
+// Type-specific values the editor expects when the sheet leaves them out
+export function applyTypeDefaults(field) {
+  if (field.type === 'Text' && !field.length) field.length = 255;
+  if (['LongTextArea', 'RichTextArea'].includes(field.type)) {
+    field.length = field.length || 32768;
+    field.visibleLines = field.visibleLines || (field.type === 'RichTextArea' ? 10 : 3);
+  }
+  if (['Number', 'Currency', 'Percent'].includes(field.type)) {
+    field.precision = field.precision || 18;
+    if (field.scale === undefined) field.scale = field.type === 'Number' ? 0 : 2;
+  }
+  if (['Picklist', 'MultiselectPicklist'].includes(field.type)) {
+    field.picklistValues = field.picklistValues || [];
+    field.restricted = true;
+  }
+  if (['Lookup', 'MasterDetail'].includes(field.type)) {
+    field.relationshipName = field.relationshipName || field.apiName.replace(/__c$/i, '');
+    field.relationshipLabel = field.relationshipLabel || field.label;
+  }
+  if (field.type === 'Lookup') {
+    field.deleteConstraint = field.required ? 'Restrict' : 'SetNull';
+  }
+  if (field.type === 'Formula') {
+    field.returnType = field.returnType || 'Text';
+  }
+  return field;
+}
+
+/**
+ * Build field objects from parsed CSV rows. mapping holds one target key per
+ * column (see guessColumnMapping); the header row is skipped when hasHeader
+ * is set. Rows with errors are left out and reported as
+ * { row, message, severity: 'error' }; problems that were worked around
+ * (a missing type, a derived API name) are reported with severity 'warning'.
+ * Row numbers match the spreadsheet's. Rows without an Object column go to
+ * objectName, or to the selected object when that is empty too.
+ * Returns { objects, errors, fieldCount }.
+ */
+export function buildFieldsFromCsv(rows, mapping, { hasHeader = true, objectName: defaultObjectName } = {}) {
+  const objects = [];
+  const errors = [];
+  let fieldCount = 0;
+
+  rows.forEach((cells, index) => {
+    if (hasHeader && index === 0) return;
+    const rowNumber = index + 1;
+    const rowErrors = [];
+    const warn = message => errors.push({ row: rowNumber, message, severity: 'warning' });
+
+    const raw = {};
+    mapping.forEach((key, column) => {
+      if (key && cells[column] !== undefined && cells[column].trim() !== '') raw[key] = cells[column].trim();
+    });
+    if (Object.keys(raw).length === 0) return;
+
+    const field = {};
+
+    // Names
+    if (!raw.label && !raw.apiName) {
+      errors.push({ row: rowNumber, message: 'Row has neither a label nor an API name', severity: 'error' });
+      return;
+    }
+    field.apiName = raw.apiName || apiNameFromLabel(raw.label);
+    if (!raw.apiName) warn(`API name ${field.apiName} derived from the label`);
+    if (!/__c$/i.test(field.apiName)) field.apiName += '__c';
+    field.label = raw.label || labelFromApiName(field.apiName);
+
+    // Type, including extras such as Text(80) or Lookup(Account)
+    if (raw.type) {
+      const resolved = resolveFieldType(raw.type);
+      if (resolved) {
+        Object.assign(field, resolved);
+      } else {
+        rowErrors.push(`Unknown field type "${raw.type}"`);
+      }
+    } else {
+      field.type = 'Text';
+      warn('No type given, using Text');
+    }
+
+    NUMERIC_KEYS.forEach(key => {
+      if (raw[key] === undefined) return;
+      const value = Number(raw[key].replace(/,/g, ''));
+      if (!Number.isInteger(value) || value < 0) {
+        rowErrors.push(`${key} "${raw[key]}" is not a whole number`);
+      } else {
+        field[key] = value;
+      }
+    });
+
+    BOOLEAN_KEYS.forEach(key => {
+      const value = parseBoolean(raw[key]);
+      if (value === null) {
+        rowErrors.push(`${key} "${raw[key]}" is not yes/no`);
+      } else {
+        field[key] = value;
+      }
+    });
+
+    if (raw.picklistValues) {
+      if (['Picklist', 'MultiselectPicklist'].includes(field.type)) {
+        field.picklistValues = parsePicklistValues(raw.picklistValues);
+      } else if (field.type) {
+        warn(`Picklist values ignored for ${field.type} field`);
+      }
+    }
+    if (raw.returnType) {
+      const returnType = TYPE_SYNONYMS[normalize(raw.returnType)];
+      if (FORMULA_RETURN_TYPES.includes(returnType)) {
+        field.returnType = returnType;
+      } else {
+        rowErrors.push(`Unknown formula return type "${raw.returnType}"`);
+      }
+    }
+    ['defaultValue', 'referenceTo', 'formula', 'helpText', 'description'].forEach(key => {
+      if (raw[key] !== undefined) field[key] = raw[key];
+    });
+
+    if (['Lookup', 'MasterDetail'].includes(field.type) && !field.referenceTo) {
+      rowErrors.push(`${field.type} field needs a Reference To object`);
+    }
+    if (field.type === 'Formula' && !field.formula) {
+      warn('Formula field has no formula expression');
+    }
+
+    const objectName = raw.objectName || defaultObjectName || undefined;
+    let object = objects.find(o => o.objectName === objectName);
+    if (object && object.fields.some(f => f.apiName.toLowerCase() === field.apiName.toLowerCase())) {
+      rowErrors.push(`Duplicate API name ${field.apiName}`);
+    }
+
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(message => errors.push({ row: rowNumber, message, severity: 'error' }));
+      return;
+    }
+
+    if (!object) {
+      object = { objectName, fields: [] };
+      objects.push(object);
+    }
+    object.fields.push(applyTypeDefaults(field));
+    fieldCount++;
+  });
+
+  return { objects, errors, fieldCount };
+}
+
+/**
+ * Default object for a workbook sheet: names that are already API names
+ * (Account, Lab_Result__c) are kept, others become custom object names
+ * ("Lab Results" -> Lab_Results__c).
+ */
+export function objectNameFromSheet(sheetName) {
+  const name = String(sheetName || '').trim();
+  if (/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) return name;
+  return apiNameFromLabel(name);
+}
+
+/**
+ * Build fields from several sheets ({ name, rows, mapping, objectName }),
+ * each mapped on its own. Fields for the same object are merged; errors carry
+ * the sheet name. Returns { objects, errors, fieldCount } like
+ * buildFieldsFromCsv.
+ */
+export function buildFieldsFromSheets(sheets, { hasHeader = true } = {}) {
+  const objects = [];
+  const errors = [];
+
+  sheets.forEach(sheet => {
+    const result = buildFieldsFromCsv(sheet.rows, sheet.mapping, { hasHeader, objectName: sheet.objectName });
+    errors.push(...result.errors.map(err => ({ ...err, sheet: sheet.name })));
+
+    result.objects.forEach(object => {
+      const existing = objects.find(o => o.objectName === object.objectName);
+      if (!existing) {
+        objects.push(object);
+        return;
+      }
+      object.fields.forEach(field => {
+        if (existing.fields.some(f => f.apiName.toLowerCase() === field.apiName.toLowerCase())) {
+          errors.push({ sheet: sheet.name, row: null, message: `Duplicate API name ${field.apiName} on ${object.objectName || 'the selected object'}`, severity: 'error' });
+        } else {
+          existing.fields.push(field);
+        }
+      });
+    });
+  });
+
+  const fieldCount = objects.reduce((sum, object) => sum + object.fields.length, 0);
+  return { objects, errors, fieldCount };
+}
@@ -0,0 +1,132 @@
+import JSZip from 'jszip'
+import { generateXml, generateObjectXml, generateMetadataObjectXml, generateGlobalValueSetXml, generatePackageXml } from './xmlGenerator'
+
+export const EXPORT_FORMATS = {
+  flat: 'Flat fields/ folder (not deployable)',
+  sfdx: 'SFDX source format',
+  mdapi: 'Metadata API format (Workbench)'
+}
+
+export const API_VERSIONS = ['58.0', '59.0', '60.0', '61.0', '62.0', '63.0', '64.0', '65.0']
+
+export const DEFAULT_API_VERSION = '62.0'
+
+const SFDX_PACKAGE_DIR = 'force-app'
+const SFDX_SOURCE_ROOT = `${SFDX_PACKAGE_DIR}/main/default`
+
+export function buildSfdxProjectJson(apiVersion = DEFAULT_API_VERSION) {
+  const project = {
+    packageDirectories: [
+      { path: SFDX_PACKAGE_DIR, default: true }
+    ],
+    name: 'salesforce-fields',
+    namespace: '',
+    sfdcLoginUrl: 'https://login.salesforce.com',
+    sourceApiVersion: apiVersion
+  }
+  return JSON.stringify(project, null, 2)
+}
+
+// Standard objects (Account, Contact, ...) already exist in every org, so
+// only custom objects get an object-meta.xml of their own
+export function isCustomObject(objectName) {
+  return /__c$/.test(objectName || '')
+}
+
+// Global value sets used by any picklist in the given objects
+export function getReferencedValueSets(objects, globalValueSets = []) {
+  const names = new Set(objects.flatMap(object => object.fields.map(field => field.valueSetName).filter(Boolean)))
+  return globalValueSets.filter(valueSet => names.has(valueSet.fullName))
+}
+
+/**
+ * package.xml for the given objects. Fields are listed as Object__c.Field__c;
+ * CustomObject members are only listed when the object files themselves are
+ * part of the bundle, otherwise the deploy would fail looking for them.
+ */
+export function buildPackageXml(objects, { apiVersion = DEFAULT_API_VERSION, includeObjects = true, globalValueSets = [] } = {}) {
+  const typeMembers = {
+    CustomField: objects.flatMap(object => object.fields.map(field => `${object.name}.${field.apiName}`)),
+    CustomObject: includeObjects ? objects.filter(object => isCustomObject(object.name)).map(object => object.name) : [],
+    GlobalValueSet: globalValueSets.map(valueSet => valueSet.fullName)
+  }
+  return generatePackageXml(typeMembers, apiVersion)
+}
+
+/**
+ * Build a JSZip archive for the given objects ([{ name, fields, settings }]).
+ *
+ * 'flat' keeps the original layout: every field in a single fields/ folder
+ * (one <Object>/fields/ folder per object when several are exported, so
+ * fields with the same API name on different objects don't collide).
+ * 'sfdx' writes force-app/main/default/objects/<Object>/fields/ per object
+ * plus an sfdx-project.json, so the archive can be unzipped into a project
+ * and deployed as-is.
+ * 'mdapi' writes the Metadata API format Workbench and `sf project deploy
+ * start --metadata-dir` deploy: objects/<Object>.object with the fields
+ * inside, next to package.xml.
+ *
+ * Every layout includes a package.xml: at the archive root for 'flat' and
+ * 'mdapi', and in manifest/ for 'sfdx' (where `sf project deploy start
+ * --manifest` expects it). The flat layout is source format without a
+ * project, so its manifest only lists the contents; deploy with 'sfdx' or
+ * 'mdapi'. Custom objects also get their object settings unless
+ * includeObjects is false, and every entry of globalValueSets is written to
+ * globalValueSets/.
+ */
+export function buildExportZip(objects, { format = 'flat', apiVersion = DEFAULT_API_VERSION, includeObjects = true, globalValueSets = [] } = {}) {
+  const zip = new JSZip()
+  const packageXml = buildPackageXml(objects, { apiVersion, includeObjects, globalValueSets })
+
+  if (format === 'sfdx') {
+    zip.file('sfdx-project.json', buildSfdxProjectJson(apiVersion))
+    zip.file('manifest/package.xml', packageXml)
+
+    globalValueSets.forEach(valueSet => {
+      zip.file(`${SFDX_SOURCE_ROOT}/globalValueSets/${valueSet.fullName}.globalValueSet-meta.xml`, generateGlobalValueSetXml(valueSet))
+    })
+
+    objects.forEach(object => {
+      const objectFolder = zip.folder(`${SFDX_SOURCE_ROOT}/objects/${object.name}`)
+      if (includeObjects && isCustomObject(object.name)) {
+        objectFolder.file(`${object.name}.object-meta.xml`, generateObjectXml(object))
+      }
+
+      const folder = objectFolder.folder('fields')
+      object.fields.forEach(field => {
+        folder.file(`${field.apiName}.field-meta.xml`, generateXml(field))
+      })
+    })
+  } else if (format === 'mdapi') {
+    zip.file('package.xml', packageXml)
+
+    globalValueSets.forEach(valueSet => {
+      zip.file(`globalValueSets/${valueSet.fullName}.globalValueSet`, generateGlobalValueSetXml(valueSet))
+    })
+
+    objects.forEach(object => {
+      const withSettings = includeObjects && isCustomObject(object.name)
+      zip.file(`objects/${object.name}.object`, generateMetadataObjectXml(object, { withSettings }))
+    })
+  } else {
+    zip.file('package.xml', packageXml)
+
+    globalValueSets.forEach(valueSet => {
+      zip.file(`globalValueSets/${valueSet.fullName}.globalValueSet-meta.xml`, generateGlobalValueSetXml(valueSet))
+    })
+
+    objects.forEach(object => {
+      const objectFolder = objects.length > 1 ? zip.folder(object.name) : zip
+      if (includeObjects && isCustomObject(object.name)) {
+        objectFolder.file(`${object.name}.object-meta.xml`, generateObjectXml(object))
+      }
+
+      const folder = objectFolder.folder('fields')
+      object.fields.forEach(field => {
+        folder.file(`${field.apiName}.field-meta.xml`, generateXml(field))
+      })
+    })
+  }
+
+  return zip
+}
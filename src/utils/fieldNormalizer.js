@@ -0,0 +1,220 @@
+/**
+ * Field Normalizer Utility
+ * Cleans up field payloads from the AI, pasted JSON and file imports before
+ * handleImportJSON puts them in state: type synonyms become field types,
+ * numeric and boolean strings are coerced, out-of-range sizes are clamped,
+ * API names get their __c suffix, string picklist values become value
+ * objects and the Lookup required/Restrict rule the field editor enforces is
+ * applied. Every correction is logged so the import can report it.
+ */
+
+import { FIELD_TYPE_NAMES } from './fieldSchema';
+import {
+  resolveFieldType,
+  parseBoolean,
+  parsePicklistValues,
+  apiNameFromLabel,
+  labelFromApiName
+} from './csvImporter';
+import {
+  LENGTH_RANGES,
+  VISIBLE_LINES_RANGES,
+  NUMERIC_TYPES,
+  MAX_PRECISION,
+  ENCRYPTED_TEXT_MAX_LENGTH
+} from './validation';
+
+const NUMERIC_KEYS = ['length', 'precision', 'scale', 'visibleLines', 'startingNumber'];
+const BOOLEAN_KEYS = ['required', 'unique', 'externalId', 'trackHistory', 'restricted', 'displayLocationInDecimal'];
+
+const KEY_LABELS = {
+  length: 'Length',
+  precision: 'Precision',
+  scale: 'Scale',
+  visibleLines: 'Visible lines',
+  startingNumber: 'Starting number',
+  required: 'Required',
+  unique: 'Unique',
+  externalId: 'External ID',
+  trackHistory: 'Track history',
+  restricted: 'Restricted',
+  displayLocationInDecimal: 'Display in decimal'
+};
+
+const NUMBER_PATTERN = /^\s*-?\d+(\.\d+)?\s*$/;
+
+const lengthRange = type => (type === 'EncryptedText' ? [1, ENCRYPTED_TEXT_MAX_LENGTH] : LENGTH_RANGES[type]);
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, Math.round(value)));
+
+function normalizeType(field, log) {
+  if (FIELD_TYPE_NAMES.includes(field.type) || typeof field.type !== 'string') return;
+  const resolved = resolveFieldType(field.type);
+  if (!resolved) return;
+
+  const { type, ...extras } = resolved;
+  log(`Type "${field.type}" mapped to ${type}`);
+  field.type = type;
+  // "Text(80)" or "Lookup(Account)" carry settings; explicit properties win
+  for (const [key, value] of Object.entries(extras)) {
+    if (field[key] === undefined || field[key] === '') field[key] = value;
+  }
+}
+
+function coerceValues(field, log) {
+  for (const key of NUMERIC_KEYS) {
+    const value = field[key];
+    if (typeof value !== 'string') continue;
+    if (NUMBER_PATTERN.test(value)) {
+      field[key] = Number(value);
+      log(`${KEY_LABELS[key]} "${value}" converted to a number`);
+    } else if (!value.trim()) {
+      delete field[key];
+    } else {
+      delete field[key];
+      log(`${KEY_LABELS[key]} "${value}" is not a number and was dropped`);
+    }
+  }
+  for (const key of BOOLEAN_KEYS) {
+    const value = field[key];
+    if (typeof value !== 'string') continue;
+    const parsed = parseBoolean(value);
+    if (parsed === null) continue;
+    field[key] = parsed;
+    log(`${KEY_LABELS[key]} "${value}" converted to ${parsed}`);
+  }
+}
+
+function clampRanges(field, log) {
+  const clampKey = (key, range) => {
+    const value = field[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+    const clamped = clamp(value, range);
+    if (clamped === value) return;
+    field[key] = clamped;
+    log(`${KEY_LABELS[key]} ${value} adjusted to ${clamped} (allowed ${range[0]}–${range[1]})`);
+  };
+
+  if (lengthRange(field.type)) clampKey('length', lengthRange(field.type));
+  if (VISIBLE_LINES_RANGES[field.type]) clampKey('visibleLines', VISIBLE_LINES_RANGES[field.type]);
+  if (NUMERIC_TYPES.includes(field.type) || (field.type === 'Formula' && NUMERIC_TYPES.includes(field.returnType))) {
+    clampKey('precision', [1, MAX_PRECISION]);
+    const precision = typeof field.precision === 'number' ? field.precision : MAX_PRECISION;
+    clampKey('scale', [0, Math.min(precision, MAX_PRECISION - 1)]);
+  }
+}
+
+function normalizeNames(field, log) {
+  if (typeof field.apiName === 'string' && field.apiName.trim()) {
+    if (!field.apiName.endsWith('__c')) {
+      const fixed = apiNameFromLabel(field.apiName.replace(/__c$/i, ''));
+      if (fixed) {
+        log(`API name "${field.apiName}" changed to ${fixed}`);
+        field.apiName = fixed;
+      }
+    }
+  } else if (typeof field.label === 'string' && field.label.trim()) {
+    field.apiName = apiNameFromLabel(field.label);
+    log(`API name ${field.apiName} derived from the label`);
+  }
+
+  if ((typeof field.label !== 'string' || !field.label.trim()) && field.apiName) {
+    field.label = labelFromApiName(field.apiName);
+    log(`Label "${field.label}" derived from the API name`);
+  }
+}
+
+function normalizePicklistValues(field, log) {
+  const values = field.picklistValues;
+  if (typeof values === 'string') {
+    field.picklistValues = parsePicklistValues(values);
+    log(`Picklist values text split into ${field.picklistValues.length} value(s)`);
+    return;
+  }
+  if (!Array.isArray(values)) return;
+
+  let converted = 0;
+  field.picklistValues = values
+    .map(value => {
+      if (typeof value === 'string' || typeof value === 'number') {
+        converted++;
+        const name = String(value).trim();
+        return { fullName: name, label: name, default: false };
+      }
+      if (!value || typeof value !== 'object') return null;
+      const fullName = value.fullName || value.label || value.value || '';
+      if (value.fullName === fullName && value.label && typeof value.default === 'boolean') return value;
+      converted++;
+      return { ...value, fullName: String(fullName), label: value.label || String(fullName), default: value.default === true };
+    })
+    .filter(value => value && value.fullName);
+  if (converted > 0) log(`${converted} picklist value(s) converted to { fullName, label, default }`);
+}
+
+// Without a deleteConstraint Salesforce uses SetNull, which a required lookup can't have
+function applyRelationshipRules(field, log) {
+  if (field.type === 'Lookup' && field.required === true && !['Restrict', 'Cascade'].includes(field.deleteConstraint)) {
+    log(field.deleteConstraint
+      ? `Delete constraint changed from ${field.deleteConstraint} to Restrict because the lookup is required`
+      : 'Delete constraint set to Restrict because the lookup is required');
+    field.deleteConstraint = 'Restrict';
+  }
+}
+
+/**
+ * Normalize one field. The input is not modified. Returns
+ * { field, changes } where changes lists a message per correction.
+ */
+export function normalizeField(input) {
+  const field = { ...input };
+  const changes = [];
+  const log = message => changes.push(message);
+
+  normalizeType(field, log);
+  coerceValues(field, log);
+  clampRanges(field, log);
+  normalizeNames(field, log);
+  normalizePicklistValues(field, log);
+  applyRelationshipRules(field, log);
+
+  return { field, changes };
+}
+
+/**
+ * Normalize every field of an import payload, either
+ * { objects: [{ objectName, fields }] } or { objectName, fields }. Payloads
+ * without a fields array are passed through for handleImportJSON to reject.
+ * Returns { data, changes } with changes as { objectName, field, message }.
+ */
+export function normalizeImportPayload(data) {
+  const changes = [];
+
+  const normalizePayload = payload => {
+    if (!payload || !Array.isArray(payload.fields)) return payload;
+    const fields = payload.fields.map(input => {
+      if (!input || typeof input !== 'object') return input;
+      const { field, changes: fieldChanges } = normalizeField(input);
+      const name = field.apiName || field.label || '(unnamed field)';
+      fieldChanges.forEach(message => changes.push({ objectName: payload.objectName || '', field: name, message }));
+      return field;
+    });
+    return { ...payload, fields };
+  };
+
+  if (data && Array.isArray(data.objects)) {
+    return { data: { ...data, objects: data.objects.map(normalizePayload) }, changes };
+  }
+  return { data: normalizePayload(data), changes };
+}
+
+/**
+ * Summarize a change log as text, one line per correction, for the import
+ * notice. At most limit lines are listed.
+ */
+export function formatNormalizationChanges(changes, limit = 15) {
+  const lines = changes.slice(0, limit).map(change =>
+    `• ${change.objectName ? `${change.objectName}.` : ''}${change.field}: ${change.message}`
+  );
+  if (changes.length > limit) lines.push(`…and ${changes.length - limit} more`);
+  return lines.join('\n');
+}
@@ -0,0 +1,153 @@
+/**
+ * Field Schema Utility
+ * JSON Schema for the { objectName, fields } payload the AI returns. The
+ * schema is sent to the provider as a structured-output constraint and used
+ * here to validate each field of the response, so invalid fields can be sent
+ * back for repair. validateSchema supports the subset the schema uses: type,
+ * enum, required, properties, items, anyOf, minimum/maximum,
+ * minLength/maxLength and pattern.
+ */
+
+export const FIELD_TYPE_NAMES = [
+  'Text', 'TextArea', 'LongTextArea', 'RichTextArea', 'EncryptedText', 'Number', 'Currency',
+  'Percent', 'Checkbox', 'Date', 'DateTime', 'Time', 'Location', 'Email',
+  'Phone', 'Url', 'Picklist', 'MultiselectPicklist', 'Lookup', 'MasterDetail', 'Formula', 'Summary', 'AutoNumber'
+];
+
+const integer = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+
+export const FIELD_SCHEMA = {
+  type: 'object',
+  required: ['apiName', 'label', 'type'],
+  properties: {
+    apiName: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]*__c$', maxLength: 43 },
+    label: { type: 'string', minLength: 1, maxLength: 40 },
+    type: { type: 'string', enum: FIELD_TYPE_NAMES },
+    length: integer(1, 131072),
+    precision: integer(1, 18),
+    scale: integer(0, 17),
+    visibleLines: integer(1, 50),
+    required: { type: 'boolean' },
+    unique: { type: 'boolean' },
+    externalId: { type: 'boolean' },
+    trackHistory: { type: 'boolean' },
+    helpText: { type: 'string', maxLength: 510 },
+    description: { type: 'string', maxLength: 1000 },
+    defaultValue: { anyOf: [{ type: 'string' }, { type: 'boolean' }, { type: 'number' }] },
+    picklistValues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['fullName'],
+        properties: {
+          fullName: { type: 'string', minLength: 1, maxLength: 255 },
+          label: { type: 'string', maxLength: 255 },
+          default: { type: 'boolean' }
+        }
+      }
+    },
+    restricted: { type: 'boolean' },
+    referenceTo: { type: 'string', minLength: 1 },
+    relationshipName: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]*$' },
+    relationshipLabel: { type: 'string' },
+    deleteConstraint: { type: 'string', enum: ['SetNull', 'Restrict', 'Cascade'] },
+    formula: { type: 'string', minLength: 1 },
+    returnType: { type: 'string', enum: ['Text', 'Number', 'Currency', 'Percent', 'Date', 'DateTime', 'Time', 'Checkbox'] },
+    treatBlanksAs: { type: 'string', enum: ['BlankAsZero', 'BlankAsBlank'] },
+    displayFormat: { type: 'string', maxLength: 30 },
+    startingNumber: integer(0, 999999999),
+    summaryOperation: { type: 'string', enum: ['count', 'sum', 'min', 'max'] },
+    summaryForeignKey: { type: 'string' },
+    summarizedField: { type: 'string' },
+    maskType: { type: 'string', enum: ['all', 'creditCard', 'ssn', 'lastFour', 'sin', 'nino'] },
+    maskChar: { type: 'string', enum: ['asterisk', 'X'] },
+    displayLocationInDecimal: { type: 'boolean' }
+  }
+};
+
+export const FIELD_PAYLOAD_SCHEMA = {
+  type: 'object',
+  required: ['objectName', 'fields'],
+  properties: {
+    objectName: { type: 'string' },
+    fields: { type: 'array', items: FIELD_SCHEMA }
+  }
+};
+
+// What a repair response looks like: just the corrected fields
+export const FIELD_REPAIR_SCHEMA = {
+  type: 'object',
+  required: ['fields'],
+  properties: {
+    fields: { type: 'array', items: FIELD_SCHEMA }
+  }
+};
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+/**
+ * Validate value against schema. Returns a list of { path, message }, empty
+ * when the value is valid. path is like "fields[2].length".
+ */
+export function validateSchema(value, schema, path = '') {
+  const at = path || 'value';
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(option => validateSchema(value, option, path).length === 0);
+    return passes ? [] : [{ path: at, message: `must be ${schema.anyOf.map(option => option.type).join(' or ')}` }];
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path: at, message: `must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, got ${typeOf(value)}` }];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: at, message: `must match ${schema.pattern}` });
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
@@ -0,0 +1,95 @@
+/**
+ * Field Stream Utility
+ * Reads the { objectName, fields: [...] } JSON the AI streams back and hands
+ * out each field as soon as its object is complete, without waiting for the
+ * rest of the response. Text around the JSON, such as a ```json fence, is
+ * ignored, and a field that isn't valid JSON on its own is skipped.
+ */
+
+const FIELDS_START = /"fields"\s*:\s*\[/;
+const OBJECT_NAME = /"objectName"\s*:\s*"((?:[^"\\]|\\.)*)"/;
+
+/**
+ * Create a parser for one streamed response. push(text) adds the next piece
+ * and returns the fields it completed; fields and objectName hold everything
+ * read so far.
+ */
+export function createFieldStreamParser() {
+  let buffer = '';
+  let position = 0;
+  let state = 'seek'; // 'seek' the fields array, read 'fields', then 'done'
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let start = -1;
+  let objectName = '';
+  const fields = [];
+
+  const readObjectName = () => {
+    if (objectName) return;
+    const match = buffer.match(OBJECT_NAME);
+    if (!match) return;
+    try {
+      objectName = JSON.parse(`"${match[1]}"`);
+    } catch (error) {
+      objectName = match[1];
+    }
+  };
+
+  const push = (text) => {
+    buffer += text;
+    const completed = [];
+
+    if (state === 'seek') {
+      readObjectName();
+      const match = buffer.match(FIELDS_START);
+      if (!match) return completed;
+      state = 'fields';
+      position = match.index + match[0].length;
+    }
+
+    for (; state === 'fields' && position < buffer.length; position++) {
+      const char = buffer[position];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth === 0) start = position;
+        depth++;
+      } else if (char === '}' && depth > 0) {
+        depth--;
+        if (depth === 0) {
+          try {
+            const field = JSON.parse(buffer.slice(start, position + 1));
+            fields.push(field);
+            completed.push(field);
+          } catch (error) {
+            // Not a usable field; the full response is validated later
+          }
+        }
+      } else if (char === ']' && depth === 0) {
+        state = 'done';
+      }
+    }
+
+    // objectName may also follow the fields array
+    if (state === 'done') readObjectName();
+    return completed;
+  };
+
+  return {
+    push,
+    get fields() {
+      return fields;
+    },
+    get objectName() {
+      return objectName;
+    }
+  };
+}
@@ -1,8 +1,10 @@
 /**
  * File Parser Utility
- * Handles parsing of different file formats (.txt, .md, .docx)
+ * Handles parsing of different file formats (.txt, .md, .docx, .xlsx)
  */
 
+import JSZip from 'jszip';
+
 export async function parseFile(file) {
   if (!file) throw new Error('No file provided');
 
@@ -10,7 +12,7 @@ export async function parseFile(file) {
   const fileExtension = fileName.split('.').pop();
 
   if (!isValidFileType(file)) {
-    throw new Error(`Unsupported file type: .${fileExtension}. Please use .txt, .md, or .docx files.`);
+    throw new Error(`Unsupported file type: .${fileExtension}. Please use .txt, .md, .docx or .xlsx files.`);
   }
 
   if (!isValidFileSize(file, 10)) {
@@ -22,6 +24,8 @@ export async function parseFile(file) {
       return await parseTextFile(file);
     } else if (fileExtension === 'docx' || fileExtension === 'doc') {
       return await parseDocxFile(file);
+    } else if (fileExtension === 'xlsx') {
+      return workbookToText(await parseXlsxWorkbook(file));
     } else {
       throw new Error(`Unsupported file type: .${fileExtension}`);
     }
@@ -85,8 +89,98 @@ async function parseDocxFile(file) {
   });
 }
 
+// Spreadsheet cells are addressed as A1, B7, AA12...
+function columnIndex(cellRef) {
+  const letters = (cellRef || '').replace(/[^A-Z]/gi, '').toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function elements(node, localName) {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+async function readXml(zip, path) {
+  const entry = zip.file(path);
+  if (!entry) return null;
+  return new DOMParser().parseFromString(await entry.async('string'), 'application/xml');
+}
+
+// Rich text strings are split into runs; phonetic hints (rPh) are not part of the value
+function stringItemText(node) {
+  return elements(node, 't')
+    .filter(t => !t.parentNode || t.parentNode.localName !== 'rPh')
+    .map(t => t.textContent)
+    .join('');
+}
+
+/**
+ * Read the visible sheets of an .xlsx workbook (a zip of SpreadsheetML
+ * parts) as [{ name, rows }], where rows are arrays of cell text. Empty rows
+ * and cells are kept so row and column positions match the spreadsheet.
+ */
+export async function parseXlsxWorkbook(file) {
+  const zip = await JSZip.loadAsync(file);
+  const workbook = await readXml(zip, 'xl/workbook.xml');
+  if (!workbook) throw new Error('Not an Excel workbook (xl/workbook.xml is missing)');
+
+  const relationships = await readXml(zip, 'xl/_rels/workbook.xml.rels');
+  const targets = {};
+  if (relationships) {
+    elements(relationships, 'Relationship').forEach(rel => {
+      const target = rel.getAttribute('Target');
+      targets[rel.getAttribute('Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    });
+  }
+
+  const sharedStringsDoc = await readXml(zip, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsDoc ? elements(sharedStringsDoc, 'si').map(stringItemText) : [];
+
+  const sheets = [];
+  const sheetNodes = elements(workbook, 'sheet').filter(node => !['hidden', 'veryHidden'].includes(node.getAttribute('state')));
+
+  for (const [index, sheetNode] of sheetNodes.entries()) {
+    const relId = sheetNode.getAttribute('r:id');
+    const path = targets[relId] || `xl/worksheets/sheet${index + 1}.xml`;
+    const sheetDoc = await readXml(zip, path);
+    if (!sheetDoc) continue;
+
+    const rows = [];
+    elements(sheetDoc, 'row').forEach(rowNode => {
+      const rowIndex = rowNode.getAttribute('r') ? Number(rowNode.getAttribute('r')) - 1 : rows.length;
+      const cells = [];
+      elements(rowNode, 'c').forEach(cellNode => {
+        const type = cellNode.getAttribute('t');
+        const valueNode = elements(cellNode, 'v')[0];
+        const raw = valueNode ? valueNode.textContent : '';
+        let value = raw;
+        if (type === 's') value = sharedStrings[Number(raw)] || '';
+        else if (type === 'inlineStr') value = elements(cellNode, 'is').map(stringItemText).join('');
+        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+
+        const ref = cellNode.getAttribute('r');
+        cells[ref ? columnIndex(ref) : cells.length] = value;
+      });
+      rows[rowIndex] = Array.from(cells, cell => cell || '');
+    });
+
+    sheets.push({ name: sheetNode.getAttribute('name'), rows: Array.from(rows, row => row || []) });
+  }
+
+  if (sheets.length === 0) throw new Error('Workbook has no readable sheets');
+  return sheets;
+}
+
+// Tab-separated text with one section per sheet, for the AI specification input
+function workbookToText(sheets) {
+  const text = sheets
+    .map(sheet => `## Sheet: ${sheet.name}\n\n${sheet.rows.map(row => row.join('\t')).join('\n')}`)
+    .join('\n\n');
+  if (!text.trim()) throw new Error('Workbook appears to be empty');
+  return text;
+}
+
 export function isValidFileType(file) {
-  const validExtensions = ['txt', 'md', 'docx', 'doc'];
+  const validExtensions = ['txt', 'md', 'docx', 'doc', 'xlsx'];
   const extension = file.name.toLowerCase().split('.').pop();
   return validExtensions.includes(extension);
 }
@@ -97,7 +191,8 @@ export function getFileTypeName(file) {
     'txt': 'Text File',
     'md': 'Markdown File',
     'docx': 'Word Document',
-    'doc': 'Word Document'
+    'doc': 'Word Document',
+    'xlsx': 'Excel Workbook'
   };
   return typeNames[extension] || 'Unknown File';
 }
@@ -0,0 +1,542 @@
+/**
+ * Formula Evaluator Utility
+ * Evaluates formulas parsed by formulaParser against sample field values,
+ * for the formula test bench, and runs the test cases saved on formula
+ * fields (field.formulaTests).
+ */
+
+import { parseFormula, resolveFieldPath, getFieldReferences } from './formulaParser';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS = { mi: 3958.8, km: 6371 };
+
+export class FormulaEvalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaEvalError';
+  }
+}
+
+// Values are carried with their type so date arithmetic and TEXT() know what they hold:
+// Date/DateTime are UTC Date objects, Time is milliseconds after midnight
+const typed = (type, value) => ({ type, value });
+const num = value => typed('Number', value);
+const text = value => typed('Text', value);
+const bool = value => typed('Checkbox', value);
+
+const isBlank = v => v.value === null || v.value === undefined || v.value === '' ||
+  (Array.isArray(v.value) && v.value.length === 0);
+const isTrue = v => v.value === true;
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function formatDate(date) {
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function formatTime(ms) {
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+function parseDate(raw) {
+  const match = String(raw).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCDate() !== +match[3]) throw new FormulaEvalError(`"${raw}" is not a date (YYYY-MM-DD)`);
+  return date;
+}
+
+function parseDateTime(raw) {
+  const match = String(raw).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?Z?$/);
+  if (!match) throw new FormulaEvalError(`"${raw}" is not a date/time (YYYY-MM-DD HH:MM:SS)`);
+  return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +(match[6] || 0)));
+}
+
+function parseTime(raw) {
+  const match = String(raw).trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?Z?$/);
+  if (!match || +match[1] > 23 || +match[2] > 59) throw new FormulaEvalError(`"${raw}" is not a time (HH:MM:SS)`);
+  return ((+match[1] * 60 + +match[2]) * 60 + +(match[3] || 0)) * 1000 + +((match[4] || '0').padEnd(3, '0'));
+}
+
+/**
+ * Turn a sample value typed into the test bench (a string, or a boolean for
+ * checkboxes) into a typed formula value. Unknown types are taken as Text.
+ */
+export function coerceSampleValue(raw, type, label = 'Value') {
+  if (type === 'Checkbox') return bool(raw === true || raw === 'true');
+  const valueType = ['Number', 'Date', 'DateTime', 'Time', 'Picklist', 'MultiPicklist', 'Location'].includes(type) ? type : 'Text';
+  if (raw === undefined || raw === null || raw === '') return typed(valueType, null);
+
+  try {
+    switch (valueType) {
+      case 'Number': {
+        const n = Number(raw);
+        if (Number.isNaN(n)) throw new FormulaEvalError(`"${raw}" is not a number`);
+        return num(n);
+      }
+      case 'Date':
+        return typed('Date', parseDate(raw));
+      case 'DateTime':
+        return typed('DateTime', parseDateTime(raw));
+      case 'Time':
+        return typed('Time', parseTime(raw));
+      case 'MultiPicklist':
+        return typed('MultiPicklist', String(raw).split(';').map(s => s.trim()).filter(Boolean));
+      case 'Location': {
+        const [latitude, longitude] = String(raw).split(',').map(s => Number(s.trim()));
+        if (Number.isNaN(latitude) || Number.isNaN(longitude) || longitude === undefined) {
+          throw new FormulaEvalError(`"${raw}" is not a location (latitude, longitude)`);
+        }
+        return typed('Location', { latitude, longitude });
+      }
+      default:
+        return typed(valueType, String(raw));
+    }
+  } catch (error) {
+    if (error instanceof FormulaEvalError) throw new FormulaEvalError(`${label}: ${error.message}`);
+    throw error;
+  }
+}
+
+function asText(v) {
+  if (isBlank(v)) return '';
+  switch (v.type) {
+    case 'Date': return formatDate(v.value);
+    case 'DateTime': return v.value.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, 'Z');
+    case 'Time': return formatTime(v.value) + 'Z';
+    case 'Checkbox': return v.value ? 'true' : 'false';
+    case 'MultiPicklist': return v.value.join(';');
+    case 'Location': return `${v.value.latitude}, ${v.value.longitude}`;
+    default: return String(v.value);
+  }
+}
+
+// Comparable primitive for =, <, CASE and ISPICKVAL
+function comparable(v) {
+  if (isBlank(v)) return null;
+  if (v.type === 'Date' || v.type === 'DateTime') return v.value.getTime();
+  return v.value;
+}
+
+function valuesEqual(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === null || right === null) return left === right;
+  return left === right;
+}
+
+function roundHalfAwayFromZero(value, digits) {
+  const sign = value < 0 ? -1 : 1;
+  return sign * Number(Math.round(Number(`${Math.abs(value)}e${digits}`)) + `e-${digits}`);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// The last day of a month stays the last day; other days are clamped to the shorter month
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  const timeOfDay = date.getTime() - Date.UTC(year, month, day);
+  const target = new Date(Date.UTC(year, month + Math.trunc(months), 1));
+  const targetDays = daysInMonth(target.getUTCFullYear(), target.getUTCMonth());
+  target.setUTCDate(day === daysInMonth(year, month) ? targetDays : Math.min(day, targetDays));
+  return new Date(target.getTime() + timeOfDay);
+}
+
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  return { year: d.getUTCFullYear(), week: Math.ceil(((d - yearStart) / DAY_MS + 1) / 7) };
+}
+
+function caseSafeId(id) {
+  if (id.length !== 15) return id;
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+  let suffix = '';
+  for (let chunk = 0; chunk < 3; chunk++) {
+    let flags = 0;
+    for (let j = 0; j < 5; j++) {
+      const c = id[chunk * 5 + j];
+      if (c >= 'A' && c <= 'Z') flags += 1 << j;
+    }
+    suffix += chars[flags];
+  }
+  return id + suffix;
+}
+
+function padText(value, length, padding, left) {
+  if (length <= 0) return '';
+  if (value.length >= length) return value.slice(0, length);
+  const fill = (padding === undefined ? ' ' : padding) || ' ';
+  const filler = fill.repeat(Math.ceil((length - value.length) / fill.length)).slice(0, length - value.length);
+  return left ? filler + value : value + filler;
+}
+
+// Values of an unknown type (such as a path to an object outside the
+// workspace) are Text, so functions check their argument types
+const requireType = (name, value, types) => {
+  if (!types.includes(value.type)) {
+    throw new FormulaEvalError(`${name} needs a ${types.join(' or ')} value, got ${value.type}`);
+  }
+};
+
+// Numeric functions return blank when any argument is blank
+const numeric = (name, fn) => (args) => {
+  if (args.some(isBlank)) return num(null);
+  args.forEach(a => requireType(name, a, ['Number']));
+  return num(fn(...args.map(a => a.value)));
+};
+
+// Date and time parts: blank in, blank out
+const datePart = (name, types, fn) => ([d]) => {
+  if (isBlank(d)) return num(null);
+  requireType(name, d, types);
+  return num(fn(d.value));
+};
+const DATE_TYPES = ['Date', 'DateTime'];
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const htmlEncode = value => value.replace(/[&<>"']/g, c => HTML_ENTITIES[c]);
+const jsEncode = value => value.replace(/[\\'"]/g, '\\$&').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+
+const requireNumber = (condition, message) => {
+  if (!condition) throw new FormulaEvalError(message);
+};
+
+// Functions whose arguments are evaluated up front
+const FUNCTIONS = {
+  NOT: ([a]) => bool(!isTrue(a)),
+  ISBLANK: ([a]) => bool(isBlank(a)),
+  ISNULL: ([a]) => bool(isBlank(a)),
+  ISNUMBER: ([a]) => bool(/^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(asText(a))),
+  ISPICKVAL: ([a, b]) => bool(!isBlank(a) && a.value === asText(b)),
+  INCLUDES: ([a, b]) => bool(!isBlank(a) && a.value.includes(asText(b))),
+  PICKLISTCOUNT: ([a]) => num(isBlank(a) ? 0 : a.value.length),
+
+  BEGINS: ([a, b]) => bool(asText(a).startsWith(asText(b))),
+  CONTAINS: ([a, b]) => bool(asText(a).includes(asText(b))),
+  BR: () => text('\n'),
+  CASESAFEID: ([a]) => text(caseSafeId(asText(a))),
+  FIND: ([search, within, start]) => {
+    const from = start && !isBlank(start) ? start.value : 1;
+    if (!asText(search) || from < 1) return num(0);
+    return num(asText(within).indexOf(asText(search), from - 1) + 1);
+  },
+  HTMLENCODE: ([a]) => text(htmlEncode(asText(a))),
+  HYPERLINK: ([url, name]) => text(asText(name) || asText(url)),
+  IMAGE: ([url, alt]) => text(asText(alt) || asText(url)),
+  INITCAP: ([a]) => text(asText(a).toLowerCase().replace(/(^|[^A-Za-z0-9])([a-z])/g, (_, sep, c) => sep + c.toUpperCase())),
+  JSENCODE: ([a]) => text(jsEncode(asText(a))),
+  JSINHTMLENCODE: ([a]) => text(htmlEncode(jsEncode(asText(a)))),
+  LEFT: ([a, n]) => text(asText(a).slice(0, Math.max(0, n.value || 0))),
+  LEN: ([a]) => num(asText(a).length),
+  LOWER: ([a]) => text(asText(a).toLowerCase()),
+  LPAD: ([a, n, p]) => text(padText(asText(a), n.value || 0, p && asText(p), true)),
+  MID: ([a, start, n]) => text(asText(a).substr(Math.max(0, (start.value || 1) - 1), Math.max(0, n.value || 0))),
+  REVERSE: ([a]) => text([...asText(a)].reverse().join('')),
+  RIGHT: ([a, n]) => text((n.value || 0) > 0 ? asText(a).slice(-n.value) : ''),
+  RPAD: ([a, n, p]) => text(padText(asText(a), n.value || 0, p && asText(p), false)),
+  SUBSTITUTE: ([a, from, to]) => text(asText(from) ? asText(a).split(asText(from)).join(asText(to)) : asText(a)),
+  TEXT: ([a]) => text(asText(a)),
+  TRIM: ([a]) => text(asText(a).trim()),
+  UPPER: ([a]) => text(asText(a).toUpperCase()),
+  URLENCODE: ([a]) => text(encodeURIComponent(asText(a))),
+  VALUE: ([a]) => {
+    if (isBlank(a)) return num(null);
+    const n = Number(asText(a));
+    requireNumber(!Number.isNaN(n), `VALUE: "${asText(a)}" is not a number`);
+    return num(n);
+  },
+
+  ABS: numeric('ABS', Math.abs),
+  CEILING: numeric('CEILING', n => n < 0 ? -Math.ceil(-n) : Math.ceil(n)),
+  FLOOR: numeric('FLOOR', n => n < 0 ? -Math.floor(-n) : Math.floor(n)),
+  MCEILING: numeric('MCEILING', Math.ceil),
+  MFLOOR: numeric('MFLOOR', Math.floor),
+  EXP: numeric('EXP', Math.exp),
+  LN: numeric('LN', n => {
+    requireNumber(n > 0, 'LN needs a number greater than zero');
+    return Math.log(n);
+  }),
+  LOG: numeric('LOG', n => {
+    requireNumber(n > 0, 'LOG needs a number greater than zero');
+    return Math.log10(n);
+  }),
+  SQRT: numeric('SQRT', n => {
+    requireNumber(n >= 0, 'SQRT of a negative number');
+    return Math.sqrt(n);
+  }),
+  ROUND: numeric('ROUND', (n, digits) => roundHalfAwayFromZero(n, Math.trunc(digits))),
+  MOD: numeric('MOD', (n, d) => {
+    requireNumber(d !== 0, 'Division by zero in MOD');
+    return n % d;
+  }),
+  TRUNC: numeric('TRUNC', (n, digits = 0) => {
+    const factor = 10 ** Math.trunc(digits);
+    return Math.trunc(n * factor) / factor;
+  }),
+  MAX: numeric('MAX', (...values) => Math.max(...values)),
+  MIN: numeric('MIN', (...values) => Math.min(...values)),
+  // The test bench has a single currency
+  CURRENCYRATE: () => num(1),
+  GEOLOCATION: ([lat, lng]) => {
+    if (isBlank(lat) || isBlank(lng)) return typed('Location', null);
+    [lat, lng].forEach(a => requireType('GEOLOCATION', a, ['Number']));
+    return typed('Location', { latitude: lat.value, longitude: lng.value });
+  },
+  DISTANCE: ([a, b, unit]) => {
+    if (isBlank(a) || isBlank(b)) return num(null);
+    [a, b].forEach(l => requireType('DISTANCE', l, ['Location']));
+    const radius = EARTH_RADIUS[asText(unit)];
+    requireNumber(radius, `DISTANCE unit must be "mi" or "km", got "${asText(unit)}"`);
+    const rad = d => d * Math.PI / 180;
+    const dLat = rad(b.value.latitude - a.value.latitude);
+    const dLng = rad(b.value.longitude - a.value.longitude);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.value.latitude)) * Math.cos(rad(b.value.latitude)) * Math.sin(dLng / 2) ** 2;
+    return num(2 * radius * Math.asin(Math.sqrt(h)));
+  },
+
+  TODAY: () => {
+    const now = new Date();
+    return typed('Date', new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())));
+  },
+  NOW: () => typed('DateTime', new Date()),
+  TIMENOW: () => typed('Time', Date.now() % DAY_MS),
+  DATE: ([y, m, d]) => {
+    if ([y, m, d].some(isBlank)) return typed('Date', null);
+    return typed('Date', parseDate(`${y.value}-${m.value}-${d.value}`));
+  },
+  DATEVALUE: ([a]) => {
+    if (isBlank(a)) return typed('Date', null);
+    if (a.type === 'DateTime' || a.type === 'Date') {
+      return typed('Date', new Date(Date.UTC(a.value.getUTCFullYear(), a.value.getUTCMonth(), a.value.getUTCDate())));
+    }
+    return typed('Date', parseDate(asText(a).slice(0, 10)));
+  },
+  DATETIMEVALUE: ([a]) => {
+    if (isBlank(a)) return typed('DateTime', null);
+    if (a.type === 'DateTime' || a.type === 'Date') return typed('DateTime', new Date(a.value.getTime()));
+    const value = asText(a);
+    return typed('DateTime', /^\d{4}-\d{1,2}-\d{1,2}$/.test(value.trim()) ? parseDate(value) : parseDateTime(value));
+  },
+  TIMEVALUE: ([a]) => {
+    if (isBlank(a)) return typed('Time', null);
+    if (a.type === 'DateTime') return typed('Time', a.value.getTime() % DAY_MS);
+    return typed('Time', parseTime(asText(a)));
+  },
+  ADDMONTHS: ([date, months]) => {
+    if (isBlank(date) || isBlank(months)) return typed(date.type, null);
+    requireType('ADDMONTHS', date, DATE_TYPES);
+    requireType('ADDMONTHS', months, ['Number']);
+    return typed(date.type, addMonths(date.value, months.value));
+  },
+  YEAR: datePart('YEAR', DATE_TYPES, d => d.getUTCFullYear()),
+  MONTH: datePart('MONTH', DATE_TYPES, d => d.getUTCMonth() + 1),
+  DAY: datePart('DAY', DATE_TYPES, d => d.getUTCDate()),
+  WEEKDAY: datePart('WEEKDAY', DATE_TYPES, d => d.getUTCDay() + 1),
+  DAYOFYEAR: datePart('DAYOFYEAR', DATE_TYPES, d => Math.round((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / DAY_MS) + 1),
+  ISOWEEK: datePart('ISOWEEK', DATE_TYPES, d => isoWeek(d).week),
+  ISOYEAR: datePart('ISOYEAR', DATE_TYPES, d => isoWeek(d).year),
+  HOUR: datePart('HOUR', ['Time'], t => Math.floor(t / 3600000)),
+  MINUTE: datePart('MINUTE', ['Time'], t => Math.floor(t / 60000) % 60),
+  SECOND: datePart('SECOND', ['Time'], t => Math.floor(t / 1000) % 60),
+  MILLISECOND: datePart('MILLISECOND', ['Time'], t => t % 1000),
+  UNIXTIMESTAMP: datePart('UNIXTIMESTAMP', DATE_TYPES, d => Math.floor(d.getTime() / 1000)),
+  FROMUNIXTIME: ([n]) => {
+    if (isBlank(n)) return typed('DateTime', null);
+    requireType('FROMUNIXTIME', n, ['Number']);
+    return typed('DateTime', new Date(n.value * 1000));
+  }
+};
+
+function evaluateArithmetic(operator, l, r) {
+  const dateTypes = ['Date', 'DateTime', 'Time'];
+  let resultType = 'Number';
+  if (dateTypes.includes(l.type) && r.type === 'Number') resultType = l.type;
+  else if (operator === '+' && l.type === 'Number' && dateTypes.includes(r.type)) resultType = r.type;
+  else if (!(l.type === 'Number' && r.type === 'Number') && !(operator === '-' && l.type === r.type && dateTypes.includes(l.type))) {
+    throw new FormulaEvalError(`Cannot apply "${operator}" to ${l.type} and ${r.type}`);
+  }
+  if (isBlank(l) || isBlank(r)) return typed(resultType, null);
+
+  const sign = operator === '+' ? 1 : -1;
+  if (l.type === 'Number' && r.type === 'Number') return num(l.value + sign * r.value);
+  if (l.type === r.type) {
+    // Date and DateTime differences are in days, Time differences in milliseconds
+    const diff = l.type === 'Time' ? l.value - r.value : (l.value - r.value) / DAY_MS;
+    return num(diff);
+  }
+
+  const [date, days] = l.type === 'Number' ? [r, l.value] : [l, sign * r.value];
+  if (date.type === 'Time') return typed('Time', ((date.value + Math.trunc(days)) % DAY_MS + DAY_MS) % DAY_MS);
+  if (date.type === 'Date') return typed('Date', new Date(date.value.getTime() + Math.trunc(days) * DAY_MS));
+  return typed('DateTime', new Date(date.value.getTime() + days * DAY_MS));
+}
+
+function evaluateNode(node, env) {
+  switch (node.type) {
+    case 'Literal':
+      return typed(node.valueType === 'Null' ? 'Text' : node.valueType, node.value);
+
+    case 'Field': {
+      const value = env.fields.get(node.path.join('.').toLowerCase());
+      if (value.type === 'Number' && value.value === null && env.treatBlanksAs !== 'BlankAsBlank') return num(0);
+      return value;
+    }
+
+    case 'Unary': {
+      const value = evaluateNode(node.argument, env);
+      if (node.operator === '!') return bool(!isTrue(value));
+      if (isBlank(value)) return num(null);
+      return num(node.operator === '-' ? -value.value : value.value);
+    }
+
+    case 'Binary': {
+      const { operator } = node;
+      const l = evaluateNode(node.left, env);
+
+      if (operator === '&&') return bool(isTrue(l) && isTrue(evaluateNode(node.right, env)));
+      if (operator === '||') return bool(isTrue(l) || isTrue(evaluateNode(node.right, env)));
+
+      const r = evaluateNode(node.right, env);
+      switch (operator) {
+        case '&':
+          return text(asText(l) + asText(r));
+        case '+':
+        case '-':
+          return evaluateArithmetic(operator, l, r);
+        case '*':
+        case '/':
+        case '^':
+          if (isBlank(l) || isBlank(r)) return num(null);
+          if (operator === '*') return num(l.value * r.value);
+          if (operator === '^') return num(l.value ** r.value);
+          requireNumber(r.value !== 0, 'Division by zero');
+          return num(l.value / r.value);
+        case '=':
+        case '==':
+          return bool(valuesEqual(l, r));
+        case '!=':
+        case '<>':
+          return bool(!valuesEqual(l, r));
+        default: {
+          const a = comparable(l);
+          const b = comparable(r);
+          if (a === null || b === null) return bool(false);
+          if (operator === '<') return bool(a < b);
+          if (operator === '>') return bool(a > b);
+          if (operator === '<=') return bool(a <= b);
+          return bool(a >= b);
+        }
+      }
+    }
+
+    case 'Call': {
+      const { name, args } = node;
+      const evaluate = arg => evaluateNode(arg, env);
+
+      // Lazily evaluated, so untaken branches can't fail
+      if (name === 'IF') return isTrue(evaluate(args[0])) ? evaluate(args[1]) : evaluate(args[2]);
+      if (name === 'AND') return bool(args.every(arg => isTrue(evaluate(arg))));
+      if (name === 'OR') return bool(args.some(arg => isTrue(evaluate(arg))));
+      if (name === 'BLANKVALUE' || name === 'NULLVALUE') {
+        const value = evaluate(args[0]);
+        return isBlank(value) ? evaluate(args[1]) : value;
+      }
+      if (name === 'CASE') {
+        const subject = evaluate(args[0]);
+        for (let i = 1; i < args.length - 1; i += 2) {
+          if (valuesEqual(subject.type === 'Picklist' ? text(subject.value) : subject, evaluate(args[i]))) return evaluate(args[i + 1]);
+        }
+        return evaluate(args[args.length - 1]);
+      }
+
+      const implementation = FUNCTIONS[name];
+      if (!implementation) throw new FormulaEvalError(`${name} cannot be evaluated in the test bench`);
+      return implementation(args.map(evaluate));
+    }
+
+    default:
+      throw new FormulaEvalError(`Cannot evaluate ${node.type}`);
+  }
+}
+
+/**
+ * Format a result the way the field would display it: numeric return types
+ * are rounded to scale (Percent gets a % sign), dates use ISO format and a
+ * blank result is ''.
+ */
+export function formatFormulaValue(result, { returnType = 'Text', scale } = {}) {
+  if (isBlank(result)) return '';
+  if (result.type === 'Number' && ['Number', 'Currency', 'Percent'].includes(returnType)) {
+    const digits = scale === undefined || scale === null ? 2 : scale;
+    const rounded = roundHalfAwayFromZero(result.value, digits).toFixed(digits);
+    return returnType === 'Percent' ? `${rounded}%` : rounded;
+  }
+  if (result.type === 'DateTime') return result.value.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  if (result.type === 'Time') return formatTime(result.value);
+  return asText(result);
+}
+
+/**
+ * Evaluate a formula against sample values keyed by field path
+ * ({ 'Amount__c': '100', 'Account__r.Name': 'Acme' }). options:
+ *   objectName, objects - to look up the type of each referenced field
+ *   treatBlanksAs       - 'BlankAsZero' (default) or 'BlankAsBlank'
+ *   returnType, scale   - how the result is formatted
+ * Returns { result, display } or { error }; it never throws.
+ */
+export function evaluateFormula(source, options = {}) {
+  const { values = {}, objectName, objects = [], treatBlanksAs = 'BlankAsZero', returnType, scale } = options;
+  const { ast, errors } = parseFormula(source);
+  if (!ast) return { error: errors[0].message };
+
+  try {
+    const fields = new Map();
+    getFieldReferences(ast).forEach(path => {
+      const { type } = resolveFieldPath(path.split('.'), { objectName, objects });
+      const key = Object.keys(values).find(k => k.toLowerCase() === path.toLowerCase());
+      fields.set(path.toLowerCase(), coerceSampleValue(key === undefined ? '' : values[key], type, path));
+    });
+
+    const result = evaluateNode(ast, { fields, treatBlanksAs });
+    return { result, display: formatFormulaValue(result, { returnType, scale }) };
+  } catch (error) {
+    if (error instanceof FormulaEvalError) return { error: error.message };
+    // A bug or an unexpected value must not take down the editor
+    return { error: `Cannot evaluate: ${error.message}` };
+  }
+}
+
+// Numbers match regardless of formatting (5 vs 5.00); everything else must match exactly
+function resultsMatch(actual, expected) {
+  const a = String(actual).trim();
+  const e = String(expected === undefined ? '' : expected).trim();
+  if (a === e) return true;
+  const toNumber = s => (s === '' ? NaN : Number(s.replace(/%$/, '')));
+  return !Number.isNaN(toNumber(a)) && Math.abs(toNumber(a) - toNumber(e)) < 1e-9;
+}
+
+/**
+ * Run the test cases saved on a formula field ({ id, name, values, expected })
+ * against its current formula. context is { objectName, objects }.
+ * Returns [{ test, actual, error, passed }].
+ */
+export function runFormulaTests(field, context = {}) {
+  return (field.formulaTests || []).map(test => {
+    const outcome = evaluateFormula(field.formula || '', {
+      ...context,
+      values: test.values,
+      treatBlanksAs: field.treatBlanksAs,
+      returnType: field.returnType,
+      scale: field.scale
+    });
+    if (outcome.error) return { test, actual: null, error: outcome.error, passed: false };
+    return { test, actual: outcome.display, error: null, passed: resultsMatch(outcome.display, test.expected) };
+  });
+}
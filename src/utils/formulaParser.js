@@ -0,0 +1,699 @@
+/**
+ * Formula Parser Utility
+ * Tokenizes and parses Salesforce formula syntax into an AST, and lints it
+ * against the fields in the workspace (unknown functions and fields,
+ * relationship paths, picklist usage and the field's return type).
+ */
+
+// Value types used while checking a formula. Currency and Percent behave
+// like Number; Unknown means "can't tell" (e.g. fields on objects outside
+// the workspace) and is never reported.
+const NUMBER = 'Number';
+const TEXT = 'Text';
+const CHECKBOX = 'Checkbox';
+const DATE = 'Date';
+const DATETIME = 'DateTime';
+const TIME = 'Time';
+const PICKLIST = 'Picklist';
+const MULTI_PICKLIST = 'MultiPicklist';
+const LOCATION = 'Location';
+const NULL = 'Null';
+const UNKNOWN = 'Unknown';
+const ANY = 'Any';
+const DATE_LIKE = 'DateLike';
+
+const OPERATORS = ['&&', '||', '==', '!=', '<>', '<=', '>=', '=', '<', '>', '+', '-', '*', '/', '^', '&', '!'];
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '>', '<=', '>='];
+
+export class FormulaSyntaxError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'FormulaSyntaxError';
+    this.start = start;
+    this.end = end;
+  }
+}
+
+/**
+ * Split a formula into tokens: { type, value, start, end } where type is
+ * number, string, identifier, operator, punctuation or eof.
+ */
+export function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (source.startsWith('/*', i)) {
+      const close = source.indexOf('*/', i + 2);
+      if (close === -1) throw new FormulaSyntaxError('Unterminated comment', i, source.length);
+      i = close + 2;
+      continue;
+    }
+
+    const start = i;
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      i += match[0].length;
+      tokens.push({ type: 'number', value: Number(match[0]), start, end: i });
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          const escaped = source[i + 1];
+          value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      if (i >= source.length) throw new FormulaSyntaxError('Unterminated string', start, source.length);
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      const match = source.slice(i).match(/^[A-Za-z_$][A-Za-z0-9_]*/);
+      i += match[0].length;
+      tokens.push({ type: 'identifier', value: match[0], start, end: i });
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      i += operator.length;
+      tokens.push({ type: 'operator', value: operator, start, end: i });
+      continue;
+    }
+
+    if ('(),.'.includes(ch)) {
+      i++;
+      tokens.push({ type: 'punctuation', value: ch, start, end: i });
+      continue;
+    }
+
+    throw new FormulaSyntaxError(`Unexpected character "${ch}"`, i, i + 1);
+  }
+
+  tokens.push({ type: 'eof', value: '', start: source.length, end: source.length });
+  return tokens;
+}
+
+/**
+ * Parse a formula into an AST. Nodes carry start/end offsets:
+ *   { type: 'Literal', valueType, value }
+ *   { type: 'Field', path: ['Account__r', 'Name'] }
+ *   { type: 'Call', name, args }
+ *   { type: 'Binary', operator, left, right }
+ *   { type: 'Unary', operator, argument }
+ * Returns { ast, errors }; a syntax error gives ast null and one error
+ * { message, start, end }.
+ */
+export function parseFormula(source) {
+  if (!source || !source.trim()) {
+    return { ast: null, errors: [{ message: 'Formula is empty', start: 0, end: 0 }] };
+  }
+
+  try {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+    const isPunctuation = value => peek().type === 'punctuation' && peek().value === value;
+    const describe = token => token.type === 'eof' ? 'end of formula' : `"${token.value}"`;
+
+    const expect = (value) => {
+      if (!isPunctuation(value)) {
+        const token = peek();
+        throw new FormulaSyntaxError(`Expected "${value}" but found ${describe(token)}`, token.start, token.end);
+      }
+      return next();
+    };
+
+    const binaryLevel = (operators, parseOperand) => () => {
+      let left = parseOperand();
+      while (isOperator(...operators)) {
+        const operator = next().value;
+        const right = parseOperand();
+        left = { type: 'Binary', operator, left, right, start: left.start, end: right.end };
+      }
+      return left;
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+
+      if (token.type === 'number') {
+        next();
+        return { type: 'Literal', valueType: NUMBER, value: token.value, start: token.start, end: token.end };
+      }
+
+      if (token.type === 'string') {
+        next();
+        return { type: 'Literal', valueType: TEXT, value: token.value, start: token.start, end: token.end };
+      }
+
+      if (isPunctuation('(')) {
+        next();
+        const expression = parseExpression();
+        const close = expect(')');
+        return { ...expression, start: token.start, end: close.end, parenthesized: true };
+      }
+
+      if (token.type === 'identifier') {
+        next();
+
+        if (isPunctuation('(')) {
+          next();
+          const args = [];
+          if (!isPunctuation(')')) {
+            args.push(parseExpression());
+            while (isPunctuation(',')) {
+              next();
+              args.push(parseExpression());
+            }
+          }
+          const close = expect(')');
+          return { type: 'Call', name: token.value.toUpperCase(), args, start: token.start, end: close.end };
+        }
+
+        const path = [token.value];
+        let end = token.end;
+        while (isPunctuation('.')) {
+          next();
+          const segment = peek();
+          if (segment.type !== 'identifier') {
+            throw new FormulaSyntaxError(`Expected a field name after "." but found ${describe(segment)}`, segment.start, segment.end);
+          }
+          next();
+          path.push(segment.value);
+          end = segment.end;
+        }
+
+        if (path.length === 1) {
+          const keyword = token.value.toUpperCase();
+          if (keyword === 'TRUE' || keyword === 'FALSE') {
+            return { type: 'Literal', valueType: CHECKBOX, value: keyword === 'TRUE', start: token.start, end };
+          }
+          if (keyword === 'NULL') {
+            return { type: 'Literal', valueType: NULL, value: null, start: token.start, end };
+          }
+        }
+
+        return { type: 'Field', path, start: token.start, end };
+      }
+
+      throw new FormulaSyntaxError(`Unexpected ${describe(token)}`, token.start, token.end || token.start + 1);
+    };
+
+    const parseUnary = () => {
+      if (isOperator('-', '+', '!')) {
+        const token = next();
+        const argument = parseUnary();
+        return { type: 'Unary', operator: token.value, argument, start: token.start, end: argument.end };
+      }
+      return parsePrimary();
+    };
+
+    const parseExponent = binaryLevel(['^'], parseUnary);
+    const parseMultiplicative = binaryLevel(['*', '/'], parseExponent);
+    const parseAdditive = binaryLevel(['+', '-', '&'], parseMultiplicative);
+    const parseComparison = binaryLevel(COMPARISON_OPERATORS, parseAdditive);
+    const parseAnd = binaryLevel(['&&'], parseComparison);
+    const parseOr = binaryLevel(['||'], parseAnd);
+    const parseExpression = parseOr;
+
+    const ast = parseExpression();
+    if (peek().type !== 'eof') {
+      const token = peek();
+      throw new FormulaSyntaxError(`Unexpected ${describe(token)} after the end of the expression`, token.start, token.end);
+    }
+
+    return { ast, errors: [] };
+  } catch (error) {
+    if (error instanceof FormulaSyntaxError) {
+      return { ast: null, errors: [{ message: error.message, start: error.start, end: error.end }] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Distinct field paths referenced by an AST, in order of first use, e.g.
+ * ['Amount__c', 'Account__r.Name'].
+ */
+export function getFieldReferences(ast) {
+  const paths = [];
+  const visit = (node) => {
+    if (!node) return;
+    if (node.type === 'Field') {
+      const path = node.path.join('.');
+      if (!paths.some(p => p.toLowerCase() === path.toLowerCase())) paths.push(path);
+    } else if (node.type === 'Call') {
+      node.args.forEach(visit);
+    } else if (node.type === 'Binary') {
+      visit(node.left);
+      visit(node.right);
+    } else if (node.type === 'Unary') {
+      visit(node.argument);
+    }
+  };
+  visit(ast);
+  return paths;
+}
+
+/**
+ * 1-based line and column of an offset, for error messages.
+ */
+export function getLineColumn(source, offset) {
+  const before = source.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// Return type helpers for functions whose result depends on their arguments
+const sameAsArgs = (...indexes) => argTypes => unifyTypes(indexes.map(i => argTypes[i]));
+const caseResults = argTypes => unifyTypes(argTypes.filter((_, i) => i > 0 && (i % 2 === 0 || i === argTypes.length - 1)));
+
+function fn(min, max, returns, params = [], rest = ANY) {
+  return { min, max, returns, params, rest };
+}
+
+/**
+ * Functions available in formula fields: argument count range, return type
+ * and expected parameter types (rest applies to variadic arguments).
+ */
+export const FORMULA_FUNCTIONS = {
+  // Logical
+  AND: fn(1, Infinity, CHECKBOX, [], CHECKBOX),
+  OR: fn(1, Infinity, CHECKBOX, [], CHECKBOX),
+  NOT: fn(1, 1, CHECKBOX, [CHECKBOX]),
+  IF: fn(3, 3, sameAsArgs(1, 2), [CHECKBOX, ANY, ANY]),
+  CASE: fn(4, Infinity, caseResults),
+  ISBLANK: fn(1, 1, CHECKBOX),
+  ISNULL: fn(1, 1, CHECKBOX),
+  ISNUMBER: fn(1, 1, CHECKBOX, [TEXT]),
+  BLANKVALUE: fn(2, 2, sameAsArgs(0, 1)),
+  NULLVALUE: fn(2, 2, sameAsArgs(0, 1)),
+  ISPICKVAL: fn(2, 2, CHECKBOX, [PICKLIST, TEXT]),
+  INCLUDES: fn(2, 2, CHECKBOX, [MULTI_PICKLIST, TEXT]),
+  PICKLISTCOUNT: fn(1, 1, NUMBER, [MULTI_PICKLIST]),
+
+  // Text
+  BEGINS: fn(2, 2, CHECKBOX, [TEXT, TEXT]),
+  CONTAINS: fn(2, 2, CHECKBOX, [TEXT, TEXT]),
+  BR: fn(0, 0, TEXT),
+  CASESAFEID: fn(1, 1, TEXT, [TEXT]),
+  FIND: fn(2, 3, NUMBER, [TEXT, TEXT, NUMBER]),
+  GETSESSIONID: fn(0, 0, TEXT),
+  HTMLENCODE: fn(1, 1, TEXT, [TEXT]),
+  HYPERLINK: fn(2, 3, TEXT, [TEXT, TEXT, TEXT]),
+  IMAGE: fn(2, 4, TEXT, [TEXT, TEXT, NUMBER, NUMBER]),
+  INITCAP: fn(1, 1, TEXT, [TEXT]),
+  JSENCODE: fn(1, 1, TEXT, [TEXT]),
+  JSINHTMLENCODE: fn(1, 1, TEXT, [TEXT]),
+  LEFT: fn(2, 2, TEXT, [TEXT, NUMBER]),
+  LEN: fn(1, 1, NUMBER, [TEXT]),
+  LOWER: fn(1, 2, TEXT, [TEXT, TEXT]),
+  LPAD: fn(2, 3, TEXT, [TEXT, NUMBER, TEXT]),
+  MID: fn(3, 3, TEXT, [TEXT, NUMBER, NUMBER]),
+  REVERSE: fn(1, 1, TEXT, [TEXT]),
+  RIGHT: fn(2, 2, TEXT, [TEXT, NUMBER]),
+  RPAD: fn(2, 3, TEXT, [TEXT, NUMBER, TEXT]),
+  SUBSTITUTE: fn(3, 3, TEXT, [TEXT, TEXT, TEXT]),
+  TEXT: fn(1, 1, TEXT),
+  TRIM: fn(1, 1, TEXT, [TEXT]),
+  UPPER: fn(1, 2, TEXT, [TEXT, TEXT]),
+  URLENCODE: fn(1, 1, TEXT, [TEXT]),
+  VALUE: fn(1, 1, NUMBER, [TEXT]),
+
+  // Math
+  ABS: fn(1, 1, NUMBER, [NUMBER]),
+  CEILING: fn(1, 1, NUMBER, [NUMBER]),
+  FLOOR: fn(1, 1, NUMBER, [NUMBER]),
+  MCEILING: fn(1, 1, NUMBER, [NUMBER]),
+  MFLOOR: fn(1, 1, NUMBER, [NUMBER]),
+  EXP: fn(1, 1, NUMBER, [NUMBER]),
+  LN: fn(1, 1, NUMBER, [NUMBER]),
+  LOG: fn(1, 1, NUMBER, [NUMBER]),
+  SQRT: fn(1, 1, NUMBER, [NUMBER]),
+  ROUND: fn(2, 2, NUMBER, [NUMBER, NUMBER]),
+  MOD: fn(2, 2, NUMBER, [NUMBER, NUMBER]),
+  TRUNC: fn(1, 2, NUMBER, [NUMBER, NUMBER]),
+  MAX: fn(1, Infinity, NUMBER, [], NUMBER),
+  MIN: fn(1, Infinity, NUMBER, [], NUMBER),
+  CURRENCYRATE: fn(1, 1, NUMBER, [TEXT]),
+  DISTANCE: fn(3, 3, NUMBER, [LOCATION, LOCATION, TEXT]),
+  GEOLOCATION: fn(2, 2, LOCATION, [NUMBER, NUMBER]),
+
+  // Date and time
+  TODAY: fn(0, 0, DATE),
+  NOW: fn(0, 0, DATETIME),
+  TIMENOW: fn(0, 0, TIME),
+  DATE: fn(3, 3, DATE, [NUMBER, NUMBER, NUMBER]),
+  DATEVALUE: fn(1, 1, DATE),
+  DATETIMEVALUE: fn(1, 1, DATETIME),
+  TIMEVALUE: fn(1, 1, TIME),
+  ADDMONTHS: fn(2, 2, sameAsArgs(0), [DATE_LIKE, NUMBER]),
+  YEAR: fn(1, 1, NUMBER, [DATE]),
+  MONTH: fn(1, 1, NUMBER, [DATE]),
+  DAY: fn(1, 1, NUMBER, [DATE]),
+  WEEKDAY: fn(1, 1, NUMBER, [DATE]),
+  DAYOFYEAR: fn(1, 1, NUMBER, [DATE]),
+  ISOWEEK: fn(1, 1, NUMBER, [DATE]),
+  ISOYEAR: fn(1, 1, NUMBER, [DATE]),
+  HOUR: fn(1, 1, NUMBER, [TIME]),
+  MINUTE: fn(1, 1, NUMBER, [TIME]),
+  SECOND: fn(1, 1, NUMBER, [TIME]),
+  MILLISECOND: fn(1, 1, NUMBER, [TIME]),
+  UNIXTIMESTAMP: fn(1, 1, NUMBER, [DATE_LIKE]),
+  FROMUNIXTIME: fn(1, 1, DATETIME, [NUMBER])
+};
+
+// Valid in validation rules or workflow, but not in formula fields
+const NOT_IN_FORMULA_FIELDS = ['ISCHANGED', 'ISNEW', 'ISCLONE', 'PRIORVALUE', 'REGEX', 'VLOOKUP', 'GETRECORDIDS', 'INCLUDE', 'PARENTGROUPVAL', 'PREVGROUPVAL'];
+
+// Where a picklist field may appear: any argument of these, or the first argument of CASE
+const PICKLIST_FUNCTIONS = ['ISPICKVAL', 'TEXT', 'ISBLANK', 'ISNULL'];
+const MULTI_PICKLIST_FUNCTIONS = ['INCLUDES', 'PICKLISTCOUNT', 'ISBLANK', 'ISNULL'];
+
+// Standard fields every object has, by lowercase API name
+const STANDARD_FIELDS = {
+  id: TEXT,
+  name: TEXT,
+  ownerid: TEXT,
+  createdbyid: TEXT,
+  createddate: DATETIME,
+  lastmodifiedbyid: TEXT,
+  lastmodifieddate: DATETIME,
+  systemmodstamp: DATETIME,
+  isdeleted: CHECKBOX,
+  recordtypeid: TEXT,
+  currencyisocode: PICKLIST,
+  lastactivitydate: DATE,
+  lastvieweddate: DATETIME,
+  lastreferenceddate: DATETIME
+};
+
+const FIELD_VALUE_TYPES = {
+  Text: TEXT,
+  TextArea: TEXT,
+  LongTextArea: TEXT,
+  RichTextArea: TEXT,
+  EncryptedText: TEXT,
+  Email: TEXT,
+  Phone: TEXT,
+  Url: TEXT,
+  AutoNumber: TEXT,
+  Lookup: TEXT,
+  MasterDetail: TEXT,
+  Number: NUMBER,
+  Currency: NUMBER,
+  Percent: NUMBER,
+  Checkbox: CHECKBOX,
+  Date: DATE,
+  DateTime: DATETIME,
+  Time: TIME,
+  Picklist: PICKLIST,
+  MultiselectPicklist: MULTI_PICKLIST,
+  Location: LOCATION
+};
+
+/**
+ * The value type a field contributes to a formula.
+ */
+export function getFieldValueType(field) {
+  if (field.type === 'Formula') return FIELD_VALUE_TYPES[field.returnType || 'Text'] || UNKNOWN;
+  if (field.type === 'Summary') return ['count', 'sum'].includes(field.summaryOperation || 'count') ? NUMBER : UNKNOWN;
+  return FIELD_VALUE_TYPES[field.type] || UNKNOWN;
+}
+
+function unifyTypes(types) {
+  const known = types.filter(t => t !== UNKNOWN && t !== NULL);
+  return known.length > 0 ? known[0] : (types.includes(UNKNOWN) ? UNKNOWN : NULL);
+}
+
+function isCompatible(actual, expected) {
+  if (expected === ANY || actual === UNKNOWN || actual === NULL) return true;
+  if (expected === DATE_LIKE) return actual === DATE || actual === DATETIME;
+  return actual === expected;
+}
+
+const sameName = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+/**
+ * Resolve a field path such as Amount__c, Account__r.Owner.Name or
+ * $User.Id against the workspace. Fields on objects outside the workspace
+ * (standard relationships, global variables) resolve to Unknown.
+ * Returns { type, error?, field? }.
+ */
+export function resolveFieldPath(path, { objectName, objects = [] }) {
+  if (path[0].startsWith('$')) return { type: UNKNOWN };
+
+  let object = objects.find(o => o.name === objectName);
+
+  for (let i = 0; i < path.length; i++) {
+    const segment = path[i];
+    if (!object) return { type: UNKNOWN };
+
+    if (i === path.length - 1) {
+      const field = object.fields.find(f => sameName(f.apiName, segment));
+      if (field) return { type: getFieldValueType(field), field };
+      if (STANDARD_FIELDS[segment.toLowerCase()]) return { type: STANDARD_FIELDS[segment.toLowerCase()] };
+      if (/__c$/i.test(segment) || /__c$/.test(object.name)) {
+        return { type: UNKNOWN, error: `Field ${segment} does not exist on ${object.name}` };
+      }
+      return { type: UNKNOWN };
+    }
+
+    if (/__r$/i.test(segment)) {
+      const lookupName = segment.slice(0, -3) + '__c';
+      const lookup = object.fields.find(f => ['Lookup', 'MasterDetail'].includes(f.type) && sameName(f.apiName, lookupName));
+      if (!lookup) {
+        return { type: UNKNOWN, error: `${object.name} has no Lookup or Master-Detail field ${lookupName} for ${segment}` };
+      }
+      object = objects.find(o => o.name === lookup.referenceTo);
+    } else if (/__c$/i.test(segment)) {
+      return { type: UNKNOWN, error: `Use ${segment.replace(/__c$/i, '__r')} to reach fields on the related object` };
+    } else {
+      // Standard relationship (Owner, CreatedBy, Account, ...): not modelled in the workspace
+      object = null;
+    }
+  }
+
+  return { type: UNKNOWN };
+}
+
+/**
+ * Lint a formula against the workspace. context:
+ *   objectName   - object the formula field lives on
+ *   objects      - workspace objects, for field and relationship lookups
+ *   returnType   - the field's selected return type
+ *   fieldApiName - the formula field itself, to catch self references
+ * Returns { ast, type, issues: [{ severity, message, start, end }] }.
+ */
+export function lintFormula(source, context = {}) {
+  const { ast, errors } = parseFormula(source);
+  if (!ast) {
+    return { ast, type: UNKNOWN, issues: errors.map(error => ({ severity: 'error', ...error })) };
+  }
+
+  const issues = [];
+  const report = (node, message, severity = 'error') => {
+    issues.push({ severity, message, start: node.start, end: node.end });
+  };
+
+  const checkPicklistUse = (node, type, allowed) => {
+    if (allowed) return;
+    const name = node.path ? node.path.join('.') : 'value';
+    if (type === PICKLIST) {
+      report(node, `Picklist ${name} can only be used in ISPICKVAL, CASE, TEXT, ISBLANK or ISNULL`);
+    } else if (type === MULTI_PICKLIST) {
+      report(node, `Multi-select picklist ${name} can only be used in INCLUDES, ISBLANK or ISNULL`);
+    }
+  };
+
+  const check = (node) => {
+    switch (node.type) {
+      case 'Literal':
+        return node.valueType;
+
+      case 'Field': {
+        if (context.fieldApiName && node.path.length === 1 && sameName(node.path[0], context.fieldApiName)) {
+          report(node, 'A formula cannot reference its own field');
+          return UNKNOWN;
+        }
+        const resolved = resolveFieldPath(node.path, context);
+        if (resolved.error) report(node, resolved.error);
+        return resolved.type;
+      }
+
+      case 'Unary': {
+        const type = check(node.argument);
+        checkPicklistUse(node.argument, type, false);
+        if (node.operator === '!') {
+          if (!isCompatible(type, CHECKBOX)) report(node, `"!" expects a Checkbox value, got ${type}`);
+          return CHECKBOX;
+        }
+        if (!isCompatible(type, NUMBER)) report(node, `"${node.operator}" expects a Number, got ${type}`);
+        return NUMBER;
+      }
+
+      case 'Binary':
+        return checkBinary(node);
+
+      case 'Call':
+        return checkCall(node);
+
+      default:
+        return UNKNOWN;
+    }
+  };
+
+  const checkBinary = (node) => {
+    const left = check(node.left);
+    const right = check(node.right);
+    checkPicklistUse(node.left, left, false);
+    checkPicklistUse(node.right, right, false);
+    const { operator } = node;
+    const known = left !== UNKNOWN && right !== UNKNOWN && left !== NULL && right !== NULL;
+
+    if (operator === '&&' || operator === '||') {
+      [[node.left, left], [node.right, right]].forEach(([side, type]) => {
+        if (!isCompatible(type, CHECKBOX)) report(side, `"${operator}" expects Checkbox values, got ${type}`);
+      });
+      return CHECKBOX;
+    }
+
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      const picklist = [left, right].some(t => t === PICKLIST || t === MULTI_PICKLIST);
+      if (known && !picklist && left !== right) {
+        report(node, `Cannot compare ${left} with ${right}`);
+      }
+      return CHECKBOX;
+    }
+
+    if (operator === '&') {
+      [[node.left, left], [node.right, right]].forEach(([side, type]) => {
+        if (!isCompatible(type, TEXT)) report(side, `"&" joins Text values, got ${type}; wrap it in TEXT()`);
+      });
+      return TEXT;
+    }
+
+    if ((operator === '+') && (left === TEXT || right === TEXT)) {
+      report(node, 'Use & to join Text values, not +');
+      return UNKNOWN;
+    }
+
+    if (operator === '+' || operator === '-') {
+      // Date arithmetic keeps the date type, so an unknown operand leaves the result unknown
+      if (!known) return UNKNOWN;
+      if (left === NUMBER && right === NUMBER) return NUMBER;
+      if ([DATE, DATETIME, TIME].includes(left) && right === NUMBER) return left;
+      if (operator === '+' && left === NUMBER && [DATE, DATETIME].includes(right)) return right;
+      if (operator === '-' && left === right && [DATE, DATETIME, TIME].includes(left)) return NUMBER;
+      report(node, `Cannot apply "${operator}" to ${left} and ${right}`);
+      return UNKNOWN;
+    }
+
+    // * / ^
+    [[node.left, left], [node.right, right]].forEach(([side, type]) => {
+      if (!isCompatible(type, NUMBER)) report(side, `"${operator}" expects Number values, got ${type}`);
+    });
+    return NUMBER;
+  };
+
+  const checkCall = (node) => {
+    const { name, args } = node;
+
+    if (NOT_IN_FORMULA_FIELDS.includes(name)) {
+      report(node, `${name} is not available in formula fields`);
+      args.forEach(check);
+      return UNKNOWN;
+    }
+
+    const spec = FORMULA_FUNCTIONS[name];
+    if (!spec) {
+      // The list may lag behind Salesforce; let the deploy decide
+      report(node, `Unknown function ${name}`, 'warning');
+      args.forEach(check);
+      return UNKNOWN;
+    }
+
+    if (args.length < spec.min || args.length > spec.max) {
+      const expected = spec.min === spec.max
+        ? `${spec.min}`
+        : spec.max === Infinity ? `at least ${spec.min}` : `${spec.min} to ${spec.max}`;
+      report(node, `${name} expects ${expected} argument${spec.min === 1 && spec.max === 1 ? '' : 's'}, got ${args.length}`);
+    }
+    if (name === 'CASE' && args.length >= spec.min && args.length % 2 !== 0) {
+      report(node, 'CASE needs value/result pairs followed by a default result');
+    }
+
+    const argTypes = args.map(check);
+
+    argTypes.forEach((type, index) => {
+      const arg = args[index];
+      const allowed = (PICKLIST_FUNCTIONS.includes(name) && type === PICKLIST) ||
+        (MULTI_PICKLIST_FUNCTIONS.includes(name) && type === MULTI_PICKLIST) ||
+        (name === 'CASE' && index === 0);
+      checkPicklistUse(arg, type, allowed);
+
+      const expected = index < spec.params.length ? spec.params[index] : spec.rest;
+      if ((type === PICKLIST || type === MULTI_PICKLIST) && expected === ANY) return;
+      if (!isCompatible(type, expected)) {
+        const label = expected === DATE_LIKE ? 'Date or DateTime' : expected;
+        report(arg, `${name} argument ${index + 1} must be ${label}, got ${type}`);
+      }
+    });
+
+    // Branches of IF/CASE/BLANKVALUE must agree on a type
+    let branches = [];
+    if (name === 'IF') branches = [1, 2];
+    if (name === 'BLANKVALUE' || name === 'NULLVALUE') branches = [0, 1];
+    if (name === 'CASE') branches = args.map((_, i) => i).filter(i => i > 0 && (i % 2 === 0 || i === args.length - 1));
+    const result = typeof spec.returns === 'function' ? spec.returns(argTypes) : spec.returns;
+    branches.forEach(i => {
+      if (argTypes[i] !== undefined && !isCompatible(argTypes[i], result) && !isCompatible(result, argTypes[i])) {
+        report(args[i], `${name} results must all be the same type: expected ${result}, got ${argTypes[i]}`);
+      }
+    });
+
+    // CASE compares its first argument with each value
+    if (name === 'CASE') {
+      const subject = argTypes[0] === PICKLIST ? TEXT : argTypes[0];
+      args.forEach((arg, i) => {
+        if (i % 2 === 1 && i !== args.length - 1 && !isCompatible(argTypes[i], subject)) {
+          report(arg, `CASE value must be ${subject}, got ${argTypes[i]}`);
+        }
+      });
+    }
+
+    return result;
+  };
+
+  const type = check(ast);
+  checkPicklistUse(ast, type, false);
+
+  if (context.returnType) {
+    const expected = FIELD_VALUE_TYPES[context.returnType] || context.returnType;
+    if (type !== PICKLIST && type !== MULTI_PICKLIST && !isCompatible(type, expected)) {
+      report(ast, `Formula returns ${type} but the return type is ${context.returnType}`);
+    }
+  }
+
+  return { ast, type, issues };
+}
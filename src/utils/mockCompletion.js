@@ -0,0 +1,61 @@
+/**
+ * Mock Completion Utility
+ * Deterministic AI responses for tests and demos without an API key, shared
+ * by the server's mock provider and the browser client (VITE_AI_PROVIDER=mock).
+ * Answers with one Text field per API name (or "Field Label:" line) found in
+ * the prompt's field specifications; the same prompt always gets the same
+ * response, which always satisfies the field schema.
+ */
+
+const STREAM_PIECE_LENGTH = 40;
+
+const API_NAME = /\b([A-Za-z][A-Za-z0-9_]*__c)\b/g;
+
+// The part of the prompt after "Field Specifications:" (see generatePrompt)
+function specificationText(prompt) {
+  const start = prompt.indexOf('Field Specifications:');
+  if (start === -1) return prompt;
+  const end = prompt.indexOf('\nRemember:', start);
+  return prompt.slice(start + 'Field Specifications:'.length, end === -1 ? undefined : end);
+}
+
+export function mockCompletion(prompt) {
+  const spec = specificationText(prompt);
+  const objectLine = spec.split('\n').find(line => /object/i.test(line) && line.match(API_NAME));
+  const objectName = objectLine ? objectLine.match(API_NAME)[0] : 'Custom_Object__c';
+
+  const apiNames = [...new Set([...spec.matchAll(API_NAME)].map(match => match[1]))]
+    .filter(name => name !== objectName);
+  const fields = apiNames.length > 0
+    ? apiNames.map(apiName => ({ apiName, label: apiName.replace(/__c$/, '').replace(/_/g, ' ') }))
+    : [...spec.matchAll(/Field Label:\s*\**\s*([^\n*]+)/gi)].map(match => {
+      const label = match[1].trim();
+      return { apiName: `${label.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '')}__c`, label };
+    });
+
+  return JSON.stringify({
+    objectName,
+    fields: fields.map(field => ({ ...field, type: 'Text', length: 255, required: false }))
+  }, null, 2);
+}
+
+// The normalized response a provider's generate() resolves to
+export function mockResponse(prompt, model = 'mock') {
+  return {
+    text: mockCompletion(prompt),
+    provider: 'mock',
+    model,
+    finishReason: 'stop',
+    usage: { inputTokens: null, outputTokens: null }
+  };
+}
+
+// The same response as stream() events, in small pieces that split fields mid-way
+export async function* mockStream(prompt, model = 'mock', { signal } = {}) {
+  const text = mockCompletion(prompt);
+  for (let start = 0; start < text.length; start += STREAM_PIECE_LENGTH) {
+    signal?.throwIfAborted();
+    yield { type: 'text', text: text.slice(start, start + STREAM_PIECE_LENGTH) };
+  }
+  yield { type: 'done', provider: 'mock', model, finishReason: 'stop', usage: { inputTokens: null, outputTokens: null } };
+}
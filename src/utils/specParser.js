@@ -0,0 +1,482 @@
+/**
+ * Spec Parser Utility
+ * Deterministic, offline alternative to AI generation for specs that follow
+ * a structured template: "### 1. Field__c" headings or "Field Label:" blocks
+ * with "Key: Value" lines, two-column markdown tables, and one-line entries
+ * such as "- Patient Name (Lookup to Contact, Required)". Every field gets a
+ * 0-100 confidence score; sections that can't be parsed confidently are
+ * returned separately so only those need to go to AI.
+ */
+
+import { normalizeCharacters, cutoffAfterFields } from './aiGenerator';
+import {
+  TYPE_SYNONYMS,
+  resolveFieldType,
+  parseBoolean,
+  parsePicklistValues,
+  apiNameFromLabel,
+  labelFromApiName,
+  applyTypeDefaults
+} from './csvImporter';
+
+// Fields scoring below this are treated as unparsed and left for AI
+export const CONFIDENCE_THRESHOLD = 60;
+
+// Spec keys (normalized) to field properties
+const KEY_ALIASES = {
+  label: ['fieldlabel', 'label', 'fieldname', 'displayname'],
+  apiName: ['apiname', 'fieldapiname', 'api', 'developername', 'fullname'],
+  type: ['datatype', 'fieldtype', 'type'],
+  length: ['length', 'maxlength', 'size', 'characters', 'maxcharacters'],
+  precision: ['precision', 'digits'],
+  scale: ['scale', 'decimalplaces', 'decimals'],
+  visibleLines: ['visiblelines', 'lines'],
+  required: ['required', 'mandatory'],
+  unique: ['unique'],
+  externalId: ['externalid'],
+  trackHistory: ['trackhistory', 'historytracking', 'fieldhistorytracking'],
+  picklistValues: ['picklistvalues', 'values', 'options', 'allowedvalues'],
+  defaultValue: ['defaultvalue', 'default'],
+  referenceTo: ['referenceto', 'relatedto', 'relatedobject', 'lookupto', 'lookupobject', 'parentobject', 'references'],
+  relationshipName: ['relationshipname', 'childrelationshipname'],
+  relationshipLabel: ['relationshiplabel'],
+  deleteConstraint: ['deleteconstraint', 'ondelete', 'whendeleted'],
+  formula: ['formula', 'formulaexpression', 'calculation'],
+  returnType: ['returntype', 'formulareturntype', 'resulttype'],
+  displayFormat: ['displayformat', 'format'],
+  startingNumber: ['startingnumber', 'startnumber'],
+  helpText: ['helptext', 'inlinehelptext', 'help', 'tooltip'],
+  description: ['description', 'purpose', 'notes']
+};
+
+const NUMERIC_KEYS = ['length', 'precision', 'scale', 'visibleLines', 'startingNumber'];
+const BOOLEAN_KEYS = ['required', 'unique', 'externalId', 'trackHistory'];
+const LIST_KEYS = ['picklistValues'];
+const FORMULA_RETURN_TYPES = ['Text', 'Number', 'Currency', 'Percent', 'Date', 'DateTime', 'Time', 'Checkbox'];
+
+const API_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*__c$/;
+
+const normalize = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const PROPERTY_FOR_KEY = Object.fromEntries(
+  Object.entries(KEY_ALIASES).flatMap(([property, aliases]) => aliases.map(alias => [alias, property]))
+);
+
+// Drop markdown emphasis and inline code but keep "__" so API names survive
+const stripMarkup = line => line.replace(/\*\*/g, '').replace(/`/g, '').trim();
+
+// "Key: Value" (optionally bulleted) → { key, property, value }
+function parseKeyLine(line) {
+  const match = stripMarkup(line).match(/^(?:[-*+]\s+|\d+[.)]\s+)?([A-Za-z][A-Za-z /()_-]{0,40}?)\s*:\s*(.*)$/);
+  if (!match) return null;
+  return { key: match[1].trim(), property: PROPERTY_FOR_KEY[normalize(match[1])] || null, value: match[2].trim() };
+}
+
+const isBullet = line => /^\s*(?:[-*+]|\d+[.)])\s+/.test(line);
+const stripBullet = line => stripMarkup(line).replace(/^(?:[-*+]|\d+[.)])\s+/, '');
+
+/**
+ * Resolve a type description such as "Text (255 characters)", "Lookup to
+ * Account", "Master-Detail Relationship (Invoice__c)", "Text Area (Long)" or
+ * "Picklist with the values below". Returns { type, ...extras } or null.
+ */
+export function parseTypeText(value) {
+  const text = String(value || '').trim().replace(/\.$/, '')
+    .replace(/(\d+)\s*(?:characters|chars?)\b/gi, '$1');
+  if (!text) return null;
+
+  const relationship = text.match(/^(lookup|master[\s-]*detail)(?:\s+relationship)?\s*(?:to|on|of|->|:|\(|-)\s*([A-Za-z][A-Za-z0-9_]*)/i);
+  if (relationship) {
+    return { type: /^lookup/i.test(relationship[1]) ? 'Lookup' : 'MasterDetail', referenceTo: relationship[2] };
+  }
+
+  const whole = TYPE_SYNONYMS[normalize(text)];
+  if (whole) return { type: whole };
+  const resolved = resolveFieldType(text);
+  if (resolved) return resolved;
+
+  // Leading words, longest first: "Picklist with values below" → Picklist
+  const words = text.split(/[\s,;]+/);
+  for (let n = Math.min(4, words.length); n > 0; n--) {
+    const head = words.slice(0, n).join(' ');
+    const type = TYPE_SYNONYMS[normalize(head)];
+    if (type) {
+      const args = text.match(/\([^)]*\)/);
+      return (args && resolveFieldType(`${head} ${args[0]}`)) || { type };
+    }
+  }
+  return null;
+}
+
+// "Clear the value", "Don't allow deletion", "Cascade delete" → deleteConstraint
+function parseDeleteConstraint(value) {
+  const text = normalize(value);
+  if (/setnull|clear/.test(text)) return 'SetNull';
+  if (/restrict|dontallow|donotallow|prevent/.test(text)) return 'Restrict';
+  if (/cascade|delete/.test(text)) return 'Cascade';
+  return null;
+}
+
+// "Patient Name (Api_Name__c)", "Api_Name__c - Patient Name", "12. Api_Name__c"
+function parseTitle(title) {
+  const text = stripMarkup(title).replace(/^#+\s*/, '').replace(/^\d+[.)]\s*/, '').trim();
+  if (!text) return {};
+  if (API_NAME_PATTERN.test(text)) return { apiName: text };
+  const withApi = text.match(/^(.*?)\s*[([]\s*([A-Za-z][A-Za-z0-9_]*__c)\s*[)\]]$/);
+  if (withApi) return { label: withApi[1].trim() || undefined, apiName: withApi[2] };
+  const apiFirst = text.match(/^([A-Za-z][A-Za-z0-9_]*__c)\s*[-:]\s*(.+)$/);
+  if (apiFirst) return { apiName: apiFirst[1], label: apiFirst[2].trim() };
+  return { label: text };
+}
+
+// "- Patient Name (Lookup to Contact, Required)" → a one-line field section, or null
+function parseInlineEntry(line) {
+  if (!isBullet(line)) return null;
+  const match = stripBullet(line).match(/^([^():]+?)\s*\((.+)\)\s*$/);
+  if (!match) return null;
+  // "Picklist: A+, A-, B+" lists the values after the type
+  const listed = match[2].match(/^([^:,]+):\s*(.+)$/);
+  if (listed && ['Picklist', 'MultiselectPicklist'].includes(parseTypeText(listed[1])?.type)) {
+    return { title: match[1], values: { type: listed[1], picklistValues: listed[2] }, inline: true };
+  }
+
+  const [typeText, ...flags] = match[2].split(',').map(s => s.trim());
+  const typeInfo = parseTypeText(typeText);
+  if (!typeInfo) return null;
+
+  const values = { type: typeText };
+  for (const flag of flags) {
+    const lower = flag.toLowerCase();
+    if (lower === 'required') values.required = 'true';
+    else if (lower === 'unique') values.unique = 'true';
+    else if (lower === 'external id') values.externalId = 'true';
+    else if (/^\d+$/.test(flag.replace(/\s*(?:characters|chars?)$/i, ''))) values.length = flag.replace(/\D/g, '');
+    else if (/^default\s*[:=]?\s*/i.test(flag)) values.defaultValue = flag.replace(/^default\s*[:=]?\s*/i, '');
+  }
+  return { title: match[1], values, inline: true };
+}
+
+/**
+ * Split spec text into candidate field sections. A section starts at every
+ * markdown heading and at a "Field Label:" line when the current section
+ * already has a label. Two-column markdown tables become "Key: Value" lines;
+ * one-line bulleted entries are sections of their own.
+ */
+export function splitSpecSections(text) {
+  const sections = [];
+  let current = { title: '', lines: [] };
+  let previousTableLine = null;
+  const flush = () => {
+    if (current.title || current.lines.some(line => line.trim())) sections.push(current);
+  };
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/\s+$/, '');
+
+    // | Key | Value | rows; header separators and wider tables are left alone
+    const cells = /^\s*\|.*\|\s*$/.test(line) ? line.trim().slice(1, -1).split('|').map(c => c.trim()) : null;
+    if (cells && cells.every(c => /^:?-{2,}:?$/.test(c))) {
+      if (previousTableLine) current.lines.pop();
+      previousTableLine = null;
+      continue;
+    }
+    const tableLine = cells && cells.length === 2 ? `${cells[0]}: ${cells[1]}` : null;
+    previousTableLine = tableLine;
+
+    if (/^#{1,6}\s+/.test(line)) {
+      flush();
+      current = { title: line, lines: [] };
+      continue;
+    }
+
+    // A repeated Field Label or API Name means the next field has started
+    const keyLine = parseKeyLine(tableLine || line);
+    const startsOver = { label: ['label', 'type'], apiName: ['apiName', 'type'] }[keyLine?.property];
+    if (startsOver && current.lines.some(l => startsOver.includes(parseKeyLine(l)?.property))) {
+      flush();
+      current = { title: '', lines: [] };
+    }
+
+    const inline = !keyLine?.property && parseInlineEntry(line);
+    if (inline) {
+      sections.push({ ...inline, lines: [line] });
+      continue;
+    }
+    current.lines.push(tableLine || line);
+  }
+  flush();
+  return sections;
+}
+
+// Collect "Key: Value" pairs; follow-on lines continue the previous key
+function collectValues(lines) {
+  const values = {};
+  const unknownKeys = [];
+  let property = null;
+  let inFence = false;
+
+  for (const line of lines) {
+    if (/^\s*```/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (!inFence && !line.trim()) {
+      if (!LIST_KEYS.includes(property)) property = null;
+      continue;
+    }
+
+    const keyLine = !inFence && parseKeyLine(line);
+    const continuesList = LIST_KEYS.includes(property) && isBullet(line) && !keyLine?.property;
+    if (keyLine && !continuesList) {
+      property = keyLine.property;
+      if (!property) {
+        unknownKeys.push(keyLine.key);
+      } else if (values[property] === undefined) {
+        values[property] = keyLine.value;
+      }
+      continue;
+    }
+    if (!property) continue;
+
+    const text = LIST_KEYS.includes(property) ? stripBullet(line) : (inFence ? line : stripMarkup(line));
+    values[property] = values[property] ? `${values[property]}\n${text}` : text;
+  }
+  return { values, unknownKeys };
+}
+
+// Guess a type from the other values when the spec doesn't state one
+function inferType(values, label) {
+  if (values.picklistValues) return 'Picklist';
+  if (values.formula) return 'Formula';
+  if (values.referenceTo) return 'Lookup';
+  if (values.displayFormat && /\{0+\}/.test(values.displayFormat)) return 'AutoNumber';
+  const name = (label || '').toLowerCase();
+  if (/e-?mail/.test(name)) return 'Email';
+  if (/phone|mobile|fax/.test(name)) return 'Phone';
+  if (/website|url/.test(name)) return 'Url';
+  if (/date\b/.test(name)) return 'Date';
+  return null;
+}
+
+/**
+ * Turn one section into a field. Returns { field, confidence, issues } or
+ * null when the section shows no sign of being a field definition.
+ * Confidence adds up label (20), API name (25), type (30), the details the
+ * type needs (15) and values that could all be read (10).
+ */
+export function parseFieldSection(section) {
+  const { values, unknownKeys } = section.inline
+    ? { values: section.values, unknownKeys: [] }
+    : collectValues(section.lines);
+  const title = parseTitle(section.title);
+  const knownKeys = Object.keys(values).length;
+  if (knownKeys === 0 && !title.apiName) return null;
+  if (!section.inline && !values.type && !values.apiName && !title.apiName && knownKeys < 2) return null;
+
+  const issues = [];
+  let confidence = 0;
+  const field = {};
+
+  // Label and API name
+  const explicitApi = values.apiName?.split(/\s/)[0];
+  if (explicitApi && API_NAME_PATTERN.test(explicitApi)) {
+    field.apiName = explicitApi;
+    confidence += 25;
+  } else if (explicitApi && /^[A-Za-z][A-Za-z0-9_]*$/.test(explicitApi)) {
+    field.apiName = `${explicitApi.replace(/_+$/, '')}__c`;
+    confidence += 20;
+    issues.push(`Added the __c suffix to "${explicitApi}"`);
+  } else if (title.apiName) {
+    field.apiName = title.apiName;
+    confidence += 25;
+  }
+
+  if (values.label) {
+    field.label = values.label;
+    confidence += 20;
+  } else if (title.label) {
+    field.label = title.label;
+    confidence += 15;
+  } else if (field.apiName) {
+    field.label = labelFromApiName(field.apiName);
+    confidence += 5;
+    issues.push('Label derived from the API name');
+  }
+
+  if (!field.apiName && field.label) {
+    field.apiName = apiNameFromLabel(field.label);
+    confidence += 5;
+    issues.push(`API name derived from the label: ${field.apiName}`);
+  }
+  if (!field.apiName) return null;
+
+  // Type
+  let unreadable = 0;
+  const typeInfo = parseTypeText(values.type);
+  if (typeInfo) {
+    Object.assign(field, typeInfo);
+    confidence += 30;
+  } else {
+    const inferred = inferType(values, field.label);
+    field.type = inferred || 'Text';
+    if (values.type) {
+      unreadable++;
+      issues.push(`Unrecognized type "${values.type}", using ${field.type}`);
+    } else if (inferred) {
+      confidence += 15;
+      issues.push(`No type given, inferred ${inferred}`);
+    } else {
+      issues.push('No type given, defaulting to Text');
+    }
+  }
+
+  // Remaining properties
+
+  for (const [key, raw] of Object.entries(values)) {
+    if (['label', 'apiName', 'type'].includes(key)) continue;
+    const value = raw.trim();
+    if (!value) continue;
+
+    if (NUMERIC_KEYS.includes(key)) {
+      const number = Number(value.replace(/[^\d.]/g, ''));
+      if (value.match(/\d/) && Number.isFinite(number)) {
+        if (field[key] === undefined) field[key] = number;
+      } else {
+        unreadable++;
+        issues.push(`Ignored ${key} "${value}" (not a number)`);
+      }
+    } else if (BOOLEAN_KEYS.includes(key)) {
+      const flag = parseBoolean(value.split(/[\s,(-]/)[0]);
+      if (flag === null) {
+        unreadable++;
+        issues.push(`Ignored ${key} "${value}" (expected Yes/No)`);
+      } else {
+        field[key] = flag;
+      }
+    } else if (key === 'picklistValues') {
+      field.picklistValues = parsePicklistValues(value);
+    } else if (key === 'returnType') {
+      const returnType = TYPE_SYNONYMS[normalize(value)];
+      if (FORMULA_RETURN_TYPES.includes(returnType)) {
+        field.returnType = returnType;
+      } else {
+        unreadable++;
+        issues.push(`Ignored return type "${value}"`);
+      }
+    } else if (key === 'deleteConstraint') {
+      const constraint = parseDeleteConstraint(value);
+      if (constraint) field.deleteConstraint = constraint;
+    } else if (key === 'referenceTo') {
+      if (!field.referenceTo) field.referenceTo = value.split(/[\s,(]/)[0];
+    } else if (key === 'defaultValue' && field.type === 'Checkbox') {
+      field.defaultValue = parseBoolean(value) === true;
+    } else {
+      field[key] = value;
+    }
+  }
+  confidence += Math.max(0, 10 - unreadable * 5);
+
+  // Details the type can't do without
+  const missing = {
+    Lookup: !field.referenceTo && 'the related object',
+    MasterDetail: !field.referenceTo && 'the master object',
+    Picklist: !field.picklistValues?.length && 'picklist values',
+    MultiselectPicklist: !field.picklistValues?.length && 'picklist values',
+    Formula: !field.formula && 'the formula',
+    AutoNumber: !field.displayFormat && 'the display format',
+    Summary: !field.summaryForeignKey && 'the roll-up details'
+  }[field.type];
+  if (missing) {
+    issues.push(`${field.type} field is missing ${missing}`);
+  } else if (typeInfo || inferType(values, field.label)) {
+    confidence += 15;
+  }
+
+  if (unknownKeys.length > 0) {
+    issues.push(`Ignored: ${unknownKeys.join(', ')}`);
+  }
+
+  const picklistDefault = field.picklistValues?.some(v => v.default);
+  if (field.defaultValue && field.picklistValues && !picklistDefault) {
+    field.picklistValues = field.picklistValues.map(v => ({ ...v, default: v.fullName === field.defaultValue }));
+    delete field.defaultValue;
+  }
+
+  // Keep the confidence score conservative for terse one-liners, and leave
+  // fields missing what their type needs to AI
+  if (section.inline) confidence = Math.min(confidence, 80);
+  if (missing) confidence = Math.min(confidence, CONFIDENCE_THRESHOLD - 5);
+
+  const managedDelete = field.deleteConstraint;
+  applyTypeDefaults(field);
+  if (field.type === 'Lookup' && managedDelete && !(managedDelete === 'SetNull' && field.required)) {
+    field.deleteConstraint = managedDelete;
+  }
+
+  return {
+    field: { required: false, unique: false, externalId: false, trackHistory: false, ...field },
+    confidence: Math.min(100, confidence),
+    issues
+  };
+}
+
+// "Object: Lab_Result__c", "Object API Name: Lab_Result__c", "# Lab Result (Lab_Result__c)"
+function findObjectName(text) {
+  for (const line of text.split('\n')) {
+    const keyLine = parseKeyLine(line);
+    if (keyLine && /^(?:object|objectapiname|objectname|sobject)$/.test(normalize(keyLine.key))) {
+      const name = keyLine.value.match(/[A-Za-z][A-Za-z0-9_]*__c/);
+      if (name) return name[0];
+    }
+    if (/^#\s+/.test(line) && /object/i.test(line)) {
+      const name = stripMarkup(line).match(/[A-Za-z][A-Za-z0-9_]*__c/);
+      if (name) return name[0];
+    }
+  }
+  return '';
+}
+
+/**
+ * Parse a structured spec without AI. Returns
+ * { objectName, fields, results, unparsed } where results holds
+ * { field, confidence, issues, source } for every field found, fields holds
+ * those at or above CONFIDENCE_THRESHOLD, and unparsed holds the source text
+ * of the rest plus any field-like sections that couldn't be read at all.
+ */
+export function parseSpecification(text) {
+  const source = cutoffAfterFields(normalizeCharacters(text || ''));
+  const objectName = findObjectName(source);
+  const results = [];
+  const unparsed = [];
+  const seen = new Set();
+
+  for (const section of splitSpecSections(source)) {
+    const sectionText = (section.inline ? section.lines : [section.title, ...section.lines]).filter(Boolean).join('\n');
+    const parsed = parseFieldSection(section);
+    if (!parsed) {
+      // Field-like text we couldn't read is worth an AI pass; intros and notes aren't
+      const fieldLike = sectionText.split(objectName || '\0').join('');
+      if (/__c\b|\b(?:data type|field type|picklist|lookup|formula)\b/i.test(fieldLike)) unparsed.push(sectionText);
+      continue;
+    }
+
+    // The object's own heading, e.g. "# Lab Result (Lab_Result__c)"
+    if (parsed.field.apiName === objectName) continue;
+
+    const key = parsed.field.apiName.toLowerCase();
+    if (seen.has(key)) {
+      parsed.issues.push('Duplicate API name; only the first definition is used');
+      parsed.confidence = 0;
+    }
+    seen.add(key);
+    results.push({ ...parsed, source: sectionText });
+    if (parsed.confidence < CONFIDENCE_THRESHOLD && parsed.confidence > 0) unparsed.push(sectionText);
+  }
+
+  return {
+    objectName,
+    fields: results.filter(r => r.confidence >= CONFIDENCE_THRESHOLD).map(r => r.field),
+    results,
+    unparsed
+  };
+}
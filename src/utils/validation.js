@@ -0,0 +1,559 @@
+/**
+ * Field Validation Utility
+ * Salesforce rules shared by the field editor, object settings and exports.
+ * validateWorkspace runs every rule over every field and is what the issues
+ * panel and the sidebar badges display.
+ */
+
+import { lintFormula, getLineColumn } from './formulaParser';
+import { runFormulaTests } from './formulaEvaluator';
+
+export const AUTO_NUMBER_MAX_LENGTH = 30;
+export const AUTO_NUMBER_MAX_DIGITS = 10;
+
+export const ENCRYPTED_TEXT_MAX_LENGTH = 175;
+export const ENCRYPTED_MASK_TYPES = ['all', 'creditCard', 'ssn', 'lastFour', 'sin', 'nino'];
+export const ENCRYPTED_MASK_CHARS = ['asterisk', 'X'];
+export const LOCATION_MAX_SCALE = 15;
+
+export const API_NAME_MAX_LENGTH = 40;
+export const LABEL_MAX_LENGTH = 40;
+export const HELP_TEXT_MAX_LENGTH = 510;
+export const DESCRIPTION_MAX_LENGTH = 1000;
+export const PICKLIST_MAX_VALUES = 1000;
+export const PICKLIST_VALUE_MAX_LENGTH = 255;
+
+// SOQL/SOSL keywords that can't be used as a field or relationship name
+export const RESERVED_WORDS = [
+  'ABOVE', 'ALL', 'AND', 'ANY', 'AS', 'ASC', 'BELOW', 'BY', 'CATEGORY', 'DESC', 'ELSE', 'EXCLUDES',
+  'FALSE', 'FIRST', 'FOR', 'FROM', 'GROUP', 'HAVING', 'IN', 'INCLUDES', 'LAST', 'LIKE', 'LIMIT',
+  'NOT', 'NULL', 'NULLS', 'OFFSET', 'ON', 'OR', 'ORDER', 'SELECT', 'TRUE', 'TYPEOF', 'UPDATE',
+  'USING', 'WHEN', 'WHERE', 'WITH'
+];
+
+// [min, max] per type; types missing here have no length/visibleLines setting
+export const LENGTH_RANGES = {
+  Text: [1, 255],
+  TextArea: [1, 255],
+  Email: [1, 255],
+  Phone: [1, 255],
+  Url: [1, 255],
+  LongTextArea: [256, 131072],
+  RichTextArea: [256, 131072]
+};
+
+export const VISIBLE_LINES_RANGES = {
+  LongTextArea: [2, 50],
+  RichTextArea: [10, 50],
+  MultiselectPicklist: [3, 10]
+};
+
+export const NUMERIC_TYPES = ['Number', 'Currency', 'Percent'];
+export const MAX_PRECISION = 18;
+
+// Per-object limits (Enterprise/Unlimited Edition defaults)
+export const MAX_MASTER_DETAIL_FIELDS = 2;
+export const MAX_RELATIONSHIP_FIELDS = 40;
+export const MAX_HISTORY_TRACKED_FIELDS = 20;
+export const MAX_EXTERNAL_ID_FIELDS = 25;
+export const MAX_UNIQUE_FIELDS = 25;
+export const CUSTOM_FIELD_WARNING_LIMIT = 500;
+export const CUSTOM_FIELD_LIMIT = 800;
+
+// Types that may be marked unique or external ID
+const UNIQUE_TYPES = ['Text', 'Number', 'Email'];
+const EXTERNAL_ID_TYPES = ['Text', 'Number', 'Email', 'AutoNumber'];
+
+const NAME_BODY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const AUTO_NUMBER_PLACEHOLDER = /\{0+\}/g;
+const AUTO_NUMBER_DATE_TOKENS = /\{(YYYY|YY|MM|DD)\}/g;
+
+/**
+ * Check an AutoNumber display format such as INV-{0000} or {YYYY}-{00000}.
+ * Returns a list of error messages (empty when valid).
+ */
+export function getDisplayFormatErrors(displayFormat) {
+  const errors = [];
+  if (!displayFormat) {
+    errors.push('Display format is required for Auto Number fields');
+    return errors;
+  }
+
+  const placeholders = displayFormat.match(AUTO_NUMBER_PLACEHOLDER) || [];
+  if (placeholders.length !== 1) {
+    errors.push('Display format must contain exactly one number placeholder such as {0000}');
+  } else if (placeholders[0].length - 2 > AUTO_NUMBER_MAX_DIGITS) {
+    errors.push(`Number placeholder can have at most ${AUTO_NUMBER_MAX_DIGITS} digits`);
+  }
+
+  const leftover = displayFormat
+    .replace(AUTO_NUMBER_PLACEHOLDER, '')
+    .replace(AUTO_NUMBER_DATE_TOKENS, '');
+  if (/[{}]/.test(leftover)) {
+    errors.push('Only {0...}, {YYYY}, {YY}, {MM} and {DD} may appear in braces');
+  }
+
+  if (displayFormat.length > AUTO_NUMBER_MAX_LENGTH) {
+    errors.push(`Display format cannot exceed ${AUTO_NUMBER_MAX_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Render the value the first record would get, e.g. INV-{0000} → INV-0001.
+ */
+export function previewAutoNumber(displayFormat, startingNumber = 1, date = new Date()) {
+  if (!displayFormat) return '';
+  const pad = (n, width) => String(n).padStart(width, '0');
+  return displayFormat
+    .replace(AUTO_NUMBER_PLACEHOLDER, match => pad(startingNumber || 0, match.length - 2))
+    .replace(/\{YYYY\}/g, String(date.getFullYear()))
+    .replace(/\{YY\}/g, pad(date.getFullYear() % 100, 2))
+    .replace(/\{MM\}/g, pad(date.getMonth() + 1, 2))
+    .replace(/\{DD\}/g, pad(date.getDate(), 2));
+}
+
+/**
+ * Checks for the Location and EncryptedText types. Returns a list of error
+ * messages.
+ */
+export function getFieldTypeErrors(field) {
+  const errors = [];
+
+  if (field.type === 'Location') {
+    const scale = field.scale !== undefined ? field.scale : 5;
+    if (!Number.isInteger(scale) || scale < 0 || scale > LOCATION_MAX_SCALE) {
+      errors.push(`Geolocation decimal places must be between 0 and ${LOCATION_MAX_SCALE}`);
+    }
+  }
+
+  if (field.type === 'EncryptedText') {
+    const length = field.length || ENCRYPTED_TEXT_MAX_LENGTH;
+    if (!Number.isInteger(length) || length < 1 || length > ENCRYPTED_TEXT_MAX_LENGTH) {
+      errors.push(`Encrypted text length must be between 1 and ${ENCRYPTED_TEXT_MAX_LENGTH}`);
+    }
+    if (field.maskType && !ENCRYPTED_MASK_TYPES.includes(field.maskType)) {
+      errors.push(`Mask type must be one of ${ENCRYPTED_MASK_TYPES.join(', ')}`);
+    }
+    if (field.maskChar && !ENCRYPTED_MASK_CHARS.includes(field.maskChar)) {
+      errors.push('Mask character must be asterisk or X');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * The values a picklist offers: its own picklistValues, or the values of
+ * the global value set it references through valueSetName.
+ */
+export function getPicklistValues(field, globalValueSets = []) {
+  if (field.valueSetName) {
+    const valueSet = globalValueSets.find(vs => vs.fullName === field.valueSetName);
+    return valueSet ? valueSet.customValue || [] : [];
+  }
+  return field.picklistValues || [];
+}
+
+/**
+ * Values a controlling field can take: picklist value API names, or
+ * checked/unchecked for a Checkbox.
+ */
+export function getControllingValues(controllingField, globalValueSets = []) {
+  if (!controllingField) return [];
+  if (controllingField.type === 'Checkbox') return ['checked', 'unchecked'];
+  return getPicklistValues(controllingField, globalValueSets).map(pv => pv.fullName).filter(Boolean);
+}
+
+/**
+ * Check a dependent picklist against its controlling field (looked up by
+ * API name in siblingFields). Catches a missing or unsuitable controlling
+ * field and mappings to values that no longer exist on either side.
+ */
+export function getDependencyErrors(field, siblingFields = [], globalValueSets = []) {
+  const errors = [];
+  if (!field.controllingField) return errors;
+
+  const controlling = siblingFields.find(f => f.apiName === field.controllingField);
+  if (!controlling) {
+    errors.push(`Controlling field ${field.controllingField} does not exist on this object`);
+    return errors;
+  }
+  if (!['Picklist', 'Checkbox'].includes(controlling.type)) {
+    errors.push(`Controlling field ${field.controllingField} must be a Picklist or Checkbox`);
+    return errors;
+  }
+  if (controlling.apiName === field.apiName) {
+    errors.push('A picklist cannot control itself');
+    return errors;
+  }
+
+  const dependentValues = getPicklistValues(field, globalValueSets).map(pv => pv.fullName);
+  const controllingValues = getControllingValues(controlling, globalValueSets);
+
+  (field.valueSettings || []).forEach(setting => {
+    if (!dependentValues.includes(setting.valueName)) {
+      errors.push(`Dependency mapping refers to value "${setting.valueName}" which is not in this picklist`);
+    }
+    (setting.controllingFieldValue || []).forEach(value => {
+      if (!controllingValues.includes(value)) {
+        errors.push(`"${setting.valueName}" is mapped to "${value}" which is not a value of ${controlling.apiName}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Check a structured lookup filter: every row needs a field, and the filter
+ * logic may only reference existing rows.
+ */
+export function getLookupFilterErrors(filter) {
+  const errors = [];
+  const items = filter.filterItems || [];
+
+  items.forEach((item, index) => {
+    if (!item.field) errors.push(`Lookup filter row ${index + 1}: field is required`);
+  });
+
+  if (filter.booleanFilter) {
+    const referenced = (filter.booleanFilter.match(/\d+/g) || []).map(Number);
+    const outOfRange = referenced.filter(n => n < 1 || n > items.length);
+    if (outOfRange.length > 0) {
+      errors.push(`Lookup filter logic references missing rows: ${[...new Set(outOfRange)].join(', ')}`);
+    }
+    if (filter.booleanFilter.replace(/\b(AND|OR|NOT)\b/gi, '').replace(/[\d\s()]/g, '') !== '') {
+      errors.push('Lookup filter logic may only use row numbers, AND, OR, NOT and parentheses');
+    }
+  }
+
+  return errors;
+}
+
+// Shared by field API names (without __c) and relationship names
+function getNameBodyErrors(body, what) {
+  const errors = [];
+  if (!NAME_BODY_PATTERN.test(body)) {
+    errors.push(`${what} must start with a letter and contain only letters, numbers and underscores`);
+  }
+  if (body.includes('__')) errors.push(`${what} cannot contain two consecutive underscores`);
+  if (body.endsWith('_')) errors.push(`${what} cannot end with an underscore`);
+  if (body.length > API_NAME_MAX_LENGTH) {
+    errors.push(`${what} cannot exceed ${API_NAME_MAX_LENGTH} characters (${body.length})`);
+  }
+  if (RESERVED_WORDS.includes(body.toUpperCase())) errors.push(`${what} "${body}" is a reserved word`);
+  return errors;
+}
+
+/**
+ * Check a custom field API name such as Account_Number__c.
+ */
+export function getApiNameErrors(apiName) {
+  if (!apiName) return ['API Name is required'];
+  if (!apiName.endsWith('__c')) {
+    return ['API Name must end with __c', ...getNameBodyErrors(apiName, 'API Name')];
+  }
+  return getNameBodyErrors(apiName.slice(0, -3), 'API Name');
+}
+
+/**
+ * Check a Lookup/MasterDetail relationship name, which has no suffix.
+ */
+export function getRelationshipNameErrors(relationshipName) {
+  if (!relationshipName) return ['Relationship Name is required for Lookup/MasterDetail fields'];
+  if (/__[cr]$/i.test(relationshipName)) {
+    return ['Relationship Name must not include the __c or __r suffix'];
+  }
+  return getNameBodyErrors(relationshipName, 'Relationship Name');
+}
+
+function inRange(value, [min, max]) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function getPicklistErrors(field, context) {
+  const errors = [];
+  const warnings = [];
+
+  if (field.valueSetName !== undefined) {
+    if (!field.valueSetName) {
+      errors.push('Select a global value set');
+    } else if (!context.globalValueSets.some(vs => vs.fullName === field.valueSetName)) {
+      errors.push(`Global value set ${field.valueSetName} does not exist in this workspace`);
+    }
+  } else {
+    const values = field.picklistValues || [];
+    if (values.length === 0) errors.push('Picklist needs at least one value');
+    if (values.length > PICKLIST_MAX_VALUES) {
+      errors.push(`Picklists can have at most ${PICKLIST_MAX_VALUES} values (${values.length})`);
+    }
+    if (values.some(pv => !pv.fullName)) errors.push('Every picklist value needs an API name');
+
+    const seen = new Set();
+    const duplicates = new Set();
+    values.forEach(pv => {
+      if (!pv.fullName) return;
+      const key = pv.fullName.toLowerCase();
+      if (seen.has(key)) duplicates.add(pv.fullName);
+      seen.add(key);
+      if (pv.fullName.length > PICKLIST_VALUE_MAX_LENGTH || (pv.label || '').length > PICKLIST_VALUE_MAX_LENGTH) {
+        errors.push(`Picklist value "${pv.fullName.slice(0, 20)}..." exceeds ${PICKLIST_VALUE_MAX_LENGTH} characters`);
+      }
+      if (pv.default && pv.isActive === false) {
+        errors.push(`Inactive value "${pv.fullName}" cannot be the default`);
+      }
+    });
+    if (duplicates.size > 0) errors.push(`Duplicate picklist values: ${[...duplicates].join(', ')}`);
+
+    const defaults = values.filter(pv => pv.default);
+    if (field.type === 'Picklist' && defaults.length > 1) {
+      errors.push(`Only one value can be the default (${defaults.map(pv => pv.fullName).join(', ')})`);
+    }
+    if (values.length > 0 && values.every(pv => pv.isActive === false)) {
+      warnings.push('All picklist values are inactive');
+    }
+  }
+
+  errors.push(...getDependencyErrors(field, context.objectFields, context.globalValueSets));
+  return { errors, warnings };
+}
+
+/**
+ * Run every field-level rule over one field. context carries what the rules
+ * need to look beyond the field itself:
+ *   objectFields    - fields of the same object (dependencies, duplicates)
+ *   objectName      - API name of the field's object
+ *   objects         - the whole workspace (roll-up summary children)
+ *   globalValueSets - value sets picklists can reference
+ * Returns [{ severity: 'error' | 'warning', message }]. Formula lint results
+ * also carry source: 'formula' and their start/end offsets.
+ */
+export function validateField(field, context = {}) {
+  const ctx = { objectFields: [], objects: [], globalValueSets: [], ...context };
+  const errors = [];
+  const warnings = [];
+  const formulaIssues = [];
+
+  // Names and labels
+  errors.push(...getApiNameErrors(field.apiName));
+  if (field.apiName && ctx.objectFields.some(f => f !== field && f.id !== field.id && (f.apiName || '').toLowerCase() === field.apiName.toLowerCase())) {
+    errors.push(`Another field on this object is already named ${field.apiName}`);
+  }
+  if (!field.label) {
+    errors.push('Label is required');
+  } else if (field.label.length > LABEL_MAX_LENGTH) {
+    errors.push(`Label cannot exceed ${LABEL_MAX_LENGTH} characters (${field.label.length})`);
+  }
+  if ((field.helpText || '').length > HELP_TEXT_MAX_LENGTH) {
+    errors.push(`Help text cannot exceed ${HELP_TEXT_MAX_LENGTH} characters`);
+  }
+  if ((field.description || '').length > DESCRIPTION_MAX_LENGTH) {
+    errors.push(`Description cannot exceed ${DESCRIPTION_MAX_LENGTH} characters`);
+  }
+
+  // Field attributes that only some types support
+  if (field.unique && !UNIQUE_TYPES.includes(field.type)) {
+    errors.push(`${field.type} fields cannot be unique`);
+  }
+  if (field.externalId && !EXTERNAL_ID_TYPES.includes(field.type)) {
+    errors.push(`${field.type} fields cannot be an external ID`);
+  }
+  if (field.required && field.type === 'Checkbox') {
+    warnings.push('Checkbox fields cannot be required; the flag is ignored on deploy');
+  }
+
+  // Per-type ranges
+  if (LENGTH_RANGES[field.type]) {
+    const [min, max] = LENGTH_RANGES[field.type];
+    // Text always needs a length; the others fall back to the editor default
+    if (field.length !== undefined || field.type === 'Text') {
+      if (!inRange(field.length, LENGTH_RANGES[field.type])) {
+        errors.push(`${field.type} length must be between ${min.toLocaleString()} and ${max.toLocaleString()}`);
+      }
+    }
+  }
+  if (VISIBLE_LINES_RANGES[field.type] && field.visibleLines !== undefined && !inRange(field.visibleLines, VISIBLE_LINES_RANGES[field.type])) {
+    const [min, max] = VISIBLE_LINES_RANGES[field.type];
+    errors.push(`Visible lines must be between ${min} and ${max}`);
+  }
+  if (NUMERIC_TYPES.includes(field.type) || (field.type === 'Formula' && NUMERIC_TYPES.includes(field.returnType))) {
+    const precision = field.precision !== undefined ? field.precision : MAX_PRECISION;
+    const scale = field.scale !== undefined ? field.scale : 2;
+    if (!inRange(precision, [1, MAX_PRECISION])) {
+      errors.push(`Precision must be between 1 and ${MAX_PRECISION}`);
+    }
+    if (!inRange(scale, [0, MAX_PRECISION - 1])) {
+      errors.push(`Scale must be between 0 and ${MAX_PRECISION - 1}`);
+    } else if (scale > precision) {
+      errors.push(`Scale (${scale}) cannot be greater than precision (${precision})`);
+    }
+  }
+  errors.push(...getFieldTypeErrors(field));
+
+  // Picklists
+  if (['Picklist', 'MultiselectPicklist'].includes(field.type)) {
+    const picklist = getPicklistErrors(field, ctx);
+    errors.push(...picklist.errors);
+    warnings.push(...picklist.warnings);
+  }
+
+  // Relationships
+  if (['Lookup', 'MasterDetail'].includes(field.type)) {
+    if (!field.referenceTo) errors.push('Reference To object is required for Lookup/MasterDetail fields');
+    errors.push(...getRelationshipNameErrors(field.relationshipName));
+    if (!field.relationshipLabel) warnings.push('Relationship Label is empty; the related list will use the object label');
+    if (field.lookupFilter && typeof field.lookupFilter === 'object') {
+      errors.push(...getLookupFilterErrors(field.lookupFilter));
+    }
+  }
+  if (field.type === 'MasterDetail' && field.referenceTo && field.referenceTo === ctx.objectName) {
+    errors.push('A Master-Detail field cannot point to its own object');
+  }
+
+  // Calculated types
+  if (field.type === 'Formula' && !field.formula) {
+    errors.push('Formula expression is required');
+  } else if (field.type === 'Formula') {
+    const { issues } = lintFormula(field.formula, {
+      objectName: ctx.objectName,
+      objects: ctx.objects,
+      returnType: field.returnType || 'Text',
+      fieldApiName: field.apiName
+    });
+    issues.forEach(issue => {
+      const { line, column } = getLineColumn(field.formula, issue.start);
+      formulaIssues.push({ ...issue, source: 'formula', message: `Formula (line ${line}, col ${column}): ${issue.message}` });
+    });
+
+    // Saved test cases catch formula edits that change results
+    if (!issues.some(issue => issue.severity === 'error')) {
+      try {
+        runFormulaTests(field, { objectName: ctx.objectName, objects: ctx.objects })
+          .filter(run => !run.passed)
+          .forEach(run => warnings.push(run.error
+            ? `Formula test "${run.test.name}" fails: ${run.error}`
+            : `Formula test "${run.test.name}" fails: expected ${run.test.expected || '(blank)'}, got ${run.actual || '(blank)'}`));
+      } catch (error) {
+        // Validation runs on every render; report instead of throwing
+        warnings.push(`Formula tests could not run: ${error.message}`);
+      }
+    }
+  }
+  if (field.type === 'AutoNumber') {
+    errors.push(...getDisplayFormatErrors(field.displayFormat));
+    if (field.startingNumber !== undefined && !(Number.isInteger(field.startingNumber) && field.startingNumber >= 0)) {
+      errors.push('Starting number must be a whole number of 0 or more');
+    }
+  }
+  if (field.type === 'Summary') {
+    if (!field.summaryForeignKey) {
+      errors.push('Roll-up summary needs a child object with a Master-Detail relationship');
+    } else {
+      const [childName, fkName] = field.summaryForeignKey.split('.');
+      const child = ctx.objects.find(o => o.name === childName);
+      const fk = child && child.fields.find(f => f.apiName === fkName);
+      if (child && !(fk && fk.type === 'MasterDetail' && fk.referenceTo === ctx.objectName)) {
+        errors.push(`${field.summaryForeignKey} is not a Master-Detail to ${ctx.objectName}`);
+      }
+    }
+    if (field.summaryOperation && field.summaryOperation !== 'count' && !field.summarizedField) {
+      errors.push(`Field to aggregate is required for ${field.summaryOperation.toUpperCase()} roll-ups`);
+    }
+  }
+
+  return [
+    ...errors.map(message => ({ severity: 'error', message })),
+    ...formulaIssues,
+    ...warnings.map(message => ({ severity: 'warning', message }))
+  ];
+}
+
+/**
+ * Limits that span all fields of one object. Object-wide problems come back
+ * with no field; duplicate relationship names are reported on each field
+ * involved, since child relationship names must be unique per parent object
+ * across the whole workspace.
+ * Returns [{ severity, message, field? }].
+ */
+export function validateObjectLimits(object, objects = []) {
+  const issues = [];
+  const fields = object.fields;
+  const countOf = predicate => fields.filter(predicate).length;
+
+  const masterDetails = countOf(f => f.type === 'MasterDetail');
+  if (masterDetails > MAX_MASTER_DETAIL_FIELDS) {
+    issues.push({ severity: 'error', message: `${masterDetails} Master-Detail fields; an object can have at most ${MAX_MASTER_DETAIL_FIELDS}` });
+  }
+
+  const relationships = countOf(f => ['Lookup', 'MasterDetail'].includes(f.type));
+  if (relationships > MAX_RELATIONSHIP_FIELDS) {
+    issues.push({ severity: 'error', message: `${relationships} relationship fields; an object can have at most ${MAX_RELATIONSHIP_FIELDS} Lookup and Master-Detail fields` });
+  }
+
+  const tracked = countOf(f => f.trackHistory);
+  if (tracked > MAX_HISTORY_TRACKED_FIELDS) {
+    issues.push({ severity: 'error', message: `${tracked} fields track history; at most ${MAX_HISTORY_TRACKED_FIELDS} fields per object can` });
+  }
+
+  const externalIds = countOf(f => f.externalId);
+  if (externalIds > MAX_EXTERNAL_ID_FIELDS) {
+    issues.push({ severity: 'error', message: `${externalIds} external ID fields; an object can have at most ${MAX_EXTERNAL_ID_FIELDS}` });
+  }
+
+  const uniques = countOf(f => f.unique);
+  if (uniques > MAX_UNIQUE_FIELDS) {
+    issues.push({ severity: 'error', message: `${uniques} unique fields; an object can have at most ${MAX_UNIQUE_FIELDS}` });
+  }
+
+  if (fields.length > CUSTOM_FIELD_LIMIT) {
+    issues.push({ severity: 'error', message: `${fields.length} custom fields; an object can have at most ${CUSTOM_FIELD_LIMIT}` });
+  } else if (fields.length > CUSTOM_FIELD_WARNING_LIMIT) {
+    issues.push({ severity: 'warning', message: `${fields.length} custom fields exceeds the Enterprise Edition limit of ${CUSTOM_FIELD_WARNING_LIMIT}` });
+  }
+
+  fields
+    .filter(f => ['Lookup', 'MasterDetail'].includes(f.type) && f.referenceTo && f.relationshipName)
+    .forEach(field => {
+      const clashes = objects.flatMap(o => o.fields
+        .filter(f => f !== field && ['Lookup', 'MasterDetail'].includes(f.type) &&
+          f.referenceTo === field.referenceTo &&
+          (f.relationshipName || '').toLowerCase() === field.relationshipName.toLowerCase())
+        .map(f => `${o.name}.${f.apiName}`));
+      if (clashes.length > 0) {
+        issues.push({
+          severity: 'error',
+          message: `Relationship name ${field.relationshipName} is also used on ${field.referenceTo} by ${clashes.join(', ')}`,
+          field
+        });
+      }
+    });
+
+  return issues;
+}
+
+/**
+ * Validate every field of every object, plus the per-object limits. Each
+ * issue is tagged with the object (and field, when there is one) it belongs
+ * to so the issues panel can jump to it.
+ */
+export function validateWorkspace(objects, globalValueSets = []) {
+  const tag = (object, field) => issue => ({
+    ...issue,
+    objectId: object.id,
+    objectName: object.name,
+    fieldId: field ? field.id : null,
+    fieldApiName: field ? field.apiName : null,
+    fieldLabel: field ? field.label : null
+  });
+
+  return objects.flatMap(object => [
+    ...validateObjectLimits(object, objects).map(({ field, ...issue }) => tag(object, field)(issue)),
+    ...object.fields.flatMap(field =>
+      validateField(field, { objectFields: object.fields, objectName: object.name, objects, globalValueSets })
+        .map(tag(object, field))
+    )
+  ]);
+}
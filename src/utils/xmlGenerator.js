@@ -16,6 +16,59 @@ function buildTag(name, value, indent = '    ') {
   return `${indent}<${name}>${escapeXml(value)}</${name}>`
 }
 
+export const LOOKUP_FILTER_OPERATIONS = [
+  'equals', 'notEqual', 'lessThan', 'greaterThan', 'lessOrEqual', 'greaterOrEqual',
+  'contains', 'notContain', 'startsWith', 'includes', 'excludes', 'within'
+]
+
+// Earlier versions stored lookupFilter as a free-text note; only the
+// structured { filterItems: [...] } form is emitted
+export function hasLookupFilter(field) {
+  const filter = field.lookupFilter
+  return !!filter && typeof filter === 'object' && Array.isArray(filter.filterItems) && filter.filterItems.length > 0
+}
+
+function buildLookupFilter(filter) {
+  const parts = []
+  parts.push('    <lookupFilter>')
+  parts.push(buildTag('active', filter.active !== false ? 'true' : 'false', '        '))
+  parts.push(buildTag('booleanFilter', filter.booleanFilter, '        '))
+  parts.push(buildTag('errorMessage', filter.errorMessage, '        '))
+
+  filter.filterItems.forEach(item => {
+    parts.push('        <filterItems>')
+    parts.push(buildTag('field', item.field, '            '))
+    parts.push(buildTag('operation', item.operation || 'equals', '            '))
+    if (item.valueField) {
+      parts.push(buildTag('valueField', item.valueField, '            '))
+    } else {
+      parts.push(buildTag('value', item.value, '            '))
+    }
+    parts.push('        </filterItems>')
+  })
+
+  parts.push(buildTag('infoMessage', filter.infoMessage, '        '))
+  parts.push(buildTag('isOptional', filter.isOptional === true ? 'true' : 'false', '        '))
+  parts.push('    </lookupFilter>')
+  return parts
+}
+
+export const SUMMARY_OPERATIONS = ['count', 'sum', 'min', 'max']
+
+// Tags of one picklist value (<value> in a field, <customValue> in a global
+// value set). isActive is only written for deactivated values, which stay in
+// the metadata so records that still use them keep deploying.
+function buildValueTags(value, indent) {
+  return [
+    buildTag('fullName', value.fullName, indent),
+    buildTag('color', value.color, indent),
+    buildTag('default', value.default === true ? 'true' : 'false', indent),
+    buildTag('description', value.description, indent),
+    value.isActive === false ? buildTag('isActive', 'false', indent) : '',
+    buildTag('label', value.label || value.fullName, indent)
+  ]
+}
+
 export function generateXml(field) {
   const parts = []
   
@@ -40,6 +93,16 @@ export function generateXml(field) {
     parts.push(buildTag('description', field.description))
   }
   
+  // displayFormat (for AutoNumber)
+  if (field.type === 'AutoNumber') {
+    parts.push(buildTag('displayFormat', field.displayFormat))
+  }
+  
+  // displayLocationInDecimal (for Location)
+  if (field.type === 'Location') {
+    parts.push(buildTag('displayLocationInDecimal', field.displayLocationInDecimal === true ? 'true' : 'false'))
+  }
+  
   // externalId (always include true or false)
   if (field.externalId !== undefined) {
     parts.push(buildTag('externalId', field.externalId === true ? 'true' : 'false'))
@@ -68,6 +131,11 @@ export function generateXml(field) {
     parts.push(buildTag('length', field.length))
   }
   
+  // length for EncryptedText (max 175, always required)
+  if (field.type === 'EncryptedText') {
+    parts.push(buildTag('length', field.length || 175))
+  }
+  
   // length for LongTextArea and RichTextArea (different max)
   if (['LongTextArea', 'RichTextArea'].includes(field.type) && field.length) {
     parts.push(buildTag('length', field.length))
@@ -78,6 +146,17 @@ export function generateXml(field) {
     parts.push(buildTag('visibleLines', field.visibleLines))
   }
   
+  // lookupFilter (for Lookup and MasterDetail)
+  if (['Lookup', 'MasterDetail'].includes(field.type) && hasLookupFilter(field)) {
+    parts.push(...buildLookupFilter(field.lookupFilter))
+  }
+  
+  // maskChar and maskType (for EncryptedText)
+  if (field.type === 'EncryptedText') {
+    parts.push(buildTag('maskChar', field.maskChar || 'asterisk'))
+    parts.push(buildTag('maskType', field.maskType || 'all'))
+  }
+  
   // precision (for Number, Currency, Percent, and Formula with numeric return)
   if (['Number', 'Currency', 'Percent'].includes(field.type) || 
       (field.type === 'Formula' && ['Number', 'Currency', 'Percent'].includes(field.returnType))) {
@@ -109,8 +188,8 @@ export function generateXml(field) {
     parts.push(buildTag('reparentableMasterDetail', field.reparentableMasterDetail !== undefined ? field.reparentableMasterDetail : 'false'))
   }
   
-  // required (ALWAYS include as true or false, skip for MasterDetail)
-  if (field.type !== 'MasterDetail') {
+  // required (ALWAYS include as true or false, skip for MasterDetail, Summary and AutoNumber)
+  if (!['MasterDetail', 'Summary', 'AutoNumber'].includes(field.type)) {
     parts.push(buildTag('required', field.required === true ? 'true' : 'false'))
   }
   
@@ -120,6 +199,38 @@ export function generateXml(field) {
     parts.push(buildTag('scale', field.scale !== undefined ? field.scale : 2))
   }
   
+  // scale (for Location: decimal places of latitude and longitude)
+  if (field.type === 'Location') {
+    parts.push(buildTag('scale', field.scale !== undefined ? field.scale : 5))
+  }
+  
+  // startingNumber (for AutoNumber)
+  if (field.type === 'AutoNumber') {
+    parts.push(buildTag('startingNumber', field.startingNumber !== undefined ? field.startingNumber : 1))
+  }
+  
+  // summarizedField (for Summary, not used by count)
+  if (field.type === 'Summary' && field.summaryOperation !== 'count') {
+    parts.push(buildTag('summarizedField', field.summarizedField))
+  }
+  
+  // summaryFilterItems (for Summary)
+  if (field.type === 'Summary' && field.summaryFilterItems) {
+    field.summaryFilterItems.forEach(item => {
+      parts.push('    <summaryFilterItems>')
+      parts.push(buildTag('field', item.field, '        '))
+      parts.push(buildTag('operation', item.operation || 'equals', '        '))
+      parts.push(buildTag('value', item.value, '        '))
+      parts.push('    </summaryFilterItems>')
+    })
+  }
+  
+  // summaryForeignKey and summaryOperation (for Summary)
+  if (field.type === 'Summary') {
+    parts.push(buildTag('summaryForeignKey', field.summaryForeignKey))
+    parts.push(buildTag('summaryOperation', field.summaryOperation || 'count'))
+  }
+  
   // trackHistory (ALWAYS include as true or false)
   parts.push(buildTag('trackHistory', field.trackHistory === true ? 'true' : 'false'))
   
@@ -137,22 +248,46 @@ export function generateXml(field) {
   
   // valueSet (for Picklist and MultiselectPicklist)
   if (['Picklist', 'MultiselectPicklist'].includes(field.type)) {
+    const dependent = !!field.controllingField
+    
     parts.push('    <valueSet>')
-    parts.push(buildTag('restricted', field.restricted !== false ? 'true' : 'false', '        '))
-    parts.push('        <valueSetDefinition>')
-    parts.push('            <sorted>false</sorted>')
+    if (dependent) {
+      parts.push(buildTag('controllingField', field.controllingField, '        '))
+    }
     
-    if (field.picklistValues && field.picklistValues.length > 0) {
-      field.picklistValues.forEach(pv => {
-        parts.push('            <value>')
-        parts.push(buildTag('fullName', pv.fullName, '                '))
-        parts.push(buildTag('default', pv.default === true ? 'true' : 'false', '                '))
-        parts.push(buildTag('label', pv.label || pv.fullName, '                '))
-        parts.push('            </value>')
-      })
+    if (field.valueSetName) {
+      // Values come from a GlobalValueSet, which is always restricted
+      parts.push(buildTag('restricted', 'true', '        '))
+      parts.push(buildTag('valueSetName', field.valueSetName, '        '))
+    } else {
+      parts.push(buildTag('restricted', field.restricted !== false ? 'true' : 'false', '        '))
+      parts.push('        <valueSetDefinition>')
+      parts.push(buildTag('sorted', field.sorted === true ? 'true' : 'false', '            '))
+      
+      if (field.picklistValues && field.picklistValues.length > 0) {
+        field.picklistValues.forEach(pv => {
+          parts.push('            <value>')
+          parts.push(...buildValueTags(pv, '                '))
+          parts.push('            </value>')
+        })
+      }
+      
+      parts.push('        </valueSetDefinition>')
     }
     
-    parts.push('        </valueSetDefinition>')
+    // valueSettings map each dependent value to the controlling values that show it
+    if (dependent && field.valueSettings) {
+      field.valueSettings
+        .filter(setting => setting.controllingFieldValue && setting.controllingFieldValue.length > 0)
+        .forEach(setting => {
+          parts.push('        <valueSettings>')
+          setting.controllingFieldValue.forEach(value => {
+            parts.push(buildTag('controllingFieldValue', value, '            '))
+          })
+          parts.push(buildTag('valueName', setting.valueName, '            '))
+          parts.push('        </valueSettings>')
+        })
+    }
     parts.push('    </valueSet>')
   }
   
@@ -170,3 +305,130 @@ export function generateXml(field) {
   
   return parts.filter(p => p !== '').join('\n')
 }
+
+export const SHARING_MODELS = ['Private', 'Read', 'ReadWrite', 'ControlledByParent']
+
+export function defaultObjectSettings(objectName = '') {
+  const label = objectName.replace(/__c$/, '').replace(/_/g, ' ')
+  return {
+    label,
+    pluralLabel: label ? label + 's' : '',
+    description: '',
+    nameField: {
+      label: label ? label + ' Name' : 'Name',
+      type: 'Text',
+      displayFormat: '',
+      startingNumber: 1
+    },
+    sharingModel: 'ReadWrite',
+    enableHistory: false,
+    enableReports: true,
+    enableActivities: false,
+    deploymentStatus: 'Deployed'
+  }
+}
+
+// object: { name, settings } - missing settings fall back to defaultObjectSettings
+export function generateObjectXml(object) {
+  const defaults = defaultObjectSettings(object.name)
+  const settings = { ...defaults, ...object.settings }
+  const nameField = { ...defaults.nameField, ...(object.settings && object.settings.nameField) }
+  const parts = []
+
+  parts.push(XML_HEADER)
+  parts.push(`<CustomObject xmlns="${XML_NAMESPACE}">`)
+
+  parts.push(buildTag('deploymentStatus', settings.deploymentStatus))
+  parts.push(buildTag('description', settings.description))
+  parts.push(buildTag('enableActivities', settings.enableActivities === true ? 'true' : 'false'))
+  parts.push(buildTag('enableHistory', settings.enableHistory === true ? 'true' : 'false'))
+  parts.push(buildTag('enableReports', settings.enableReports === true ? 'true' : 'false'))
+  parts.push(buildTag('label', settings.label))
+
+  parts.push('    <nameField>')
+  if (nameField.type === 'AutoNumber') {
+    parts.push(buildTag('displayFormat', nameField.displayFormat, '        '))
+  }
+  parts.push(buildTag('label', nameField.label, '        '))
+  if (nameField.type === 'AutoNumber') {
+    parts.push(buildTag('startingNumber', nameField.startingNumber !== undefined ? nameField.startingNumber : 1, '        '))
+  }
+  parts.push(buildTag('trackHistory', 'false', '        '))
+  parts.push(buildTag('type', nameField.type, '        '))
+  parts.push('    </nameField>')
+
+  parts.push(buildTag('pluralLabel', settings.pluralLabel))
+  parts.push(buildTag('sharingModel', settings.sharingModel))
+
+  parts.push('</CustomObject>')
+
+  return parts.filter(p => p !== '').join('\n')
+}
+
+// A field as a <fields> element of a Metadata API format .object file. Only
+// lines that start a tag are indented, so multi-line values stay unchanged.
+function generateFieldElement(field) {
+  const body = generateXml(field).split('\n').slice(2, -1)
+  return ['    <fields>', ...body.map(line => /^\s*</.test(line) ? '    ' + line : line), '    </fields>'].join('\n')
+}
+
+// Metadata API format object file (objects/<Object>.object) holding the
+// object's fields, plus its own settings when withSettings is set. Standard
+// objects only ever get their fields.
+export function generateMetadataObjectXml(object, { withSettings = true } = {}) {
+  const fieldElements = object.fields.map(generateFieldElement)
+  if (!withSettings) {
+    return [XML_HEADER, `<CustomObject xmlns="${XML_NAMESPACE}">`, ...fieldElements, '</CustomObject>'].join('\n')
+  }
+
+  // <fields> sort between enableReports and label, as in a retrieved file
+  const lines = generateObjectXml(object).split('\n')
+  lines.splice(lines.findIndex(line => line.startsWith('    <label>')), 0, ...fieldElements)
+  return lines.join('\n')
+}
+
+// valueSet: { fullName, masterLabel, description, sorted, customValue: [{ fullName, label, default, color, description, isActive }] }
+export function generateGlobalValueSetXml(valueSet) {
+  const parts = []
+
+  parts.push(XML_HEADER)
+  parts.push(`<GlobalValueSet xmlns="${XML_NAMESPACE}">`)
+
+  ;(valueSet.customValue || []).forEach(value => {
+    parts.push('    <customValue>')
+    parts.push(...buildValueTags(value, '        '))
+    parts.push('    </customValue>')
+  })
+
+  parts.push(buildTag('description', valueSet.description))
+  parts.push(buildTag('masterLabel', valueSet.masterLabel || valueSet.fullName))
+  parts.push(buildTag('sorted', valueSet.sorted === true ? 'true' : 'false'))
+  parts.push('</GlobalValueSet>')
+
+  return parts.filter(p => p !== '').join('\n')
+}
+
+// typeMembers: { CustomField: ['Obj__c.Field__c', ...], CustomObject: [...] }
+// Types and members are sorted the way the Salesforce CLI writes manifests;
+// types with no members are left out.
+export function generatePackageXml(typeMembers, apiVersion) {
+  const parts = []
+
+  parts.push(XML_HEADER)
+  parts.push(`<Package xmlns="${XML_NAMESPACE}">`)
+
+  Object.keys(typeMembers).sort().forEach(typeName => {
+    const members = [...new Set(typeMembers[typeName])].sort()
+    if (members.length === 0) return
+
+    parts.push('    <types>')
+    members.forEach(member => parts.push(buildTag('members', member, '        ')))
+    parts.push(buildTag('name', typeName, '        '))
+    parts.push('    </types>')
+  })
+
+  parts.push(buildTag('version', apiVersion))
+  parts.push('</Package>')
+
+  return parts.filter(p => p !== '').join('\n')
+}
@@ -0,0 +1,226 @@
+import JSZip from 'jszip'
+
+const NUMERIC_TAGS = ['length', 'visibleLines', 'precision', 'scale', 'relationshipOrder', 'startingNumber']
+const BOOLEAN_TAGS = ['required', 'trackHistory', 'externalId', 'unique', 'displayLocationInDecimal']
+
+// Tags copied straight onto the field object under a different key
+const TAG_TO_KEY = {
+  fullName: 'apiName',
+  inlineHelpText: 'helpText',
+  formulaTreatBlanksAs: 'treatBlanksAs'
+}
+
+function childElements(node) {
+  return Array.from(node.childNodes).filter(n => n.nodeType === 1)
+}
+
+function childText(node, name) {
+  const child = childElements(node).find(n => n.localName === name)
+  return child ? child.textContent : undefined
+}
+
+function parsePicklistValue(valueNode) {
+  const fullName = childText(valueNode, 'fullName') || ''
+  const value = {
+    fullName,
+    label: childText(valueNode, 'label') || fullName,
+    default: childText(valueNode, 'default') === 'true'
+  }
+
+  const color = childText(valueNode, 'color')
+  if (color) value.color = color
+  const description = childText(valueNode, 'description')
+  if (description) value.description = description
+  if (childText(valueNode, 'isActive') === 'false') value.isActive = false
+
+  return value
+}
+
+function parseValueSet(valueSetNode, field) {
+  const restricted = childText(valueSetNode, 'restricted')
+  field.restricted = restricted !== 'false'
+
+  const valueSetName = childText(valueSetNode, 'valueSetName')
+  if (valueSetName) {
+    field.valueSetName = valueSetName
+  }
+
+  const definition = childElements(valueSetNode).find(n => n.localName === 'valueSetDefinition')
+  if (definition) {
+    field.sorted = childText(definition, 'sorted') === 'true'
+  }
+  if (definition || !valueSetName) {
+    field.picklistValues = definition
+      ? childElements(definition).filter(n => n.localName === 'value').map(parsePicklistValue)
+      : []
+  }
+
+  const controllingField = childText(valueSetNode, 'controllingField')
+  if (controllingField) {
+    field.controllingField = controllingField
+    field.valueSettings = childElements(valueSetNode)
+      .filter(n => n.localName === 'valueSettings')
+      .map(settingNode => ({
+        valueName: childText(settingNode, 'valueName') || '',
+        controllingFieldValue: childElements(settingNode)
+          .filter(n => n.localName === 'controllingFieldValue')
+          .map(n => n.textContent)
+      }))
+  }
+}
+
+function parseLookupFilter(filterNode) {
+  const filter = {
+    active: childText(filterNode, 'active') !== 'false',
+    booleanFilter: childText(filterNode, 'booleanFilter') || '',
+    errorMessage: childText(filterNode, 'errorMessage') || '',
+    infoMessage: childText(filterNode, 'infoMessage') || '',
+    isOptional: childText(filterNode, 'isOptional') === 'true',
+    filterItems: []
+  }
+
+  childElements(filterNode).filter(n => n.localName === 'filterItems').forEach(itemNode => {
+    const item = {
+      field: childText(itemNode, 'field') || '',
+      operation: childText(itemNode, 'operation') || 'equals'
+    }
+    const valueField = childText(itemNode, 'valueField')
+    if (valueField !== undefined) {
+      item.valueField = valueField
+    } else {
+      item.value = childText(itemNode, 'value') || ''
+    }
+    filter.filterItems.push(item)
+  })
+
+  return filter
+}
+
+/**
+ * Parse a single CustomField (.field-meta.xml) document into the field
+ * object shape edited by FieldEditor. Throws if the document is not a
+ * CustomField.
+ */
+export function parseFieldXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  const parserError = doc.getElementsByTagName('parsererror')[0]
+  if (parserError) {
+    throw new Error('Malformed XML: ' + parserError.textContent.split('\n')[0])
+  }
+
+  const root = doc.documentElement
+  if (!root || root.localName !== 'CustomField') {
+    throw new Error(`Expected a <CustomField> root element, found <${root ? root.localName : 'nothing'}>`)
+  }
+
+  const field = {}
+  let xmlType = ''
+
+  childElements(root).forEach(node => {
+    const tag = node.localName
+    const text = node.textContent
+
+    if (tag === 'valueSet') {
+      parseValueSet(node, field)
+    } else if (tag === 'lookupFilter') {
+      field.lookupFilter = parseLookupFilter(node)
+    } else if (tag === 'summaryFilterItems') {
+      field.summaryFilterItems = field.summaryFilterItems || []
+      field.summaryFilterItems.push({
+        field: childText(node, 'field') || '',
+        operation: childText(node, 'operation') || 'equals',
+        value: childText(node, 'value') || ''
+      })
+    } else if (tag === 'type') {
+      xmlType = text
+    } else if (NUMERIC_TAGS.includes(tag)) {
+      field[tag] = Number(text)
+    } else if (BOOLEAN_TAGS.includes(tag)) {
+      field[tag] = text === 'true'
+    } else if (TAG_TO_KEY[tag]) {
+      field[TAG_TO_KEY[tag]] = text
+    } else {
+      // defaultValue, description, displayFormat, label, formula, deleteConstraint, maskChar, maskType, referenceTo,
+      // relationshipLabel, relationshipName, reparentableMasterDetail, writeRequiresMasterRead,
+      // summarizedField, summaryForeignKey, summaryOperation
+      field[tag] = text
+    }
+  })
+
+  // Formula fields store the return type in <type>. <formulaTreatBlanksAs>
+  // marks one too when the formula itself is empty or missing
+  if (field.formula !== undefined || field.treatBlanksAs !== undefined) {
+    field.type = 'Formula'
+    field.formula = field.formula || ''
+    field.returnType = xmlType || 'Text'
+  } else {
+    field.type = xmlType
+    delete field.treatBlanksAs
+  }
+
+  // fullName may be qualified with the object name in metadata API format
+  if (field.apiName && field.apiName.includes('.')) {
+    field.apiName = field.apiName.split('.').pop()
+  }
+
+  return field
+}
+
+// .../objects/<Object>/fields/<Field>.field-meta.xml (SFDX) or
+// <Object>/fields/<Field>.field-meta.xml (multi-object flat export)
+function objectNameFromPath(path) {
+  const match = path.match(/([^/]+)\/fields\/[^/]+$/)
+  return match ? match[1] : null
+}
+
+function isFieldXml(name) {
+  return name.toLowerCase().endsWith('.field-meta.xml')
+}
+
+/**
+ * Read one or more .field-meta.xml files (or .zip archives containing them)
+ * and return { objects: [{ objectName, fields }], errors } in the shape that
+ * handleImportJSON consumes. Files are grouped by their <Object>/fields/
+ * folder; files outside such a folder get no objectName and land in the
+ * selected object. Per-file failures are collected in errors rather than
+ * aborting the whole import.
+ */
+export async function parseFieldXmlFiles(files) {
+  const entries = []
+  const errors = []
+
+  for (const file of Array.from(files)) {
+    if (file.name.toLowerCase().endsWith('.zip')) {
+      try {
+        const zip = await JSZip.loadAsync(file)
+        const zipEntries = Object.values(zip.files).filter(entry => !entry.dir && isFieldXml(entry.name))
+        for (const entry of zipEntries) {
+          entries.push({ path: entry.name, text: await entry.async('string') })
+        }
+      } catch (error) {
+        errors.push(`${file.name}: ${error.message}`)
+      }
+    } else if (isFieldXml(file.name) || file.name.toLowerCase().endsWith('.xml')) {
+      entries.push({ path: file.webkitRelativePath || file.name, text: await file.text() })
+    }
+  }
+
+  const objects = []
+
+  entries.forEach(({ path, text }) => {
+    try {
+      const field = parseFieldXml(text)
+      const objectName = objectNameFromPath(path) || undefined
+      let object = objects.find(o => o.objectName === objectName)
+      if (!object) {
+        object = { objectName, fields: [] }
+        objects.push(object)
+      }
+      object.fields.push(field)
+    } catch (error) {
+      errors.push(`${path}: ${error.message}`)
+    }
+  })
+
+  return { objects, errors }
+}